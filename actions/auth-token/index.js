@@ -1,50 +1,117 @@
 /**
- * Adobe App Builder Action: Generate Adobe Commerce Admin Token
+ * Adobe App Builder Action: Commerce Credential Health and Token Introspection
  * Follows Adobe standard patterns with direct exports.main
  *
- * This action provides centralized token generation for Commerce API access.
- * Future migration point for IMS integration.
+ * action=status (default, viewer): reports the configured auth mode (COMMERCE_AUTH_MODE),
+ * whether the credentials work against Commerce, and the cached token's age and remaining TTL.
+ * Commerce tokens are never returned.
+ *
+ * action=issue (admin): issues a short-lived API key scoped to a role (role, ttl parameters)
+ * for callers that need temporary access to the other actions.
  */
 
 const { Core } = require('@adobe/aio-sdk');
 
 const createConfig = require('../../config');
-const { getCommerceToken } = require('../../lib/commerce');
-const { errorResponse, successResponse, checkMissingRequestInputs } = require('../../lib/utils');
+const { guardAction, issueApiKey } = require('../../lib/access');
+const { createCache } = require('../../lib/cache');
+const { getAuthProvider, inspectCommerceToken } = require('../../lib/commerce/auth');
+const { errorResponse, successResponse } = require('../../lib/utils');
 
-async function main(params) {
-  const logger = Core.Logger('auth-token', { level: params.LOG_LEVEL || 'info' });
+/**
+ * Report whether the Commerce credentials work and describe the cached token
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} Action response
+ */
+async function reportStatus(params, config, logger) {
+  const { mode } = config.commerce.auth;
+  let provider;
+  try {
+    provider = getAuthProvider(config);
+  } catch (error) {
+    return errorResponse(400, error.message, logger);
+  }
+
+  const cache = await createCache(params, config, logger);
+  const credentials = await inspectCommerceToken(params, config, cache, logger);
+  logger.info('Commerce credential check completed', { mode, valid: credentials.valid });
 
+  return successResponse(
+    {
+      healthy: credentials.valid,
+      mode,
+      type: provider.label,
+      credentials: {
+        valid: credentials.valid,
+        error: credentials.error || undefined,
+      },
+      token: provider.requestToken
+        ? { cached: credentials.cacheHit, ...credentials.token }
+        : { static: true, signed: mode === 'oauth1' },
+    },
+    credentials.valid ? 'Commerce credentials are valid' : 'Commerce credentials are not working',
+    logger
+  );
+}
+
+/**
+ * Issue a short-lived API key scoped to the requested role
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @param {Object} logger - Logger instance
+ * @returns {Object} Action response
+ */
+function issueKey(params, config, logger) {
+  const role = params.role || 'viewer';
+  let issued;
   try {
-    // Validate required parameters for Commerce token generation
-    const requiredParams = ['COMMERCE_ADMIN_USERNAME', 'COMMERCE_ADMIN_PASSWORD'];
-    const missingParams = checkMissingRequestInputs(params, requiredParams);
-    if (missingParams) {
-      return errorResponse(400, missingParams, logger);
-    }
+    issued = issueApiKey(role, params.ttl, config.access);
+  } catch (error) {
+    return errorResponse(400, error.message, logger);
+  }
 
-    logger.info('Generating Commerce admin token');
+  logger.info('Issued short-lived API key', { keyId: issued.keyId, role, ttl: issued.ttl });
+  return successResponse(
+    {
+      ...issued,
+      usage:
+        'Send as Authorization: ApiKey <apiKey> or x-api-key; revoke early via ACCESS_REVOKED_KEYS',
+    },
+    'API key issued successfully',
+    logger,
+    { 'Cache-Control': 'no-store' }
+  );
+}
 
-    // Generate Commerce admin token
-    const config = createConfig(params);
-    const token = await getCommerceToken(params, config);
+async function main(params) {
+  const logger = Core.Logger('auth-token', { level: params.LOG_LEVEL || 'info' });
 
-    logger.info('Commerce admin token generated successfully');
+  try {
+    const config = createConfig(params);
+    const action = params.action || 'status';
+    if (action !== 'status' && action !== 'issue') {
+      return errorResponse(400, 'Invalid action. Use: status or issue', logger);
+    }
 
-    // Return token in Adobe standard format
-    return successResponse(
-      {
-        token,
-        type: 'Commerce Admin Token',
-        expiresIn: '24 hours', // Commerce tokens typically expire in 24 hours
-        usage: 'Include as Authorization: Bearer <token> in subsequent API calls',
-      },
-      'Commerce admin token generated successfully',
+    // Authenticate the caller; issuing keys requires the admin role
+    const denied = await guardAction(
+      params,
+      action === 'issue' ? 'auth-token:issue' : 'auth-token',
+      config,
       logger
     );
+    if (denied) {
+      return denied;
+    }
+
+    return action === 'issue'
+      ? issueKey(params, config, logger)
+      : await reportStatus(params, config, logger);
   } catch (error) {
-    logger.error('Token generation failed', { error: error.message, stack: error.stack });
-    return errorResponse(500, `Token generation failed: ${error.message}`, logger);
+    logger.error('Auth token operation failed', { error: error.message, stack: error.stack });
+    return errorResponse(500, `Auth token operation failed: ${error.message}`, logger);
   }
 }
 
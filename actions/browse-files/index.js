@@ -6,6 +6,7 @@
 const { Core } = require('@adobe/aio-sdk');
 
 const createConfig = require('../../config');
+const { guardAction } = require('../../lib/access');
 const { generateFileBrowserHTML, createHTMLResponse } = require('../../lib/htmx');
 const { listCsvFiles } = require('../../lib/storage');
 const { errorResponse, checkMissingRequestInputs } = require('../../lib/utils');
@@ -14,6 +15,14 @@ async function main(params) {
   const logger = Core.Logger('browse-files', { level: params.LOG_LEVEL || 'info' });
 
   try {
+    const config = createConfig(params);
+
+    // Authenticate the caller and check the action's required role
+    const denied = await guardAction(params, 'browse-files', config, logger);
+    if (denied) {
+      return denied;
+    }
+
     // Validate required parameters using Adobe standard
     const requiredParams = [];
     const missingParams = checkMissingRequestInputs(params, requiredParams);
@@ -24,7 +33,6 @@ async function main(params) {
     logger.info('Starting file browse');
 
     // Get list of CSV files from storage
-    const config = createConfig(params);
     const fileList = await listCsvFiles(config);
     logger.info('Retrieved file list', { count: fileList.length });
 
@@ -7,14 +7,22 @@ const stateLib = require('@adobe/aio-lib-state');
 const { Core } = require('@adobe/aio-sdk');
 
 const createConfig = require('../../config');
+const { guardAction } = require('../../lib/access');
 const { errorResponse, successResponse } = require('../../lib/utils');
 
 async function main(params) {
   const logger = Core.Logger('cache-control', { level: params.LOG_LEVEL || 'info' });
 
   try {
-    // Initialize configuration and state
     const config = createConfig(params);
+
+    // Authenticate the caller and check the action's required role
+    const denied = await guardAction(params, 'cache-control', config, logger);
+    if (denied) {
+      return denied;
+    }
+
+    // Initialize state
     const state = await stateLib.init();
 
     // Handle different actions
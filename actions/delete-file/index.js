@@ -6,6 +6,7 @@
 const { Core } = require('@adobe/aio-sdk');
 
 const createConfig = require('../../config');
+const { guardAction } = require('../../lib/access');
 const { generateErrorHTML, createHTMLResponse } = require('../../lib/htmx');
 const { deleteFile, listCsvFiles } = require('../../lib/storage');
 const { errorResponse, checkMissingRequestInputs } = require('../../lib/utils');
@@ -14,6 +15,14 @@ async function main(params) {
   const logger = Core.Logger('delete-file', { level: params.LOG_LEVEL || 'info' });
 
   try {
+    const config = createConfig(params);
+
+    // Authenticate the caller and check the action's required role
+    const denied = await guardAction(params, 'delete-file', config, logger);
+    if (denied) {
+      return denied;
+    }
+
     // Validate required parameters using Adobe standard
     const requiredParams = ['fileName'];
     const missingParams = checkMissingRequestInputs(params, requiredParams);
@@ -24,7 +33,6 @@ async function main(params) {
     logger.info('Starting file deletion', { fileName: params.fileName });
 
     // Delete file from storage
-    const config = createConfig(params);
     await deleteFile(params.fileName, config);
     logger.info('File deleted successfully', { fileName: params.fileName });
 
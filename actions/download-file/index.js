@@ -1,19 +1,27 @@
 /**
- * Adobe App Builder Action: Download files from S3 storage
+ * Adobe App Builder Action: Download files from storage
  * Follows Adobe standard patterns with direct exports.main
  */
 
 const { Core } = require('@adobe/aio-sdk');
-const { GetObjectCommand } = require('@aws-sdk/client-s3');
 
 const createConfig = require('../../config');
-const { createS3Client } = require('../../lib/storage');
+const { guardAction } = require('../../lib/access');
+const { readFile } = require('../../lib/storage');
 const { errorResponse, checkMissingRequestInputs } = require('../../lib/utils');
 
 async function main(params) {
   const logger = Core.Logger('download-file', { level: params.LOG_LEVEL || 'info' });
 
   try {
+    const config = createConfig(params);
+
+    // Authenticate the caller and check the action's required role
+    const denied = await guardAction(params, 'download-file', config, logger);
+    if (denied) {
+      return denied;
+    }
+
     // Validate required parameters using Adobe standard
     const requiredParams = ['fileName'];
     const missingParams = checkMissingRequestInputs(params, requiredParams);
@@ -23,21 +31,12 @@ async function main(params) {
 
     logger.info('Starting file download', { fileName: params.fileName });
 
-    // Get configuration for S3
-    const config = createConfig(params);
-
-    // Clean the filename (remove public/ prefix if present)
-    const cleanFileName = params.fileName.replace(/^public\//, '');
-
-    // Download from S3 using centralized client
-    const s3Client = createS3Client(config);
-    const getCommand = new GetObjectCommand({
-      Bucket: config.s3.bucketName,
-      Key: cleanFileName,
-    });
-
-    const response = await s3Client.send(getCommand);
-    const fileContent = await response.Body.transformToByteArray();
+    // Read through the configured storage provider; file names are relative to its key prefix
+    const { fileName } = params;
+    const fileContent = await readFile(fileName, config);
+    if (!fileContent) {
+      return errorResponse(404, `File '${fileName}' not found`, logger);
+    }
 
     logger.info('File download completed', { fileName: params.fileName });
 
@@ -47,7 +46,7 @@ async function main(params) {
       : Buffer.from(fileContent, 'utf-8');
 
     // Determine content type and encoding based on file type (using master branch approach)
-    const isCsvFile = cleanFileName.endsWith('.csv');
+    const isCsvFile = fileName.endsWith('.csv');
     const contentType = isCsvFile ? 'text/csv' : 'application/octet-stream';
 
     // Return download response with proper headers (simplified approach from master)
@@ -55,7 +54,7 @@ async function main(params) {
       statusCode: 200,
       headers: {
         'Content-Type': contentType,
-        'Content-Disposition': `attachment; filename="${cleanFileName}"`,
+        'Content-Disposition': `attachment; filename="${fileName}"`,
         'Cache-Control': 'no-cache',
       },
       body: isCsvFile ? contentBuffer.toString('utf8') : contentBuffer.toString('base64'),
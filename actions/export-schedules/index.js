@@ -0,0 +1,106 @@
+/**
+ * Adobe App Builder Action: Scheduled Export Management
+ * Follows Adobe standard patterns with direct exports.main
+ *
+ * action=list (default, viewer): stored jobs with their cron and last run
+ * action=create (exporter): create or replace a job (name, cron, source, format, filters,
+ *   storeCode, variants, delta, fileName)
+ * action=pause | resume | delete | run (exporter): manage a job by name; run starts it now
+ */
+
+const { Core } = require('@adobe/aio-sdk');
+
+const createConfig = require('../../config');
+const { guardAction } = require('../../lib/access');
+const { createScheduleStore, normalizeJob, runJob } = require('../../lib/schedules');
+const { errorResponse, successResponse } = require('../../lib/utils');
+
+const ACTIONS = ['list', 'create', 'pause', 'resume', 'delete', 'run'];
+
+/**
+ * Create or replace a job
+ * @returns {Promise<Object>} Action response
+ */
+async function createJob(params, config, store, logger) {
+  let job;
+  try {
+    job = normalizeJob(params, config, await store.get(params.name));
+  } catch (error) {
+    return errorResponse(400, error.message, logger);
+  }
+
+  await store.put(job);
+  return successResponse({ job }, `Scheduled export '${job.name}' saved`, logger);
+}
+
+/**
+ * Pause, resume, delete or run an existing job
+ * @returns {Promise<Object>} Action response
+ */
+async function manageJob(action, params, config, store, logger) {
+  const job = params.name ? await store.get(params.name) : null;
+  if (!job) {
+    return errorResponse(404, `Scheduled export '${params.name || ''}' not found`, logger);
+  }
+
+  switch (action) {
+    case 'pause':
+    case 'resume': {
+      const updated = await store.put({ ...job, paused: action === 'pause' });
+      return successResponse({ job: updated }, `Scheduled export '${job.name}' ${action}d`, logger);
+    }
+    case 'delete':
+      await store.remove(job.name);
+      return successResponse({ name: job.name }, `Scheduled export '${job.name}' deleted`, logger);
+    default: {
+      const run = await runJob(store, job, config, { trigger: 'manual' }, logger);
+      if (run.status === 'failed') {
+        return errorResponse(502, `Failed to start '${job.name}': ${run.error}`, logger);
+      }
+      return successResponse(
+        { name: job.name, run },
+        `Scheduled export '${job.name}' started`,
+        logger
+      );
+    }
+  }
+}
+
+async function main(params) {
+  const logger = Core.Logger('export-schedules', { level: params.LOG_LEVEL || 'info' });
+
+  try {
+    const config = createConfig(params);
+    const action = params.action || 'list';
+    if (!ACTIONS.includes(action)) {
+      return errorResponse(400, `Invalid action. Use: ${ACTIONS.join(', ')}`, logger);
+    }
+
+    // Authenticate the caller; anything but listing requires the manage permission
+    const denied = await guardAction(
+      params,
+      action === 'list' ? 'export-schedules' : 'export-schedules:manage',
+      config,
+      logger
+    );
+    if (denied) {
+      return denied;
+    }
+
+    const store = await createScheduleStore(config);
+
+    if (action === 'list') {
+      const jobs = await store.list();
+      return successResponse({ jobs, count: jobs.length }, 'Scheduled exports listed', logger);
+    }
+    if (action === 'create') {
+      return await createJob(params, config, store, logger);
+    }
+    return await manageJob(action, params, config, store, logger);
+  } catch (error) {
+    logger.error('Scheduled export operation failed', { error: error.message });
+    return errorResponse(500, `Scheduled export operation failed: ${error.message}`, logger);
+  }
+}
+
+exports.main = main;
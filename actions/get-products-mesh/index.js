@@ -6,31 +6,257 @@
 const { Core } = require('@adobe/aio-sdk');
 
 const createConfig = require('../../config');
+const { guardAction, identifyCaller } = require('../../lib/access');
 const { createCache } = require('../../lib/cache');
-const { getProductsFromMesh } = require('../../lib/commerce');
-const { createCsv } = require('../../lib/csv');
+const { getDataWarnings, getProductsFromMesh, iterateMeshPages } = require('../../lib/commerce');
+const { getRequiredAuthParams } = require('../../lib/commerce/auth');
+const { parseProductFilters } = require('../../lib/commerce/filters');
+const { parseStoreCodes } = require('../../lib/commerce/stores');
+const { createCsv, parseFileName } = require('../../lib/csv');
+const {
+  commitDeltas,
+  prepareExport,
+  isStreamingEnabled,
+  streamExport,
+  summarizeQuality,
+  summarizeStores,
+} = require('../../lib/export');
+const { hasFormat, listFormats } = require('../../lib/formats');
+const { createRunId, recordExportRun, stampFileName } = require('../../lib/history');
+const { createJobTracker, startExportJob } = require('../../lib/jobs');
 const { storeCsv } = require('../../lib/storage');
-const { errorResponse, successResponse, checkMissingRequestInputs } = require('../../lib/utils');
+const {
+  errorResponse,
+  successResponse,
+  checkMissingRequestInputs,
+  parseBooleanParam,
+} = require('../../lib/utils');
+const { resolveValidationMode, storeQualityReport } = require('../../lib/validation');
+
+/**
+ * Fetch all mesh pages, build the CSV in memory and upload it in one request
+ * @returns {Promise<Object>} Mesh data, CSV data, storage result and product count
+ */
+async function exportInMemory(params, config, plan, logger) {
+  // Fetch products via mesh with pagination
+  const meshData = await getProductsFromMesh(params, config, logger, {
+    filterGroups: plan.filterGroups,
+  });
+
+  // Validate before serializing; skip mode leaves rows with issues out of the file
+  const products = plan.validator.check(meshData.products);
+  const csvData = await createCsv(products.concat(plan.trailingRows), plan.format, config);
+  await plan.tracker.phase('uploading');
+  const fileName = stampFileName(csvData.fileName, plan.runId);
+  const storageResult = await storeCsv(csvData.content, config, fileName);
+  const quality = storageResult.stored
+    ? await storeQualityReport(plan.validator, fileName, config, logger)
+    : undefined;
+
+  return { meshData, csvData, storageResult, productCount: products.length, quality };
+}
+
+/**
+ * Serialize and upload each mesh page as it arrives (streaming storage upload)
+ * @returns {Promise<Object>} Mesh summary, CSV data, storage result and product count
+ */
+async function exportStreaming(params, config, plan, logger) {
+  const pages = iterateMeshPages(params, config, logger, { filterGroups: plan.filterGroups });
+  const exportResult = await streamExport(pages, plan.format, config, logger, {
+    trailingRows: plan.trailingRows,
+    tracker: plan.tracker,
+    runId: plan.runId,
+    validator: plan.validator,
+  });
+
+  return {
+    meshData: {
+      performance: {
+        ...exportResult.lastPage?.performance,
+        productCount: exportResult.productCount,
+      },
+      apiCallCount: exportResult.pageCount,
+      degraded: exportResult.lastPage?.degraded,
+    },
+    csvData: exportResult.csv,
+    storageResult: exportResult.storage,
+    productCount: exportResult.productCount,
+    quality: exportResult.quality,
+  };
+}
+
+/**
+ * Export one store view: prepare the plan, then build and upload the file
+ * The delta watermark is advanced by the caller once every store view is stored (commitDeltas)
+ * @returns {Promise<Object>} Store export with mesh data, CSV data, storage result and the
+ *   delta run to commit
+ */
+async function exportStore(params, config, cache, options, logger) {
+  const { exportFormat, filters, tracker, runId } = options;
+  await tracker.phase('preparing');
+  const { plan, delta } = await prepareExport(
+    params,
+    config,
+    cache,
+    { exportFormat, filters, source: 'mesh' },
+    logger
+  );
+
+  await tracker.phase('exporting');
+  const exportPlan = { ...plan, tracker, runId };
+  const storeExport = isStreamingEnabled(params, config)
+    ? await exportStreaming(params, config, exportPlan, logger)
+    : await exportInMemory(params, config, exportPlan, logger);
+
+  return {
+    ...storeExport,
+    storeCode: config.commerce.storeCode,
+    deltaRun: delta,
+  };
+}
+
+/**
+ * Export every requested store view, one file each
+ * Delta watermarks are only advanced once every store view's file is safely stored
+ * @returns {Promise<Array<Object>>} Store exports (exportStore) with their delta summary
+ * @throws {Error} If a store view's file could not be stored
+ */
+async function exportStores(params, config, cache, options, logger) {
+  const { storeCodes, ...storeOptions } = options;
+  const storeExports = [];
+  for (const storeCode of storeCodes) {
+    const storeConfig = storeCode ? createConfig({ ...params, storeCode }) : config;
+    const storeExport = await exportStore(params, storeConfig, cache, storeOptions, logger);
+    if (!storeExport.storageResult.stored) {
+      throw new Error(
+        `Storage failed: ${storeExport.storageResult.error?.message || 'Unknown error'}`
+      );
+    }
+    storeExports.push(storeExport);
+  }
+
+  return commitDeltas(storeExports);
+}
+
+/**
+ * Add up mesh operation and degraded data counts across store exports
+ * @param {Array<Object>} storeExports - Results of exportStore
+ * @returns {Object} Mesh data of the first store with summed counts
+ */
+function combineMeshData(storeExports) {
+  if (storeExports.length === 1) return storeExports[0].meshData;
+
+  const sum = (read) =>
+    storeExports.reduce((total, { meshData }) => total + (read(meshData) || 0), 0);
+  const [{ meshData }] = storeExports;
+  return {
+    ...meshData,
+    apiCallCount: sum((data) => data.apiCallCount),
+    degraded: {
+      inventory: sum((data) => data.degraded?.inventory),
+      categories: sum((data) => data.degraded?.categories),
+    },
+    performance: {
+      ...meshData.performance,
+      productCount: sum((data) => data.performance?.productCount),
+      apiCalls: sum((data) => data.performance?.apiCalls),
+      productsApiCalls: sum((data) => data.performance?.productsApiCalls),
+      categoriesApiCalls: sum((data) => data.performance?.categoriesApiCalls),
+      inventoryApiCalls: sum((data) => data.performance?.inventoryApiCalls),
+    },
+  };
+}
+
+/**
+ * Build the performance section of the response
+ * Mesh reports its own operation counts; local counts fill in when they are missing
+ * @returns {Object} Performance metrics
+ */
+function buildPerformance(meshData, productCount, startTime, cache) {
+  return {
+    method: meshData.performance?.method || 'API Mesh',
+    productCount: meshData.performance?.productCount || productCount,
+    executionTime: Date.now() - startTime,
+    apiCalls: meshData.performance?.apiCalls || meshData.apiCallCount,
+    dataSourcesUnified: meshData.performance?.dataSourcesUnified || 3,
+    productsApiCalls: meshData.performance?.productsApiCalls || 0,
+    categoriesApiCalls: meshData.performance?.categoriesApiCalls || 0,
+    inventoryApiCalls: meshData.performance?.inventoryApiCalls || 0,
+    cacheHits: meshData.cacheHits || 0,
+    cachingEnabled: meshData.performance?.cachingEnabled || cache.enabled,
+  };
+}
+
+/**
+ * Parse and validate the export's format, filters, store views, file name and validation mode
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @returns {Object} { exportFormat, filters, storeCodes }
+ * @throws {Error} If any option is invalid
+ */
+function parseExportOptions(params, config) {
+  const exportFormat = params.format || config.products.defaultFormat;
+  if (!hasFormat(exportFormat)) {
+    const available = listFormats()
+      .map((format) => format.id)
+      .join(', ');
+    throw new Error(`Unsupported export format '${exportFormat}'. Available formats: ${available}`);
+  }
+
+  let filters;
+  try {
+    filters = parseProductFilters(params.filters);
+  } catch (error) {
+    throw new Error(`Invalid filters: ${error.message}`);
+  }
+  const storeCodes = parseStoreCodes(params.storeCode);
+  parseFileName(params.fileName);
+  resolveValidationMode(params, config);
+  return { exportFormat, filters, storeCodes };
+}
 
 async function main(params) {
   const logger = Core.Logger('get-products-mesh', { level: params.LOG_LEVEL || 'info' });
   const startTime = Date.now();
 
   try {
-    // Validate required parameters
-    const requiredParams = [
-      'API_MESH_ENDPOINT',
-      'MESH_API_KEY',
-      'COMMERCE_ADMIN_USERNAME',
-      'COMMERCE_ADMIN_PASSWORD',
-    ];
+    const config = createConfig(params);
+
+    // Authenticate the caller and check the action's required role
+    const denied = await guardAction(params, 'get-products-mesh', config, logger);
+    if (denied) {
+      return denied;
+    }
+
+    // Validate mesh access and the credentials the configured auth mode needs
+    let requiredParams;
+    try {
+      requiredParams = ['API_MESH_ENDPOINT', 'MESH_API_KEY', ...getRequiredAuthParams(config)];
+    } catch (error) {
+      return errorResponse(400, error.message, logger);
+    }
     const missingParams = checkMissingRequestInputs(params, requiredParams);
     if (missingParams) {
       return errorResponse(400, missingParams, logger);
     }
 
+    // Validate the export format, product filters and store views before any Commerce calls
+    let exportFormat;
+    let filters;
+    let storeCodes;
+    try {
+      ({ exportFormat, filters, storeCodes } = parseExportOptions(params, config));
+    } catch (error) {
+      return errorResponse(400, error.message, logger);
+    }
+
+    // Async mode: queue the export for the run-export worker and return its job ID
+    if (parseBooleanParam(params.async, false)) {
+      const triggeredBy = await identifyCaller(params, 'get-products-mesh', config);
+      return await startExportJob({ ...params, triggeredBy }, 'mesh', config, logger);
+    }
+
     // Initialize cache for mesh operations
-    const config = createConfig(params);
     const cache = await createCache(params, config, logger);
 
     logger.info('Cache initialization status', {
@@ -38,44 +264,57 @@ async function main(params) {
       stateInitialized: !!cache.state,
     });
 
-    // Fetch products via mesh with pagination
-    const meshData = await getProductsFromMesh(params, config, logger);
-
-    const csvData = await createCsv(meshData.products);
-    const storageResult = await storeCsv(csvData.content, config);
+    // One file per store view; the mesh routes every source through /rest/{storeCode}/V1
+    const tracker = createJobTracker(params.jobId, config, logger);
+    const runId = createRunId(new Date(startTime));
+    const storeExports = await exportStores(
+      params,
+      config,
+      cache,
+      { storeCodes, exportFormat, filters, tracker, runId },
+      logger
+    );
+    await tracker.flush();
 
-    if (!storageResult.stored) {
-      const errorMsg = `Storage failed: ${storageResult.error?.message || 'Unknown error'}`;
-      return errorResponse(500, errorMsg, logger);
-    }
+    const [{ csvData, storageResult, delta }] = storeExports;
+    const meshData = combineMeshData(storeExports);
+    const productCount = storeExports.reduce((sum, entry) => sum + entry.productCount, 0);
+    const performance = buildPerformance(meshData, productCount, startTime, cache);
+    const totals = {
+      productCount,
+      apiCalls: performance.apiCalls,
+      cacheHits: performance.cacheHits,
+    };
+    await recordExportRun(
+      { runId, source: 'mesh', params, filters, storeExports, totals, startTime },
+      config,
+      logger
+    );
 
     return successResponse(
       {
+        runId,
         downloadUrl: storageResult.downloadUrl,
-        productCount: meshData.products.length,
+        productCount,
         provider: storageResult.provider,
         fileName: storageResult.fileName,
+        format: csvData.format,
+        storeCode: storeExports[0].storeCode || undefined,
+        stores: summarizeStores(storeExports),
+        streaming: isStreamingEnabled(params, config),
+        delta,
+        quality: summarizeQuality(storeExports),
         method: 'API Mesh',
         apiCalls: meshData.performance?.apiCalls,
-        performance: {
-          method: meshData.performance?.method || 'API Mesh',
-          productCount: meshData.performance?.productCount || meshData.products.length,
-          executionTime: Date.now() - startTime,
-          apiCalls: meshData.performance?.apiCalls || meshData.apiCallCount,
-          dataSourcesUnified: meshData.performance?.dataSourcesUnified || 3,
-          productsApiCalls: meshData.performance?.productsApiCalls || 0,
-          categoriesApiCalls: meshData.performance?.categoriesApiCalls || 0,
-          inventoryApiCalls: meshData.performance?.inventoryApiCalls || 0,
-          cacheHits: meshData.cacheHits || 0,
-          cachingEnabled: meshData.performance?.cachingEnabled || cache.enabled,
-        },
+        warnings: getDataWarnings(meshData.degraded),
+        performance,
       },
       'Products exported successfully',
       logger
     );
   } catch (error) {
     logger.error('Action failed', { error: error.message });
-    return errorResponse(500, error.message, logger);
+    return errorResponse(error.statusCode || 500, error.message, logger);
   }
 }
 
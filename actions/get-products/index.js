@@ -6,26 +6,272 @@
 const { Core } = require('@adobe/aio-sdk');
 
 const createConfig = require('../../config');
+const { guardAction, identifyCaller } = require('../../lib/access');
 const { createCache } = require('../../lib/cache');
-const { fetchAndEnrichProducts } = require('../../lib/commerce');
-const { createCsv } = require('../../lib/csv');
+const {
+  fetchAndEnrichProducts,
+  getDataWarnings,
+  streamEnrichedProducts,
+} = require('../../lib/commerce');
+const { getRequiredAuthParams } = require('../../lib/commerce/auth');
+const { parseProductFilters } = require('../../lib/commerce/filters');
+const { parseVariantMode } = require('../../lib/commerce/product-types');
+const { parseStoreCodes } = require('../../lib/commerce/stores');
+const { createCsv, parseFileName } = require('../../lib/csv');
+const {
+  commitDeltas,
+  prepareExport,
+  isStreamingEnabled,
+  streamExport,
+  summarizeQuality,
+  summarizeStores,
+} = require('../../lib/export');
+const { hasFormat, listFormats } = require('../../lib/formats');
+const { createRunId, recordExportRun, stampFileName } = require('../../lib/history');
+const { createJobTracker, startExportJob } = require('../../lib/jobs');
 const { storeCsv } = require('../../lib/storage');
-const { errorResponse, successResponse, checkMissingRequestInputs } = require('../../lib/utils');
+const {
+  errorResponse,
+  successResponse,
+  checkMissingRequestInputs,
+  parseBooleanParam,
+} = require('../../lib/utils');
+const { resolveValidationMode, storeQualityReport } = require('../../lib/validation');
+
+/**
+ * Fetch the catalog, build the CSV in memory and upload it in one request
+ * The plan carries the format, product filters and trailing rows (delta deletions)
+ * @returns {Promise<Object>} Commerce result, CSV data, storage result and product count
+ */
+async function exportInMemory(params, config, cache, plan, logger) {
+  // Fetch products with caching, create CSV, and store
+  const result = await fetchAndEnrichProducts(params, config, cache, logger, {
+    filterGroups: plan.filterGroups,
+  });
+
+  // Debug: Log first product structure for comparison
+  if (result.products && result.products.length > 0) {
+    logger.info('REST API product sample', {
+      productCount: result.products.length,
+      firstProductKeys: Object.keys(result.products[0]),
+      firstProductSample: {
+        sku: result.products[0].sku,
+        name: result.products[0].name,
+        categories: result.products[0].categories.length,
+        stock: result.products[0].stock.qty,
+        attributes: Object.keys(result.products[0].attributes).length,
+      },
+    });
+  }
+
+  // Validate before serializing; skip mode leaves rows with issues out of the file
+  const products = plan.validator.check(result.products);
+  const csvData = await createCsv(products.concat(plan.trailingRows), plan.format, config);
+  await plan.tracker.phase('uploading');
+  const fileName = stampFileName(csvData.fileName, plan.runId);
+  const storageResult = await storeCsv(csvData.content, config, fileName);
+  const quality = storageResult.stored
+    ? await storeQualityReport(plan.validator, fileName, config, logger)
+    : undefined;
+
+  return { result, csvData, storageResult, productCount: products.length, quality };
+}
+
+/**
+ * Enrich, serialize and upload one page at a time (streaming storage upload)
+ * @returns {Promise<Object>} Cumulative totals, CSV data, storage result and product count
+ */
+async function exportStreaming(params, config, cache, plan, logger) {
+  const pages = streamEnrichedProducts(params, config, cache, logger, {
+    filterGroups: plan.filterGroups,
+  });
+  const exportResult = await streamExport(pages, plan.format, config, logger, {
+    trailingRows: plan.trailingRows,
+    tracker: plan.tracker,
+    runId: plan.runId,
+    validator: plan.validator,
+  });
+
+  return {
+    result: exportResult.lastPage?.totals || { apiCalls: { total: 0 }, cacheHits: 0 },
+    csvData: exportResult.csv,
+    storageResult: exportResult.storage,
+    productCount: exportResult.productCount,
+    quality: exportResult.quality,
+  };
+}
+
+/**
+ * Export one store view: prepare the plan, then build and upload the file
+ * The delta watermark is advanced by the caller once every store view is stored (commitDeltas)
+ * @returns {Promise<Object>} Store export with Commerce result, CSV data, storage result and the
+ *   delta run to commit
+ */
+async function exportStore(params, config, cache, options, logger) {
+  const { exportFormat, filters, tracker, runId } = options;
+  await tracker.phase('preparing');
+  const { plan, delta } = await prepareExport(
+    params,
+    config,
+    cache,
+    { exportFormat, filters, source: 'rest' },
+    logger
+  );
+
+  await tracker.phase('exporting');
+  const exportPlan = { ...plan, tracker, runId };
+  const storeExport = isStreamingEnabled(params, config)
+    ? await exportStreaming(params, config, cache, exportPlan, logger)
+    : await exportInMemory(params, config, cache, exportPlan, logger);
+
+  return {
+    ...storeExport,
+    storeCode: config.commerce.storeCode,
+    deltaRun: delta,
+  };
+}
+
+/**
+ * Export every requested store view, one file each
+ * Delta watermarks are only advanced once every store view's file is safely stored
+ * @returns {Promise<Array<Object>>} Store exports (exportStore) with their delta summary
+ * @throws {Error} If a store view's file could not be stored
+ */
+async function exportStores(params, config, cache, options, logger) {
+  const { storeCodes, ...storeOptions } = options;
+  const storeExports = [];
+  for (const storeCode of storeCodes) {
+    const storeConfig = storeCode ? createConfig({ ...params, storeCode }) : config;
+    const storeExport = await exportStore(params, storeConfig, cache, storeOptions, logger);
+    if (!storeExport.storageResult.stored) {
+      throw new Error(
+        `Storage failed: ${storeExport.storageResult.error?.message || 'Unknown error'}`
+      );
+    }
+    storeExports.push(storeExport);
+  }
+
+  return commitDeltas(storeExports);
+}
+
+/**
+ * Add up API call, cache hit and degraded data totals across store exports
+ * @param {Array<Object>} storeExports - Results of exportStore
+ * @returns {Object} Combined result ({ apiCalls, cacheHits, degraded })
+ */
+function combineResults(storeExports) {
+  const addCounts = (target, counts = {}) => {
+    Object.entries(counts).forEach(([name, count]) => {
+      target[name] = (target[name] || 0) + count;
+    });
+  };
+
+  return storeExports.reduce(
+    (combined, { result }) => {
+      addCounts(combined.apiCalls, result.apiCalls);
+      addCounts(combined.degraded, result.degraded);
+      combined.cacheHits += result.cacheHits || 0;
+      return combined;
+    },
+    { apiCalls: {}, cacheHits: 0, degraded: {} }
+  );
+}
+
+/**
+ * Build the performance block of the response
+ * @returns {Object} Performance metrics
+ */
+function buildPerformance(result, productCount, startTime, cache) {
+  return {
+    method: 'REST API',
+    productCount,
+    executionTime: Date.now() - startTime,
+    apiCalls: result.apiCalls.total,
+    dataSourcesUnified: 3,
+    adminTokenApiCalls: result.apiCalls.adminToken,
+    productsApiCalls: result.apiCalls.products,
+    categoriesApiCalls: result.apiCalls.categories,
+    inventoryApiCalls: result.apiCalls.inventory,
+    productTypesApiCalls: result.apiCalls.productTypes || 0,
+    totalProductPages: result.apiCalls.totalProductPages || 1,
+    totalInventoryBatches: result.apiCalls.totalInventoryBatches || 1,
+    cacheHits: result.cacheHits || 0,
+    cachingEnabled: cache && cache.enabled,
+  };
+}
+
+/**
+ * Parse and validate the export's format, filters, store views, variant mode, file name and
+ * validation mode
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @returns {Object} { exportFormat, filters, storeCodes }
+ * @throws {Error} If any option is invalid
+ */
+function parseExportOptions(params, config) {
+  const exportFormat = params.format || config.products.defaultFormat;
+  if (!hasFormat(exportFormat)) {
+    const available = listFormats()
+      .map((format) => format.id)
+      .join(', ');
+    throw new Error(`Unsupported export format '${exportFormat}'. Available formats: ${available}`);
+  }
+
+  let filters;
+  try {
+    filters = parseProductFilters(params.filters);
+  } catch (error) {
+    throw new Error(`Invalid filters: ${error.message}`);
+  }
+  const storeCodes = parseStoreCodes(params.storeCode);
+  parseVariantMode(params.variants);
+  parseFileName(params.fileName);
+  resolveValidationMode(params, config);
+  return { exportFormat, filters, storeCodes };
+}
 
 async function main(params) {
   const logger = Core.Logger('get-products', { level: params.LOG_LEVEL || 'debug' });
   const startTime = Date.now();
 
   try {
-    // Validate required parameters
-    const requiredParams = ['COMMERCE_ADMIN_USERNAME', 'COMMERCE_ADMIN_PASSWORD'];
+    const config = createConfig(params);
+
+    // Authenticate the caller and check the action's required role
+    const denied = await guardAction(params, 'get-products', config, logger);
+    if (denied) {
+      return denied;
+    }
+
+    // Validate the credentials the configured auth mode needs
+    let requiredParams;
+    try {
+      requiredParams = getRequiredAuthParams(config);
+    } catch (error) {
+      return errorResponse(400, error.message, logger);
+    }
     const missingParams = checkMissingRequestInputs(params, requiredParams);
     if (missingParams) {
       return errorResponse(400, missingParams, logger);
     }
 
+    // Validate the export format, product filters and store views before any Commerce calls
+    let exportFormat;
+    let filters;
+    let storeCodes;
+    try {
+      ({ exportFormat, filters, storeCodes } = parseExportOptions(params, config));
+    } catch (error) {
+      return errorResponse(400, error.message, logger);
+    }
+
+    // Async mode: queue the export for the run-export worker and return its job ID
+    if (parseBooleanParam(params.async, false)) {
+      const triggeredBy = await identifyCaller(params, 'get-products', config);
+      return await startExportJob({ ...params, triggeredBy }, 'rest', config, logger);
+    }
+
     // Initialize cache for Commerce API responses
-    const config = createConfig(params);
     const cache = await createCache(params, config, logger);
 
     logger.info('Cache initialization status', {
@@ -33,66 +279,59 @@ async function main(params) {
       stateInitialized: !!cache.state,
     });
 
-    // Fetch products with caching, create CSV, and store
-    const result = await fetchAndEnrichProducts(params, config, cache, logger);
-
-    // Debug: Log first product structure for comparison
-    if (result.products && result.products.length > 0) {
-      logger.info('REST API product sample', {
-        productCount: result.products.length,
-        firstProductKeys: Object.keys(result.products[0]),
-        firstProductSample: {
-          sku: result.products[0].sku,
-          name: result.products[0].name,
-          categories: result.products[0].categories?.length || 0,
-          inventory: result.products[0].inventory,
-          customAttributes: result.products[0].custom_attributes?.length || 0,
-        },
-      });
-    }
-
-    const csvData = await createCsv(result.products);
-    const storageResult = await storeCsv(csvData.content, config);
+    // One file per store view; every Commerce call of a store goes through /rest/{storeCode}/V1
+    const tracker = createJobTracker(params.jobId, config, logger);
+    const runId = createRunId(new Date(startTime));
+    const storeExports = await exportStores(
+      params,
+      config,
+      cache,
+      { storeCodes, exportFormat, filters, tracker, runId },
+      logger
+    );
+    await tracker.flush();
 
-    if (!storageResult.stored) {
-      const errorMsg = `Storage failed: ${storageResult.error?.message || 'Unknown error'}`;
-      return errorResponse(500, errorMsg, logger);
-    }
+    const [{ csvData, storageResult, delta }] = storeExports;
+    const result = combineResults(storeExports);
+    const productCount = storeExports.reduce((sum, entry) => sum + entry.productCount, 0);
+    const totals = { productCount, apiCalls: result.apiCalls.total, cacheHits: result.cacheHits };
+    await recordExportRun(
+      { runId, source: 'rest', params, filters, storeExports, totals, startTime },
+      config,
+      logger
+    );
 
     // Prepare response headers for caching
     const responseHeaders = {};
 
     // Add HTTP response caching (gateway level) for fair comparison with API Mesh
-    if (cache.enabled) {
-      responseHeaders['Cache-Control'] = `public, max-age=${config.cache.httpCacheMaxAge}`;
-      responseHeaders['Vary'] = 'Authorization'; // Cache per token
+    // Delta responses depend on stored state and must never be served from cache
+    // Guarded responses depend on the caller's role, so shared caches must not keep them
+    if (cache.enabled && !delta) {
+      const visibility = config.access.enforce ? 'private' : 'public';
+      responseHeaders['Cache-Control'] = `${visibility}, max-age=${config.cache.httpCacheMaxAge}`;
+      responseHeaders['Vary'] = 'Authorization, x-api-key'; // Cache per credential
     } else {
       responseHeaders['Cache-Control'] = 'no-cache, no-store, must-revalidate';
     }
 
     return successResponse(
       {
+        runId,
         downloadUrl: storageResult.downloadUrl,
-        productCount: result.products.length,
+        productCount,
         provider: storageResult.provider,
         fileName: storageResult.fileName,
+        format: csvData.format,
+        storeCode: storeExports[0].storeCode || undefined,
+        stores: summarizeStores(storeExports),
+        streaming: isStreamingEnabled(params, config),
+        delta,
+        quality: summarizeQuality(storeExports),
         method: 'REST API',
         apiCalls: result.apiCalls.total,
-        performance: {
-          method: 'REST API',
-          productCount: result.products.length,
-          executionTime: Date.now() - startTime,
-          apiCalls: result.apiCalls.total,
-          dataSourcesUnified: 3,
-          adminTokenApiCalls: result.apiCalls.adminToken,
-          productsApiCalls: result.apiCalls.products,
-          categoriesApiCalls: result.apiCalls.categories,
-          inventoryApiCalls: result.apiCalls.inventory,
-          totalProductPages: result.apiCalls.totalProductPages || 1,
-          totalInventoryBatches: result.apiCalls.totalInventoryBatches || 1,
-          cacheHits: result.cacheHits || 0,
-          cachingEnabled: cache && cache.enabled,
-        },
+        warnings: getDataWarnings(result.degraded),
+        performance: buildPerformance(result, productCount, startTime, cache),
       },
       'Products exported successfully',
       logger,
@@ -100,7 +339,7 @@ async function main(params) {
     );
   } catch (error) {
     logger.error('Action failed', { error: error.message });
-    return errorResponse(500, error.message, logger);
+    return errorResponse(error.statusCode || 500, error.message, logger);
   }
 }
 
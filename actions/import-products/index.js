@@ -0,0 +1,165 @@
+/**
+ * Adobe App Builder Action: Catalog Write-Back
+ * Follows Adobe standard patterns with direct exports.main
+ *
+ * action=preview (default, exporter): diff a stored file (fileName) or an upload (content, with
+ *   fileName as its label) against current Commerce data and store the change report (dry run).
+ *   The format is detected from the file unless format is given
+ * action=apply (admin): write the approved rows of a previewed import (importId, approve=all or
+ *   a comma-separated SKU list) through Commerce bulk async requests
+ * action=status (exporter): refresh per-row results of an import (importId)
+ * Apply and status go through the store view the import was previewed against (storeCode)
+ *
+ * HTMX requests get the change report as HTML; other callers get the import record as JSON.
+ */
+
+const { Core } = require('@adobe/aio-sdk');
+
+const createConfig = require('../../config');
+const { guardAction } = require('../../lib/access');
+const { hasFormat } = require('../../lib/formats');
+const { generateImportReportHTML, createHTMLResponse } = require('../../lib/htmx');
+const {
+  applyImport,
+  detectImportFormat,
+  getImport,
+  parseImportCsv,
+  previewImport,
+  refreshImport,
+  summarizeImportErrors,
+} = require('../../lib/imports');
+const { readFile } = require('../../lib/storage');
+const { errorResponse, successResponse } = require('../../lib/utils');
+
+const ACTIONS = ['preview', 'apply', 'status'];
+
+/**
+ * Read and validate the file to preview
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object>} File ({ fileName, format, rows }) or error ({ statusCode, message })
+ */
+async function readImportFile(params, config) {
+  if (!params.fileName) {
+    return { statusCode: 400, message: "missing parameter(s) 'fileName'" };
+  }
+
+  let content = params.content;
+  if (typeof content !== 'string') {
+    const stored = await readFile(params.fileName, config);
+    if (!stored) {
+      return { statusCode: 404, message: `File '${params.fileName}' not found` };
+    }
+    content = stored.toString('utf8');
+  }
+
+  const format = params.format || detectImportFormat(content, config);
+  if (!format || !hasFormat(format)) {
+    return { statusCode: 400, message: `${params.fileName} is not in an importable format` };
+  }
+
+  const { rows, errors } = parseImportCsv(content, format, config);
+  if (errors.length === 0 && rows.length > config.imports.maxRows) {
+    errors.push(`Imports are limited to ${config.imports.maxRows} rows`);
+  }
+  if (errors.length > 0) {
+    const summary = summarizeImportErrors(errors, config);
+    return { statusCode: 400, message: `${params.fileName} cannot be imported: ${summary}` };
+  }
+  return { fileName: params.fileName, format, rows };
+}
+
+/**
+ * Parse the approve parameter
+ * @param {string|Array<string>} value - 'all', SKU array or comma-separated SKUs
+ * @returns {Array<string>|null|undefined} SKUs, null for all, undefined when missing
+ */
+function parseApproval(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (value === 'all') return null;
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map((sku) => String(sku).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Run the requested operation
+ * @returns {Promise<Object>} Import record or error ({ statusCode, message })
+ */
+async function runOperation(action, params, config, logger) {
+  if (action === 'preview') {
+    const file = await readImportFile(params, config);
+    return file.statusCode ? file : previewImport(file, params, config, logger);
+  }
+
+  const record = await getImport(params.importId, config);
+  if (!record) {
+    return { statusCode: 404, message: `Import '${params.importId || ''}' not found` };
+  }
+  // Write and poll through the store view the import was previewed against, not the caller's
+  const recordConfig = createConfig({ ...params, storeCode: record.storeCode });
+  if (action === 'status') {
+    return refreshImport(record, params, recordConfig, logger);
+  }
+
+  if (record.status !== 'previewed') {
+    return { statusCode: 409, message: `Import ${record.importId} was already ${record.status}` };
+  }
+  const approvedSkus = parseApproval(params.approve);
+  if (approvedSkus === undefined) {
+    return { statusCode: 400, message: "approve must be 'all' or a list of SKUs" };
+  }
+  const approved = record.rows.some(
+    (row) => row.status === 'changed' && (!approvedSkus || approvedSkus.includes(row.sku))
+  );
+  if (!approved) {
+    return { statusCode: 400, message: 'None of the approved SKUs has changes to apply' };
+  }
+  return applyImport(record, approvedSkus, params, recordConfig, logger);
+}
+
+async function main(params) {
+  const logger = Core.Logger('import-products', { level: params.LOG_LEVEL || 'info' });
+
+  try {
+    const config = createConfig(params);
+    const action = params.action || 'preview';
+    if (!ACTIONS.includes(action)) {
+      return errorResponse(400, `Invalid action. Use: ${ACTIONS.join(', ')}`, logger);
+    }
+
+    // Authenticate the caller; writing to Commerce requires the apply permission
+    const denied = await guardAction(
+      params,
+      action === 'apply' ? 'import-products:apply' : 'import-products',
+      config,
+      logger
+    );
+    if (denied) {
+      return denied;
+    }
+
+    const result = await runOperation(action, params, config, logger);
+    if (result.statusCode) {
+      return errorResponse(result.statusCode, result.message, logger);
+    }
+
+    if (params.__ow_headers?.['hx-request'] === 'true') {
+      return createHTMLResponse(generateImportReportHTML(result));
+    }
+    return successResponse(
+      { import: result },
+      `Import ${result.importId} ${result.status}`,
+      logger
+    );
+  } catch (error) {
+    logger.error('Import operation failed', { error: error.message, stack: error.stack });
+    return errorResponse(
+      error.statusCode || 500,
+      `Import operation failed: ${error.message}`,
+      logger
+    );
+  }
+}
+
+exports.main = main;
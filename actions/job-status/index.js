@@ -0,0 +1,59 @@
+/**
+ * Adobe App Builder Action: Export Job Status
+ * Follows Adobe standard patterns with direct exports.main
+ *
+ * Reports an async export job (jobId parameter): status, phase, progress (pages fetched,
+ * products enriched, bytes uploaded) and, once completed, the export result with its download URL
+ */
+
+const { Core } = require('@adobe/aio-sdk');
+
+const createConfig = require('../../config');
+const { guardAction } = require('../../lib/access');
+const { getExportJob } = require('../../lib/jobs');
+const { errorResponse, successResponse } = require('../../lib/utils');
+
+/**
+ * Estimate completion from enriched vs. expected products
+ * @param {Object} job - Export job
+ * @returns {number|null} Percentage (0-100), or null while the total is unknown
+ */
+function getPercentComplete(job) {
+  if (job.status === 'succeeded') return 100;
+  const { productsEnriched, totalProducts } = job.progress || {};
+  if (!totalProducts) return null;
+  // Hold at 99% until the upload completes
+  return Math.min(99, Math.floor((productsEnriched / totalProducts) * 100));
+}
+
+async function main(params) {
+  const logger = Core.Logger('job-status', { level: params.LOG_LEVEL || 'info' });
+
+  try {
+    const config = createConfig(params);
+
+    // Authenticate the caller and check the action's required role
+    const denied = await guardAction(params, 'job-status', config, logger);
+    if (denied) {
+      return denied;
+    }
+
+    const job = await getExportJob(params.jobId);
+    if (!job) {
+      return errorResponse(404, `Export job '${params.jobId || ''}' not found`, logger);
+    }
+
+    // Polled every few seconds, so the success message is not logged
+    return successResponse(
+      { job: { ...job, percentComplete: getPercentComplete(job) } },
+      `Export job ${job.status}`,
+      null,
+      { 'Cache-Control': 'no-store' }
+    );
+  } catch (error) {
+    logger.error('Job status lookup failed', { error: error.message });
+    return errorResponse(500, `Job status lookup failed: ${error.message}`, logger);
+  }
+}
+
+exports.main = main;
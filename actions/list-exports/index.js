@@ -0,0 +1,48 @@
+/**
+ * Adobe App Builder Action: Export History
+ * Follows Adobe standard patterns with direct exports.main
+ *
+ * Lists recent export runs from their manifests, newest first (limit, source parameters).
+ * HTMX requests get history rows as HTML; other callers get the manifests as JSON.
+ */
+
+const { Core } = require('@adobe/aio-sdk');
+
+const createConfig = require('../../config');
+const { guardAction } = require('../../lib/access');
+const { listExportRuns } = require('../../lib/history');
+const { generateExportHistoryHTML, createHTMLResponse } = require('../../lib/htmx');
+const { errorResponse, successResponse } = require('../../lib/utils');
+
+const SOURCES = ['rest', 'mesh'];
+
+async function main(params) {
+  const logger = Core.Logger('list-exports', { level: params.LOG_LEVEL || 'info' });
+
+  try {
+    const config = createConfig(params);
+
+    // Authenticate the caller and check the action's required role
+    const denied = await guardAction(params, 'list-exports', config, logger);
+    if (denied) {
+      return denied;
+    }
+
+    if (params.source && !SOURCES.includes(params.source)) {
+      return errorResponse(400, `Invalid source. Use: ${SOURCES.join(', ')}`, logger);
+    }
+
+    const runs = await listExportRuns(config, { limit: params.limit, source: params.source });
+    logger.info('Retrieved export history', { count: runs.length });
+
+    if (params.__ow_headers?.['hx-request'] === 'true') {
+      return createHTMLResponse(generateExportHistoryHTML(runs, params));
+    }
+    return successResponse({ runs, count: runs.length }, 'Export history listed', logger);
+  } catch (error) {
+    logger.error('Action failed', { error: error.message, stack: error.stack });
+    return errorResponse(500, error.message, logger);
+  }
+}
+
+exports.main = main;
@@ -0,0 +1,101 @@
+/**
+ * Adobe App Builder Action: REST vs API Mesh parity check
+ * Follows Adobe standard patterns with direct exports.main
+ *
+ * Runs the get-products and get-products-mesh pipelines on the same page range (pages, pageSize,
+ * storeCode and filters parameters) and reports field-level differences per SKU.
+ */
+
+const { Core } = require('@adobe/aio-sdk');
+
+const createConfig = require('../../config');
+const { guardAction } = require('../../lib/access');
+const { resolveProductFilterGroups } = require('../../lib/commerce');
+const { getRequiredAuthParams } = require('../../lib/commerce/auth');
+const { parseProductFilters } = require('../../lib/commerce/filters');
+const { parseStoreCodes } = require('../../lib/commerce/stores');
+const { parsePageRange, parsePageSize, runParityCheck } = require('../../lib/parity');
+const { errorResponse, successResponse, checkMissingRequestInputs } = require('../../lib/utils');
+
+/**
+ * Parse and validate the page range, page size, store view and filters of a check
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @returns {Object} { range, pageSize, storeCode, filters }
+ * @throws {Error} If any option is invalid
+ */
+function parseCheckOptions(params, config) {
+  const range = parsePageRange(params.pages, config);
+  const pageSize = parsePageSize(params.pageSize, config);
+
+  const storeCodes = parseStoreCodes(params.storeCode);
+  if (storeCodes.length > 1) {
+    throw new Error('Parity checks compare one store view at a time');
+  }
+
+  let filters;
+  try {
+    filters = parseProductFilters(params.filters);
+  } catch (error) {
+    throw new Error(`Invalid filters: ${error.message}`);
+  }
+  return { range, pageSize, storeCode: storeCodes[0], filters };
+}
+
+async function main(params) {
+  const logger = Core.Logger('parity-check', { level: params.LOG_LEVEL || 'info' });
+
+  try {
+    let config = createConfig(params);
+
+    // Authenticate the caller and check the action's required role
+    const denied = await guardAction(params, 'parity-check', config, logger);
+    if (denied) {
+      return denied;
+    }
+
+    // Both pipelines run, so mesh access and the Commerce credentials are required
+    let requiredParams;
+    let options;
+    try {
+      requiredParams = ['API_MESH_ENDPOINT', 'MESH_API_KEY', ...getRequiredAuthParams(config)];
+      options = parseCheckOptions(params, config);
+    } catch (error) {
+      return errorResponse(400, error.message, logger);
+    }
+    const missingParams = checkMissingRequestInputs(params, requiredParams);
+    if (missingParams) {
+      return errorResponse(400, missingParams, logger);
+    }
+
+    if (options.storeCode) {
+      config = createConfig({ ...params, storeCode: options.storeCode });
+    }
+    const filterGroups = await resolveProductFilterGroups(
+      params,
+      config,
+      null,
+      options.filters,
+      logger
+    );
+
+    logger.info('Starting parity check', { pages: options.range, pageSize: options.pageSize });
+    const report = await runParityCheck(
+      params,
+      config,
+      { range: options.range, pageSize: options.pageSize, filterGroups },
+      logger
+    );
+
+    const message = report.passed
+      ? `REST and mesh match for ${report.compared} products`
+      : `REST and mesh differ: ${report.differing} of ${report.compared} products, ` +
+        `${report.onlyInRest.length} only in REST, ${report.onlyInMesh.length} only in mesh`;
+    return successResponse({ parity: report }, message, logger);
+  } catch (error) {
+    logger.error('Action failed', { error: error.message });
+    return errorResponse(500, error.message, logger);
+  }
+}
+
+exports.main = main;
@@ -0,0 +1,52 @@
+/**
+ * Adobe App Builder Action: Asynchronous Export Worker
+ * Not a web action; started by get-products or get-products-mesh when called with async=true
+ *
+ * Runs the export of the job's source in this activation, where the gateway timeout of web
+ * requests does not apply, and records the outcome on the job (see lib/jobs.js). Streaming is
+ * on by default so progress is reported per page.
+ */
+
+const { Core } = require('@adobe/aio-sdk');
+
+const createConfig = require('../../config');
+const { finishExportJob } = require('../../lib/jobs');
+const { errorResponse, successResponse } = require('../../lib/utils');
+const { main: exportProducts } = require('../get-products');
+const { main: exportProductsMesh } = require('../get-products-mesh');
+
+// Export action run for each job source
+const EXPORTS = {
+  rest: exportProducts,
+  mesh: exportProductsMesh,
+};
+
+async function main(params) {
+  const logger = Core.Logger('run-export', { level: params.LOG_LEVEL || 'info' });
+
+  const runExport = EXPORTS[params.source];
+  if (!params.jobId || !runExport) {
+    return errorResponse(400, 'jobId and a valid source (rest, mesh) are required', logger);
+  }
+
+  const config = createConfig(params);
+  try {
+    logger.info('Running export job', { jobId: params.jobId, source: params.source });
+
+    // Direct invocation: the export action's caller guard treats the worker as a system caller
+    const response = await runExport({ ...params, streaming: params.streaming ?? true });
+    const job = await finishExportJob(params.jobId, response, config);
+
+    return successResponse(
+      { jobId: job.id, status: job.status, error: job.error },
+      `Export job ${job.status}`,
+      logger
+    );
+  } catch (error) {
+    const response = errorResponse(500, `Export job failed: ${error.message}`, logger);
+    await finishExportJob(params.jobId, response, config).catch(() => {});
+    return response;
+  }
+}
+
+exports.main = main;
@@ -0,0 +1,50 @@
+/**
+ * Adobe App Builder Action: Scheduled Export Dispatcher
+ * Invoked by the export-schedule-tick alarm trigger (see app.config.yaml); not a web action
+ *
+ * Starts every active job whose cron fired since the previous tick. The first tick looks back
+ * config.schedules.tickMinutes, and outages longer than maxCatchUpMinutes are not replayed.
+ */
+
+const { Core } = require('@adobe/aio-sdk');
+
+const createConfig = require('../../config');
+const { createScheduleStore, findDueJobs, runJob } = require('../../lib/schedules');
+const { errorResponse, successResponse } = require('../../lib/utils');
+
+async function main(params) {
+  const logger = Core.Logger('run-schedules', { level: params.LOG_LEVEL || 'info' });
+
+  try {
+    const config = createConfig(params);
+    const { tickMinutes, maxCatchUpMinutes } = config.schedules;
+    const store = await createScheduleStore(config);
+
+    const now = Date.now();
+    const lastTick = await store.getLastTick();
+    const from = Math.max(lastTick || now - tickMinutes * 60000, now - maxCatchUpMinutes * 60000);
+    await store.setLastTick(now);
+
+    const due = findDueJobs(await store.list(), from, now);
+    logger.info('Schedule tick', { from: new Date(from).toISOString(), dueJobs: due.length });
+
+    // Start jobs one after another; each invocation returns as soon as the export is queued
+    const runs = [];
+    for (const { job, scheduledFor } of due) {
+      const run = await runJob(store, job, config, { trigger: 'schedule', scheduledFor }, logger);
+      runs.push({ name: job.name, ...run });
+    }
+
+    const failed = runs.filter((run) => run.status === 'failed').length;
+    return successResponse(
+      { runs, started: runs.length - failed, failed },
+      `Started ${runs.length - failed} of ${runs.length} scheduled export(s)`,
+      logger
+    );
+  } catch (error) {
+    logger.error('Schedule tick failed', { error: error.message });
+    return errorResponse(500, `Schedule tick failed: ${error.message}`, logger);
+  }
+}
+
+exports.main = main;
@@ -0,0 +1,144 @@
+/**
+ * Adobe App Builder Action: Upload CSV files to storage
+ * Follows Adobe standard patterns with direct exports.main
+ *
+ * Stages hand-curated feeds next to generated exports. The CSV (content parameter) must match
+ * the chosen format's schema (format parameter, defaults to products.defaultFormat); valid files
+ * are stored under fileName and the refreshed file browser is returned as HTML.
+ *
+ * Existing files and names of export run files are only replaced when an admin passes
+ * overwrite=true, so uploads cannot clobber exports recorded in the history.
+ */
+
+const { Core } = require('@adobe/aio-sdk');
+
+const createConfig = require('../../config');
+const { guardAction } = require('../../lib/access');
+const { parseFileName } = require('../../lib/csv');
+const { hasFormat } = require('../../lib/formats');
+const { isRunFileName } = require('../../lib/history');
+const { generateFileBrowserHTML, createHTMLResponse } = require('../../lib/htmx');
+const { parseImportCsv, summarizeImportErrors } = require('../../lib/imports');
+const { listCsvFiles, listKeys, storeCsv } = require('../../lib/storage');
+const { errorResponse, checkMissingRequestInputs, parseBooleanParam } = require('../../lib/utils');
+
+/**
+ * Validate the upload's file name, format and size
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @returns {Object} Upload ({ fileName, formatName }) or error ({ statusCode, message })
+ */
+function parseUpload(params, config) {
+  const formatName = params.format || config.products.defaultFormat;
+  if (!hasFormat(formatName)) {
+    return { statusCode: 400, message: `Unknown export format '${formatName}'` };
+  }
+
+  let fileName;
+  try {
+    fileName = parseFileName(params.fileName);
+  } catch (error) {
+    return { statusCode: 400, message: error.message };
+  }
+  if (!fileName.endsWith('.csv')) {
+    return { statusCode: 400, message: 'Only CSV files (.csv) can be uploaded' };
+  }
+
+  if (typeof params.content !== 'string') {
+    return { statusCode: 400, message: 'content must be the CSV text' };
+  }
+  if (Buffer.byteLength(params.content) > config.uploads.maxBytes) {
+    return { statusCode: 413, message: `Uploads are limited to ${config.uploads.maxBytes} bytes` };
+  }
+
+  return { fileName, formatName };
+}
+
+/**
+ * Refuse to replace an existing file or an export run file without overwrite
+ * @param {string} fileName - Upload file name
+ * @param {boolean} overwrite - Whether the caller asked to replace the file
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object|null>} Error ({ statusCode, message }), or null if the name is free
+ */
+async function checkFileNameAvailable(fileName, overwrite, config) {
+  if (overwrite) return null;
+
+  if (isRunFileName(fileName)) {
+    return {
+      statusCode: 409,
+      message: `${fileName} is named like an export run file; pass overwrite=true to replace it`,
+    };
+  }
+  const keys = await listKeys(fileName, config);
+  if (keys.includes(fileName)) {
+    return {
+      statusCode: 409,
+      message: `${fileName} already exists; pass overwrite=true to replace it`,
+    };
+  }
+  return null;
+}
+
+async function main(params) {
+  const logger = Core.Logger('upload-file', { level: params.LOG_LEVEL || 'info' });
+
+  try {
+    const config = createConfig(params);
+
+    // Authenticate the caller; replacing files requires the overwrite permission
+    const overwrite = parseBooleanParam(params.overwrite);
+    const denied = await guardAction(
+      params,
+      overwrite ? 'upload-file:overwrite' : 'upload-file',
+      config,
+      logger
+    );
+    if (denied) {
+      return denied;
+    }
+
+    // Validate required parameters using Adobe standard
+    const requiredParams = ['fileName', 'content'];
+    const missingParams = checkMissingRequestInputs(params, requiredParams);
+    if (missingParams) {
+      return errorResponse(400, missingParams, logger);
+    }
+
+    const upload = parseUpload(params, config);
+    if (upload.statusCode) {
+      return errorResponse(upload.statusCode, upload.message, logger);
+    }
+    const { fileName, formatName } = upload;
+
+    const conflict = await checkFileNameAvailable(fileName, overwrite, config);
+    if (conflict) {
+      return errorResponse(conflict.statusCode, conflict.message, logger);
+    }
+
+    logger.info('Validating upload', { fileName, format: formatName });
+    const { rows, errors } = parseImportCsv(params.content, formatName, config);
+    if (errors.length > 0) {
+      return errorResponse(
+        400,
+        `${fileName} does not match the ${formatName} format: ${summarizeImportErrors(errors, config)}`,
+        logger
+      );
+    }
+
+    const storageResult = await storeCsv(params.content, config, fileName);
+    if (!storageResult.stored) {
+      throw new Error(`Storage failed: ${storageResult.error.message}`);
+    }
+    logger.info('Upload stored', { fileName, format: formatName, rowCount: rows.length });
+
+    // Return the refreshed file list for the file browser
+    const fileList = await listCsvFiles(config);
+    return createHTMLResponse(generateFileBrowserHTML(fileList, params));
+  } catch (error) {
+    logger.error('Action failed', { error: error.message, stack: error.stack });
+    return errorResponse(500, error.message, logger);
+  }
+}
+
+exports.main = main;
@@ -3,6 +3,16 @@
  * Direct configuration without over-engineered domain abstractions
  */
 
+/**
+ * Split a comma-separated deployment input into a list
+ * @param {string|Array} value - Comma-separated string or array
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function splitList(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(',');
+  return entries.map((entry) => String(entry).trim()).filter(Boolean);
+}
+
 /**
  * Configuration factory function for Adobe I/O Runtime
  * Takes action parameters since process.env is not available in runtime
@@ -17,6 +27,16 @@ function createConfig(params = {}) {
       baseUrl: params.COMMERCE_BASE_URL,
       adminUsername: params.COMMERCE_ADMIN_USERNAME,
       adminPassword: params.COMMERCE_ADMIN_PASSWORD,
+      // Auth provider (lib/commerce/auth.js): admin, token, oauth1 or ims
+      auth: {
+        mode: params.COMMERCE_AUTH_MODE || 'admin',
+        ims: {
+          tokenUrl: 'https://ims-na1.adobelogin.com/ims/token/v3',
+          scopes: params.IMS_SCOPES || 'AdobeID,openid,additional_info.projectedProductContext',
+        },
+      },
+      // Store view for /rest/{storeCode}/V1 routing (empty = default store view)
+      storeCode: params.storeCode || '',
       api: {
         version: 'V1',
         paths: {
@@ -30,6 +50,24 @@ function createConfig(params = {}) {
         inventory: 50,
         categories: 20,
       },
+      // Maximum batch requests in flight per enrichment step (lib/commerce/scheduler.js)
+      concurrency: {
+        inventory: 4,
+        salable: 4, // Per inventory batch; salable quantity has no batch endpoint
+        categories: 4,
+      },
+      // Shared HTTP client (lib/commerce/client.js)
+      http: {
+        timeoutMs: 30000, // Per-request timeout
+        retries: 3, // Retries on 429/5xx, timeouts and network errors
+        backoffBaseMs: 250, // Exponential backoff with full jitter
+        backoffMaxMs: 8000,
+        retryAfterMaxMs: 30000, // Cap for server-provided Retry-After waits
+        circuitBreaker: {
+          failureThreshold: 5, // Consecutive failed requests before the host is short-circuited
+          resetTimeoutMs: 30000, // Time before a trial request is let through
+        },
+      },
       pagination: {
         pageSize: 50,
         defaultPage: 1,
@@ -43,31 +81,153 @@ function createConfig(params = {}) {
       categoryDisplayLimit: 10,
       categoryBatchThreshold: 1,
       inventoryBatchThreshold: 1,
+      // Maximum source calls in flight per resolver step (build-time inlined)
+      concurrency: {
+        inventory: 4,
+        categories: 4,
+      },
       pagination: {
         pageSize: 50,
         defaultPage: 1,
       },
     },
 
-    // Storage Configuration
+    // Storage Configuration (lib/storage): s3, files (Adobe I/O Files) or local
     storage: {
-      provider: 's3',
+      provider: params.STORAGE_PROVIDER || 's3',
       directory: 'public/',
+      // Sub-prefixes below the directory, e.g. public/production/acme/ (lib/storage getKeyPrefix)
+      environment: params.STORAGE_ENVIRONMENT || params.NODE_ENV,
+      tenant: params.STORAGE_TENANT,
+      listPageSize: 1000, // Keys per listing request; listings follow every page
+      localDirectory: params.STORAGE_LOCAL_DIR || '.storage', // local provider (development, tests)
     },
 
     // S3 Configuration (when using S3 provider)
     s3: {
-      region: 'us-east-1',
-      bucketName: 'demo-commerce-integrations',
-      prefix: 'kukla-integration/',
+      region: params.AWS_REGION || 'us-east-1',
+      bucketName: params.S3_BUCKET || 'demo-commerce-integrations',
+      prefix: params.S3_PREFIX || 'kukla-integration/', // Namespace of this service in a shared bucket
+      // S3-compatible endpoints such as MinIO usually need path-style addressing
+      endpoint: params.S3_ENDPOINT,
+      forcePathStyle: String(params.S3_FORCE_PATH_STYLE) === 'true',
       accessKeyId: params.AWS_ACCESS_KEY_ID,
       secretAccessKey: params.AWS_SECRET_ACCESS_KEY,
+      multipartPartSize: 5 * 1024 * 1024, // 5 MB - S3 minimum part size for streaming uploads
     },
 
     // Product Export Configuration
     products: {
       maxCategoriesDisplay: 10,
       defaultFilename: 'products.csv',
+      fileName: params.fileName, // Destination name replacing the format's (`fileName` param)
+      defaultFormat: 'recs',
+      currency: 'USD',
+      streaming: false, // Stream pages straight to a storage upload (large catalogs)
+      // Configurable/bundle rows: 'parents', 'children' or 'both' (REST exports, `variants` param)
+      variantMode: params.variants || 'parents',
+    },
+
+    // Export Validation (lib/validation.js): off, report, skip or fail (`validation` param)
+    validation: {
+      mode: params.VALIDATION_MODE || 'report',
+      maxReportIssues: 10000, // Issues written to the data-quality report; totals keep counting
+    },
+
+    // REST vs API Mesh Parity Check (parity-check action, lib/parity.js)
+    parity: {
+      pageSize: 20, // Products per page on both pipelines (`pageSize` param)
+      maxPages: 5, // Longest page range per check (`pages` param, e.g. 1-3)
+      maxReportedProducts: 100, // Differing products listed in the report; counts cover all
+      // Fields only the REST pipeline fills: the mesh query has no status, visibility,
+      // configurable/bundle rollups or salable quantities
+      ignoreFields: [
+        'status',
+        'visibility',
+        'parentSku',
+        'prices.min',
+        'prices.max',
+        'stock.stocks',
+      ],
+    },
+
+    // Export History Configuration (lib/history.js)
+    history: {
+      manifestPrefix: 'manifests/', // S3 key prefix of export run manifests
+      listLimit: 20, // Runs returned by list-exports (`limit` param)
+      maxListLimit: 100,
+    },
+
+    // Category Hierarchy Configuration
+    categories: {
+      // Primary category rule: 'deepest', 'position' (lowest link position) or 'root:<categoryId>'
+      primaryRule: params.PRIMARY_CATEGORY_RULE || 'deepest',
+      pathSeparator: ' > ',
+    },
+
+    // Multi-Source Inventory (MSI) Configuration
+    inventory: {
+      // Sources broken out as qty_<source_code> columns in the catalog format
+      sourceCodes: splitList(params.INVENTORY_SOURCE_CODES),
+      // Stocks to report reservation-aware salable quantity for (one request per SKU and stock)
+      salableStockIds: splitList(params.INVENTORY_STOCK_IDS).map(Number),
+    },
+
+    // RECS Format Configuration
+    recs: {
+      // Column -> expression map, e.g. {"custom2":"{brand}","margin":"{special_price|prices.price:fixed(2)}"}
+      // Accepts an object or its JSON (RECS_FIELD_MAPPINGS deployment input)
+      fieldMappings: params.RECS_FIELD_MAPPINGS || {},
+      // Drives entity.inventory: 'total' (all sources), 'source:<code>' or 'stock:<id>' (salable)
+      inventorySource: params.RECS_INVENTORY_SOURCE || 'total',
+    },
+
+    // CSV Serialization (RFC 4180) - formats may override via csvOptions
+    csv: {
+      delimiter: ',',
+      quoting: 'minimal', // minimal | all | nonnumeric
+      lineEnding: '\r\n',
+      bom: false,
+      neutralizeFormulas: true, // Prefix =, +, -, @ cells to block spreadsheet formula injection
+    },
+
+    // CSV Uploads (upload-file action, lib/imports.js)
+    uploads: {
+      maxBytes: 1024 * 1024, // Web action request bodies are limited to about 1 MB
+      maxErrors: 20, // Validation errors reported per upload
+    },
+
+    // Catalog Write-Back (import-products action, lib/imports.js)
+    imports: {
+      recordPrefix: 'imports/', // Import records (change report, bulk requests, row results)
+      skuBatchSize: 50, // SKUs per Commerce query when diffing against current data
+      maxRows: 2000, // Rows per import; each changed row is one bulk operation
+    },
+
+    // Delta Export Configuration (watermark + SKU snapshot persisted in aio-lib-state)
+    delta: {
+      overlapSeconds: 300, // Re-read this window before the last watermark to absorb clock skew
+      skuPageSize: 1000, // Page size for the SKU-only listing used to detect deletions
+      stateTtl: 86400 * 365, // 1 year (aio-lib-state maximum)
+    },
+
+    // Scheduled Exports (lib/schedules.js, run-schedules alarm trigger in app.config.yaml)
+    schedules: {
+      tickMinutes: 5, // Alarm trigger interval; first tick looks back this far
+      maxCatchUpMinutes: 1440, // Firings missed for longer than this are skipped, not replayed
+      stateTtl: 86400 * 365, // 1 year (aio-lib-state maximum)
+    },
+
+    // Asynchronous Export Jobs (lib/jobs.js, run-export worker, job-status action)
+    jobs: {
+      progressIntervalMs: 2000, // Minimum time between progress writes to aio-lib-state
+      stateTtl: 86400 * 7, // Job records are kept for a week
+    },
+
+    // Action-to-action invocation through the OpenWhisk API (lib/runtime.js)
+    runtime: {
+      packageName: 'kukla-integration-service', // Runtime package holding the actions
+      invokeTimeoutMs: 10000,
     },
 
     // Cache Configuration
@@ -77,6 +237,38 @@ function createConfig(params = {}) {
       overrideTtl: 86400 * 365, // 1 year for cache override
       httpCacheMaxAge: 1800, // 30 minutes for HTTP Cache-Control header
     },
+
+    // Caller Access Control (lib/access.js)
+    access: {
+      enforce: params.ACCESS_GUARD !== 'off', // 'off' is meant for local development only
+      apiKeySecret: params.ACCESS_API_KEY_SECRET, // Signs API keys (npm run api-key)
+      revokedKeys: splitList(params.ACCESS_REVOKED_KEYS), // Key IDs no longer accepted
+      imsRoles: params.ACCESS_IMS_ROLES, // JSON: IMS user or client ID ('*' for any) to role
+      imsClientId: params.IMS_CLIENT_ID,
+      imsValidateUrl: 'https://ims-na1.adobelogin.com/ims/validate_token/v1',
+      issuedKeyTtl: 900, // Default lifetime (seconds) of keys issued by auth-token
+      issuedKeyMaxTtl: 3600,
+      // Minimum role per action (viewer < exporter < admin)
+      actions: {
+        'browse-files': 'viewer',
+        'download-file': 'viewer',
+        'get-products': 'exporter',
+        'get-products-mesh': 'exporter',
+        'delete-file': 'admin',
+        'cache-control': 'admin',
+        'auth-token': 'viewer', // Credential health and token introspection
+        'auth-token:issue': 'admin', // Issuing short-lived API keys
+        'export-schedules': 'viewer', // Listing scheduled exports
+        'export-schedules:manage': 'exporter', // Creating, pausing, deleting and running them
+        'job-status': 'viewer',
+        'list-exports': 'viewer',
+        'upload-file': 'exporter',
+        'upload-file:overwrite': 'admin', // Replacing an existing file or export run file
+        'import-products': 'exporter', // Change reports and import status
+        'import-products:apply': 'admin', // Writing approved changes to Commerce
+        'parity-check': 'exporter',
+      },
+    },
   };
 }
 
@@ -0,0 +1,328 @@
+/**
+ * Caller Authentication and Authorization for Web Actions
+ * Callers present an IMS access token or a signed API key, are mapped to a role and must hold
+ * the role config.access.actions requires for the action being called
+ *
+ *   Authorization: Bearer <IMS access token>   role from ACCESS_IMS_ROLES (user or client ID)
+ *   Authorization: ApiKey <key> or x-api-key   signed key '<keyId>.<role>[.<expiry>].<signature>'
+ *
+ * Keys minted with `npm run api-key` never expire; keys issued by the auth-token action carry
+ * an expiry (base-36 epoch seconds) inside the signed payload
+ *
+ * Roles are ordered by privilege: viewer < exporter < admin. Direct (non-web) invocations with
+ * the namespace credentials act as admin
+ */
+
+const crypto = require('crypto');
+
+const { errorResponse, getBearerToken } = require('./utils');
+
+const ROLES = ['viewer', 'exporter', 'admin'];
+const API_KEY_PATTERN = /^([a-z0-9-]+)\.([a-z]+)(?:\.([0-9a-z]+))?\.([A-Za-z0-9_-]+)$/i;
+const IMS_VALIDATION_TTL_MS = 5 * 60 * 1000;
+
+// Validated IMS callers per token hash, shared across requests of a warm container
+const imsCallers = new Map();
+
+/**
+ * Create an error carrying the HTTP status the guard responds with
+ * @param {number} statusCode - 401 (not authenticated) or 403 (not allowed)
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+function createAccessError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Build the signed part of an API key
+ * @param {string} keyId - Key identifier (used for revocation)
+ * @param {string} role - Role granted to the key
+ * @param {string} [expiry] - Base-36 expiry in epoch seconds (omitted for keys that never expire)
+ * @returns {string} '<keyId>.<role>[.<expiry>]'
+ */
+function buildKeyPayload(keyId, role, expiry) {
+  return expiry ? `${keyId}.${role}.${expiry}` : `${keyId}.${role}`;
+}
+
+/**
+ * Sign an API key payload
+ * @param {string} payload - Payload from buildKeyPayload
+ * @param {string} secret - Signing secret (ACCESS_API_KEY_SECRET)
+ * @returns {string} base64url HMAC-SHA256 signature
+ */
+function signApiKey(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Mint a signed API key
+ * @param {string} keyId - Key identifier (letters, digits and dashes)
+ * @param {string} role - viewer, exporter or admin
+ * @param {string} secret - Signing secret (ACCESS_API_KEY_SECRET)
+ * @param {number} [expiresAt] - Expiry in epoch milliseconds (omit for a key that never expires)
+ * @returns {string} API key
+ * @throws {Error} If the key ID or role is invalid
+ */
+function createApiKey(keyId, role, secret, expiresAt) {
+  if (!/^[a-z0-9-]+$/i.test(keyId || '')) {
+    throw new Error('Key ID must contain only letters, digits and dashes');
+  }
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role '${role}'. Use: ${ROLES.join(', ')}`);
+  }
+  if (!secret) {
+    throw new Error('ACCESS_API_KEY_SECRET is required to sign API keys');
+  }
+  const expiry = expiresAt ? Math.floor(expiresAt / 1000).toString(36) : undefined;
+  const payload = buildKeyPayload(keyId, role, expiry);
+  return `${payload}.${signApiKey(payload, secret)}`;
+}
+
+/**
+ * Issue a short-lived API key scoped to a role
+ * @param {string} role - Role granted to the key
+ * @param {number} ttl - Requested lifetime in seconds (capped at config.access.issuedKeyMaxTtl)
+ * @param {Object} access - Access configuration (config.access)
+ * @returns {Object} { apiKey, keyId, role, ttl, expiresAt }
+ * @throws {Error} If the role is invalid or key signing is not configured
+ */
+function issueApiKey(role, ttl, access) {
+  const lifetime = Math.min(Number(ttl) || access.issuedKeyTtl, access.issuedKeyMaxTtl);
+  if (lifetime <= 0) {
+    throw new Error('Key lifetime must be a positive number of seconds');
+  }
+
+  const keyId = `tmp-${crypto.randomBytes(6).toString('hex')}`;
+  const expiresAt = Date.now() + lifetime * 1000;
+  return {
+    apiKey: createApiKey(keyId, role, access.apiKeySecret, expiresAt),
+    keyId,
+    role,
+    ttl: lifetime,
+    expiresAt: new Date(expiresAt).toISOString(),
+  };
+}
+
+/**
+ * Read the API key from the request headers
+ * @param {Object} params - Action parameters
+ * @returns {string|null} API key
+ */
+function getApiKey(params) {
+  const headers = params.__ow_headers || {};
+  const authorization = headers.authorization || '';
+  if (authorization.startsWith('ApiKey ')) {
+    return authorization.substring('ApiKey '.length).trim();
+  }
+  return headers['x-api-key'] || null;
+}
+
+/**
+ * Authenticate a signed API key
+ * @param {string} apiKey - API key from the request
+ * @param {Object} access - Access configuration (config.access)
+ * @returns {Object} Caller ({ type, id, role })
+ * @throws {Error} 401 if the key is malformed, forged, expired or revoked
+ */
+function authenticateApiKey(apiKey, access) {
+  if (!access.apiKeySecret) {
+    throw createAccessError(401, 'API key authentication is not configured');
+  }
+
+  const match = apiKey.match(API_KEY_PATTERN);
+  if (!match || !ROLES.includes(match[2])) {
+    throw createAccessError(401, 'Malformed API key');
+  }
+
+  const [, keyId, role, expiry, signature] = match;
+  const expected = Buffer.from(
+    signApiKey(buildKeyPayload(keyId, role, expiry), access.apiKeySecret)
+  );
+  const received = Buffer.from(signature);
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    throw createAccessError(401, 'Invalid API key');
+  }
+  if (expiry && parseInt(expiry, 36) * 1000 <= Date.now()) {
+    throw createAccessError(401, `API key '${keyId}' has expired`);
+  }
+  if (access.revokedKeys.includes(keyId)) {
+    throw createAccessError(401, `API key '${keyId}' has been revoked`);
+  }
+
+  return { type: 'api-key', id: keyId, role };
+}
+
+/**
+ * Parse the IMS role mappings (caller user or client ID to role, '*' for any valid token)
+ * @param {Object|string} value - Mappings or their JSON (ACCESS_IMS_ROLES)
+ * @returns {Object} Mappings
+ * @throws {Error} If the mappings are invalid
+ */
+function parseImsRoles(value) {
+  let roles = value || {};
+  if (typeof roles === 'string') {
+    try {
+      roles = roles.trim() ? JSON.parse(roles) : {};
+    } catch (error) {
+      throw new Error('ACCESS_IMS_ROLES must be valid JSON');
+    }
+  }
+
+  const invalid = Object.values(roles).filter((role) => !ROLES.includes(role));
+  if (invalid.length > 0) {
+    throw new Error(`Unknown role(s) in ACCESS_IMS_ROLES: ${invalid.join(', ')}`);
+  }
+  return roles;
+}
+
+/**
+ * Validate an IMS access token with IMS
+ * @param {string} token - Access token
+ * @param {Object} access - Access configuration (config.access)
+ * @returns {Promise<Object>} Token claims (user_id, client_id, ...)
+ * @throws {Error} 401 if IMS rejects the token
+ */
+async function validateImsToken(token, access) {
+  const body = new URLSearchParams({
+    type: 'access_token',
+    client_id: access.imsClientId || '',
+    token,
+  });
+
+  let response;
+  try {
+    response = await fetch(access.imsValidateUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: body.toString(),
+      signal: AbortSignal.timeout(10000),
+    });
+  } catch (error) {
+    throw createAccessError(401, `IMS token validation failed: ${error.message}`);
+  }
+
+  const result = response.ok ? await response.json() : null;
+  if (!result?.valid) {
+    throw createAccessError(401, 'Invalid or expired IMS access token');
+  }
+  return result.token || {};
+}
+
+/**
+ * Authenticate an IMS access token and map the caller to a role
+ * @param {string} token - Access token
+ * @param {Object} access - Access configuration (config.access)
+ * @returns {Promise<Object>} Caller ({ type, id, role })
+ * @throws {Error} 401 for invalid tokens, 403 for callers without a role
+ */
+async function authenticateImsToken(token, access) {
+  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  const cached = imsCallers.get(tokenHash);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.caller;
+  }
+
+  const claims = await validateImsToken(token, access);
+  const roles = parseImsRoles(access.imsRoles);
+  const id = claims.user_id || claims.client_id;
+  const role = roles[claims.user_id] || roles[claims.client_id] || roles['*'];
+  if (!role) {
+    throw createAccessError(403, `IMS caller '${id}' has no role`);
+  }
+
+  const caller = { type: 'ims', id, role };
+  imsCallers.set(tokenHash, { caller, expiresAt: Date.now() + IMS_VALIDATION_TTL_MS });
+  return caller;
+}
+
+/**
+ * Authenticate the caller and check the role the action requires
+ * @param {Object} params - Action parameters
+ * @param {string} actionName - Action name (key of config.access.actions)
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object>} Caller ({ type, id, role })
+ * @throws {Error} With statusCode 401 or 403
+ */
+async function authorizeAction(params, actionName, config) {
+  const { access } = config;
+  const requiredRole = access.actions[actionName];
+  if (!requiredRole) {
+    throw createAccessError(403, `No permission is configured for action '${actionName}'`);
+  }
+  if (!access.enforce) {
+    return { type: 'anonymous', id: null, role: 'admin' };
+  }
+  // Web requests always carry __ow_method; its absence means a direct invocation with the
+  // namespace credentials (e.g. scheduled exports), which only the namespace owner can make
+  if (!params.__ow_method) {
+    return { type: 'system', id: 'openwhisk', role: 'admin' };
+  }
+
+  const apiKey = getApiKey(params);
+  const token = getBearerToken(params);
+  let caller;
+  if (apiKey) {
+    caller = authenticateApiKey(apiKey, access);
+  } else if (token) {
+    caller = await authenticateImsToken(token, access);
+  } else {
+    throw createAccessError(401, 'Authentication required: send an IMS access token or API key');
+  }
+
+  if (ROLES.indexOf(caller.role) < ROLES.indexOf(requiredRole)) {
+    throw createAccessError(
+      403,
+      `Role '${caller.role}' is not allowed to call ${actionName} (requires ${requiredRole})`
+    );
+  }
+  return caller;
+}
+
+/**
+ * Guard a web action
+ * @param {Object} params - Action parameters
+ * @param {string} actionName - Action name (key of config.access.actions)
+ * @param {Object} config - Configuration object
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object|null>} Error response to return, or null when the caller may proceed
+ */
+async function guardAction(params, actionName, config, logger) {
+  try {
+    const caller = await authorizeAction(params, actionName, config);
+    logger.info('Caller authorized', { action: actionName, caller: caller.id, role: caller.role });
+    return null;
+  } catch (error) {
+    return errorResponse(error.statusCode || 500, error.message, logger);
+  }
+}
+
+/**
+ * Identify who triggered a request, for records such as export manifests
+ * Call after guardAction admitted the request. Direct invocations by this app (the async export
+ * worker, scheduled exports) forward the original trigger as the `triggeredBy` parameter.
+ * @param {Object} params - Action parameters
+ * @param {string} actionName - Action name (key of config.access.actions)
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object|null>} Caller ({ type, id, role }), or null if not authorized
+ */
+async function identifyCaller(params, actionName, config) {
+  try {
+    const caller = await authorizeAction(params, actionName, config);
+    if (caller.type === 'system' && params.triggeredBy) {
+      return params.triggeredBy;
+    }
+    return caller;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  createApiKey,
+  guardAction,
+  identifyCaller,
+  issueApiKey,
+};
@@ -1,25 +1,225 @@
 /**
- * Adobe Commerce admin token generation with caching
+ * Adobe Commerce authentication with pluggable providers and token caching
+ *
+ * config.commerce.auth.mode (COMMERCE_AUTH_MODE) selects the provider:
+ *   admin   admin username/password exchanged at /integration/admin/token (default)
+ *   token   static integration access token sent as a bearer token
+ *   oauth1  integration consumer/access token credentials; every request is signed (OAuth 1.0a)
+ *   ims     IMS server-to-server (client credentials) access token, for Commerce as a Cloud Service
+ *
+ * Token providers (admin, ims) are cached in the admin_token cache entry, with the issue time
+ * and TTL in admin_token_meta for introspection; static providers (token, oauth1) need no Commerce call
  */
 
 const { Core } = require('@adobe/aio-sdk');
 
+const { commerceFetch, fetchCommerceData } = require('./client');
+const { buildRestUrl } = require('./stores');
+
+/**
+ * Read a failed response's status and body for error messages
+ * @param {Response} response - Failed fetch response
+ * @returns {Promise<string>} Error details
+ */
+async function readErrorDetails(response) {
+  let errorDetails = `${response.status} ${response.statusText}`;
+  try {
+    const errorBody = await response.text();
+    errorDetails += ` - ${errorBody}`;
+  } catch (e) {
+    // Use status if can't read error body
+  }
+  return errorDetails;
+}
+
+/**
+ * Exchange admin credentials for an admin token
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @param {Object} log - Logger instance
+ * @returns {Promise<Object>} Token and cache TTL in seconds
+ */
+async function requestAdminToken(params, config, log) {
+  const { baseUrl, api } = config.commerce;
+  const tokenUrl = `${baseUrl}/rest/${api.version}${api.paths.adminToken}`;
+
+  log.info('Requesting Commerce admin token', {
+    url: tokenUrl,
+    username: params.COMMERCE_ADMIN_USERNAME ? 'provided' : 'missing',
+    baseUrl,
+    version: api.version,
+    tokenPath: api.paths.adminToken,
+  });
+  const response = await commerceFetch(
+    tokenUrl,
+    {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        username: params.COMMERCE_ADMIN_USERNAME,
+        password: params.COMMERCE_ADMIN_PASSWORD,
+      }),
+    },
+    config.commerce.http
+  );
+
+  if (!response.ok) {
+    const errorDetails = await readErrorDetails(response);
+    log.error('Token request failed', { status: response.status, error: errorDetails });
+    throw new Error(`Token request failed: ${errorDetails}`);
+  }
+
+  const token = await response.json();
+  return { token: token.replace(/"/g, ''), ttl: config.cache.adminTokenTtl };
+}
+
+/**
+ * Request an IMS access token with server-to-server (client credentials) credentials
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @param {Object} log - Logger instance
+ * @returns {Promise<Object>} Token and cache TTL in seconds (never beyond the token's lifetime)
+ */
+async function requestImsToken(params, config, log) {
+  const { tokenUrl, scopes } = config.commerce.auth.ims;
+  const body = new URLSearchParams({
+    grant_type: 'client_credentials',
+    client_id: params.IMS_CLIENT_ID,
+    client_secret: params.IMS_CLIENT_SECRET,
+    scope: scopes,
+  });
+
+  log.info('Requesting IMS access token', { url: tokenUrl, scopes });
+  const response = await commerceFetch(
+    tokenUrl,
+    {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: body.toString(),
+    },
+    config.commerce.http
+  );
+
+  if (!response.ok) {
+    const errorDetails = await readErrorDetails(response);
+    log.error('IMS token request failed', { status: response.status, error: errorDetails });
+    throw new Error(`IMS token request failed: ${errorDetails}`);
+  }
+
+  const result = await response.json();
+  const expiresIn = Number(result.expires_in) || config.cache.adminTokenTtl;
+  return { token: result.access_token, ttl: Math.min(config.cache.adminTokenTtl, expiresIn) };
+}
+
+// Auth providers by mode. Token providers are cached per identity; static ones return a credential
+const AUTH_PROVIDERS = {
+  admin: {
+    label: 'Commerce Admin Token',
+    requiredParams: ['COMMERCE_ADMIN_USERNAME', 'COMMERCE_ADMIN_PASSWORD'],
+    getIdentity: (params) => params.COMMERCE_ADMIN_USERNAME,
+    requestToken: requestAdminToken,
+  },
+  token: {
+    label: 'Commerce Integration Access Token',
+    requiredParams: ['COMMERCE_INTEGRATION_ACCESS_TOKEN'],
+    getCredential: (params) => params.COMMERCE_INTEGRATION_ACCESS_TOKEN,
+  },
+  oauth1: {
+    label: 'Commerce Integration OAuth 1.0a',
+    requiredParams: [
+      'COMMERCE_CONSUMER_KEY',
+      'COMMERCE_CONSUMER_SECRET',
+      'COMMERCE_INTEGRATION_ACCESS_TOKEN',
+      'COMMERCE_ACCESS_TOKEN_SECRET',
+    ],
+    getCredential: (params) => ({
+      consumerKey: params.COMMERCE_CONSUMER_KEY,
+      consumerSecret: params.COMMERCE_CONSUMER_SECRET,
+      token: params.COMMERCE_INTEGRATION_ACCESS_TOKEN,
+      tokenSecret: params.COMMERCE_ACCESS_TOKEN_SECRET,
+    }),
+  },
+  ims: {
+    label: 'IMS Access Token',
+    requiredParams: ['IMS_CLIENT_ID', 'IMS_CLIENT_SECRET'],
+    getIdentity: (params) => `ims:${params.IMS_CLIENT_ID}`,
+    requestToken: requestImsToken,
+  },
+};
+
+/**
+ * Get the auth provider for the configured mode
+ * @param {Object} config - Configuration object
+ * @returns {Object} Provider ({ label, requiredParams, getIdentity|getCredential, requestToken })
+ * @throws {Error} If the mode is unknown
+ */
+function getAuthProvider(config) {
+  const { mode } = config.commerce.auth;
+  const provider = AUTH_PROVIDERS[mode];
+  if (!provider) {
+    throw new Error(
+      `Unknown Commerce auth mode '${mode}'. Use: ${Object.keys(AUTH_PROVIDERS).join(', ')}`
+    );
+  }
+  return provider;
+}
+
+/**
+ * Action parameters the configured auth mode needs
+ * @param {Object} config - Configuration object
+ * @returns {Array<string>} Required parameter names
+ * @throws {Error} If the mode is unknown
+ */
+function getRequiredAuthParams(config) {
+  return getAuthProvider(config).requiredParams;
+}
+
+/**
+ * Identity a cached token belongs to (admin username or ims:<clientId>)
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @returns {string|null} Identity, or null for static credentials that are never cached
+ */
+function getAuthIdentity(params, config) {
+  const provider = getAuthProvider(config);
+  return provider.getIdentity ? provider.getIdentity(params) : null;
+}
+
+/**
+ * Get a Commerce credential for the configured auth mode
+ * Bearer modes return the token string; oauth1 returns the signing credential object,
+ * which the HTTP client turns into a per-request signature
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @param {Object} cache - Cache instance (optional)
+ * @param {Object} logger - Logger instance (optional)
+ * @returns {Promise<Object>} { token, cacheHit, apiCalls }
+ */
 async function getCommerceToken(params, config, cache = null, logger = null) {
   const log = logger || Core.Logger('commerce-auth');
-  const { baseUrl, api } = config.commerce;
+  const provider = getAuthProvider(config);
 
-  if (!params.COMMERCE_ADMIN_USERNAME || !params.COMMERCE_ADMIN_PASSWORD) {
-    const error = 'Commerce admin credentials not provided';
+  const missing = provider.requiredParams.filter((name) => !params[name]);
+  if (missing.length > 0) {
+    const error = `Commerce ${config.commerce.auth.mode} credentials not provided: ${missing.join(', ')}`;
     log.error('Authentication failed', { error });
     throw new Error(error);
   }
 
+  if (provider.getCredential) {
+    return { token: provider.getCredential(params), cacheHit: false, apiCalls: 0 };
+  }
+
   // Check cache first
+  const cacheKey = { username: provider.getIdentity(params) };
   if (cache && cache.enabled) {
-    const cacheKey = { username: params.COMMERCE_ADMIN_USERNAME };
     log.info('Checking admin token cache', {
       cacheEnabled: cache.enabled,
-      username: params.COMMERCE_ADMIN_USERNAME ? 'provided' : 'missing',
+      mode: config.commerce.auth.mode,
     });
     const cachedToken = await cache.get(
       'admin_token',
@@ -27,67 +227,31 @@ async function getCommerceToken(params, config, cache = null, logger = null) {
       null // No bearer token needed for admin token caching
     );
     if (cachedToken) {
-      log.info('Using cached Commerce admin token');
-      return { token: cachedToken, cacheHit: true };
+      log.info('Using cached Commerce token');
+      return { token: cachedToken, cacheHit: true, apiCalls: 0 };
     } else {
-      log.info('Admin token cache miss - will fetch new token');
+      log.info('Token cache miss - will fetch new token');
     }
   }
 
-  const tokenUrl = `${baseUrl}/rest/${api.version}${api.paths.adminToken}`;
-
   try {
-    log.info('Requesting Commerce admin token', {
-      url: tokenUrl,
-      username: params.COMMERCE_ADMIN_USERNAME ? 'provided' : 'missing',
-      baseUrl,
-      version: api.version,
-      tokenPath: api.paths.adminToken,
-    });
-    const response = await fetch(tokenUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        username: params.COMMERCE_ADMIN_USERNAME,
-        password: params.COMMERCE_ADMIN_PASSWORD,
-      }),
-    });
-
-    if (!response.ok) {
-      let errorDetails = `${response.status} ${response.statusText}`;
-      try {
-        const errorBody = await response.text();
-        errorDetails += ` - ${errorBody}`;
-      } catch (e) {
-        // Use status if can't read error body
-      }
-      log.error('Token request failed', { status: response.status, error: errorDetails });
-      throw new Error(`Token request failed: ${errorDetails}`);
-    }
-
-    const token = await response.json();
-    const cleanToken = token.replace(/"/g, '');
+    const { token, ttl } = await provider.requestToken(params, config, log);
 
     // Cache token for reuse
     if (cache && cache.enabled) {
-      const cacheKey = { username: params.COMMERCE_ADMIN_USERNAME };
       await cache.put(
         'admin_token',
         cacheKey,
         null, // No bearer token needed for admin token caching
-        cleanToken,
-        config.cache.adminTokenTtl
+        token,
+        ttl
       );
-      log.info('Cached Commerce admin token for reuse', {
-        ttl: config.cache.adminTokenTtl,
-        username: params.COMMERCE_ADMIN_USERNAME ? 'provided' : 'missing',
-      });
+      await cache.put('admin_token_meta', cacheKey, null, { issuedAt: Date.now(), ttl }, ttl);
+      log.info('Cached Commerce token for reuse', { ttl, mode: config.commerce.auth.mode });
     }
 
-    log.info('Commerce admin token retrieved successfully');
-    return { token: cleanToken, cacheHit: false };
+    log.info('Commerce token retrieved successfully', { mode: config.commerce.auth.mode });
+    return { token, cacheHit: false, apiCalls: 1 };
   } catch (error) {
     log.error('Commerce token generation failed', { error: error.message });
     throw error;
@@ -97,16 +261,96 @@ async function getCommerceToken(params, config, cache = null, logger = null) {
 /**
  * Handle token expiration during Commerce API operations
  * @param {Object} cache - Cache instance
- * @param {string} username - Commerce admin username
+ * @param {string|null} identity - Token identity from getAuthIdentity (null for static credentials)
  * @param {Object} logger - Logger instance
  */
-async function handleTokenExpiration(cache, username, logger) {
-  if (logger) logger.warn('Admin token expired, invalidating cache and will need fresh token');
-  await cache.delete('admin_token', { username }, null);
+async function handleTokenExpiration(cache, identity, logger) {
+  if (logger) logger.warn('Commerce token expired, invalidating cache and will need fresh token');
+  if (identity) {
+    await cache.delete('admin_token', { username: identity }, null);
+    await cache.delete('admin_token_meta', { username: identity }, null);
+  }
   throw new Error('ADMIN_TOKEN_EXPIRED');
 }
 
+/**
+ * Describe the cached token for an identity
+ * @param {Object} cache - Cache instance
+ * @param {string|null} identity - Token identity from getAuthIdentity
+ * @returns {Promise<Object|null>} { issuedAt, ageSeconds, ttlSeconds, remainingTtlSeconds }, or null
+ */
+async function describeCachedToken(cache, identity) {
+  if (!identity || !cache || !cache.enabled) return null;
+
+  const meta = await cache.get('admin_token_meta', { username: identity }, null);
+  if (!meta || !meta.issuedAt) return null;
+
+  const ageSeconds = Math.floor((Date.now() - meta.issuedAt) / 1000);
+  return {
+    issuedAt: new Date(meta.issuedAt).toISOString(),
+    ageSeconds,
+    ttlSeconds: meta.ttl,
+    remainingTtlSeconds: Math.max(0, meta.ttl - ageSeconds),
+  };
+}
+
+/**
+ * Check that the configured credentials work without exposing them
+ * Gets a credential (from cache when possible) and makes a one-item product search with it
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @param {Object} cache - Cache instance (optional)
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} { valid, error, cacheHit, token }
+ */
+async function inspectCommerceToken(params, config, cache, logger) {
+  const identity = getAuthIdentity(params, config);
+
+  let tokenResult;
+  try {
+    tokenResult = await getCommerceToken(params, config, cache, logger);
+  } catch (error) {
+    return { valid: false, error: error.message, cacheHit: false, token: null };
+  }
+
+  const url = buildRestUrl(
+    config.commerce,
+    config.commerce.api.paths.products,
+    'searchCriteria[pageSize]=1'
+  );
+  const probe = await fetchCommerceData(
+    url,
+    tokenResult.token,
+    'GET',
+    'credential check',
+    config.commerce.http
+  );
+  if (probe.isTokenExpired && identity && cache) {
+    // Drop a rejected token so the next call requests a fresh one
+    await cache.delete('admin_token', { username: identity }, null);
+    await cache.delete('admin_token_meta', { username: identity }, null);
+  }
+
+  let error = null;
+  if (probe.isTokenExpired) {
+    error = 'Commerce rejected the credential (401)';
+  } else if (probe.isError) {
+    error = 'Commerce product search failed with the credential';
+  }
+  return {
+    valid: !probe.isError,
+    error,
+    cacheHit: tokenResult.cacheHit,
+    token: probe.isTokenExpired ? null : await describeCachedToken(cache, identity),
+  };
+}
+
 module.exports = {
+  getAuthProvider,
+  getAuthIdentity,
   getCommerceToken,
+  getRequiredAuthParams,
   handleTokenExpiration,
+  inspectCommerceToken,
+  readErrorDetails,
 };
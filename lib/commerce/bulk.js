@@ -0,0 +1,105 @@
+/**
+ * Adobe Commerce Bulk Async API
+ * Catalog writes go through /rest/{store}/async/bulk/V1 endpoints: Commerce queues one operation
+ * per request item and reports each operation's outcome through /V1/bulk/{uuid}/detailed-status
+ */
+
+const { readErrorDetails } = require('./auth');
+const { commerceFetch } = require('./client');
+const { buildRestUrl } = require('./stores');
+
+// Operation status codes of the detailed-status endpoint
+const OPERATION_STATUSES = {
+  1: 'complete',
+  2: 'failed', // Retriable failure
+  3: 'failed',
+  4: 'open',
+  5: 'rejected',
+};
+
+/**
+ * Build a bulk async URL
+ * Without a store view, writes go to the global scope (/rest/all) instead of the default store
+ * view, so values are not saved as store-view overrides
+ * @param {Object} commerce - Commerce configuration (config.commerce)
+ * @param {string} path - Bulk route, with route parameters as bySku etc. (e.g. '/products/bySku')
+ * @returns {string} Full URL
+ */
+function buildBulkUrl(commerce, path) {
+  const scope = commerce.storeCode || 'all';
+  return `${commerce.baseUrl}/rest/${scope}/async/bulk/${commerce.api.version}${path}`;
+}
+
+/**
+ * Submit a bulk request
+ * Submissions are not idempotent: a retry after a lost response would queue the same writes a
+ * second time, so the request is sent once and failures surface to the caller
+ * @param {Object} request - Bulk request
+ * @param {string} request.path - Bulk route (e.g. '/products/bySku')
+ * @param {string} request.method - HTTP method of the underlying route
+ * @param {Array<Object>} request.items - One request body per operation
+ * @param {string|Object} bearerToken - Credential from getCommerceToken
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object>} { bulkUuid, requestItems: [{ id, status }] } in item order
+ * @throws {Error} ADMIN_TOKEN_EXPIRED on 401, or the Commerce error details
+ */
+async function submitBulkRequest({ path, method, items }, bearerToken, config) {
+  const response = await commerceFetch(
+    buildBulkUrl(config.commerce, path),
+    {
+      method,
+      auth: bearerToken,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(items),
+    },
+    { ...config.commerce.http, retries: 0 }
+  );
+
+  if (response.status === 401) {
+    throw new Error('ADMIN_TOKEN_EXPIRED');
+  }
+  if (!response.ok) {
+    throw new Error(`Bulk ${method} ${path} failed: ${await readErrorDetails(response)}`);
+  }
+
+  const result = await response.json();
+  return {
+    bulkUuid: result.bulk_uuid,
+    requestItems: (result.request_items || []).map(({ id, status }) => ({ id, status })),
+  };
+}
+
+/**
+ * Fetch the outcome of each operation of a bulk request
+ * @param {string} bulkUuid - Bulk UUID from submitBulkRequest
+ * @param {string|Object} bearerToken - Credential from getCommerceToken
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Array<Object>>} Operations ({ id, status, message })
+ * @throws {Error} ADMIN_TOKEN_EXPIRED on 401, or the Commerce error details
+ */
+async function fetchBulkStatus(bulkUuid, bearerToken, config) {
+  const response = await commerceFetch(
+    buildRestUrl(config.commerce, `/bulk/${encodeURIComponent(bulkUuid)}/detailed-status`),
+    { method: 'GET', auth: bearerToken, headers: { 'Content-Type': 'application/json' } },
+    config.commerce.http
+  );
+
+  if (response.status === 401) {
+    throw new Error('ADMIN_TOKEN_EXPIRED');
+  }
+  if (!response.ok) {
+    throw new Error(`Bulk status ${bulkUuid} failed: ${await readErrorDetails(response)}`);
+  }
+
+  const result = await response.json();
+  return (result.operations_list || []).map((operation) => ({
+    id: operation.id,
+    status: OPERATION_STATUSES[operation.status] || 'open',
+    message: operation.result_message || undefined,
+  }));
+}
+
+module.exports = {
+  fetchBulkStatus,
+  submitBulkRequest,
+};
@@ -1,10 +1,22 @@
 /**
  * Adobe Commerce Categories Module
  * Handles category data operations following Adobe standards
+ *
+ * Category paths are ID chains such as '1/2/11/23'. Level 0 is the tree root and level 1 the
+ * store root category, so breadcrumbs start at level 2 (e.g. 'Phones > Android > Flagship')
  */
 
 const { Core } = require('@adobe/aio-sdk');
 
+const { commerceFetch } = require('./client');
+const { createScheduler } = require('./scheduler');
+const { buildSearchCriteria } = require('./search-criteria');
+const { buildRestUrl } = require('./stores');
+
+// First level shown in breadcrumbs (below the tree root and the store root category)
+const BREADCRUMB_MIN_LEVEL = 2;
+const PRIMARY_CATEGORY_RULES = ['deepest', 'position'];
+
 /**
  * Extract unique category IDs from products
  * @param {Array} products - Array of products
@@ -22,53 +34,220 @@ function extractCategoryIds(products) {
   return categoryIds;
 }
 
+/**
+ * Fetch one page of the category list for a set of IDs
+ * @param {Array} categoryIds - Array of category IDs
+ * @param {number} currentPage - Page to fetch
+ * @param {string} bearerToken - Admin bearer token
+ * @param {Object} commerce - Commerce configuration (base URL, API version, store code)
+ * @returns {Promise<Response>} Fetch response
+ */
+function fetchCategoriesPage(categoryIds, currentPage, bearerToken, commerce) {
+  const searchCriteria = buildSearchCriteria({
+    pageSize: categoryIds.length,
+    currentPage,
+    filterGroups: [[{ field: 'entity_id', value: categoryIds.join(','), condition: 'in' }]],
+  });
+  const url = buildRestUrl(commerce, '/categories/list', searchCriteria);
+
+  return commerceFetch(url, { auth: bearerToken }, commerce.http);
+}
+
 /**
  * Fetch categories using batch endpoint
+ * Pages are followed until total_count is reached, so a server-side page size cap
+ * cannot drop categories; on failure the categories fetched so far are returned
  * @param {Array} categoryIds - Array of category IDs
  * @param {string} bearerToken - Admin bearer token
- * @param {string} baseUrl - Commerce base URL
- * @param {Object} api - API configuration
+ * @param {Object} commerce - Commerce configuration (base URL, API version, store code)
  * @param {Object} logger - Adobe logger instance
  * @returns {Promise<Array>} Array of category data
  */
-async function fetchCategoriesBatch(categoryIds, bearerToken, baseUrl, api, logger = null) {
+async function fetchCategoriesBatch(categoryIds, bearerToken, commerce, logger = null) {
   const log = logger || Core.Logger('commerce-categories');
-  const categoryIdsStr = categoryIds.join(',');
-  const searchCriteria = `searchCriteria[pageSize]=20&searchCriteria[filter_groups][0][filters][0][field]=entity_id&searchCriteria[filter_groups][0][filters][0][value]=${categoryIdsStr}&searchCriteria[filter_groups][0][filters][0][condition_type]=in`;
-  const url = `${baseUrl}/rest/${api.version}/categories/list?${searchCriteria}`;
+  let categories = [];
+  let currentPage = 1;
+  let hasMore = true;
+
+  while (hasMore) {
+    try {
+      const response = await fetchCategoriesPage(categoryIds, currentPage, bearerToken, commerce);
 
-  try {
-    const response = await fetch(url, {
-      headers: { Authorization: `Bearer ${bearerToken}` },
-    });
+      if (!response.ok) {
+        log.warn('Category batch fetch failed', {
+          categoryIds: categoryIds.length,
+          status: response.status,
+          page: currentPage,
+        });
+        break;
+      }
 
-    if (!response.ok) {
-      log.warn('Category batch fetch failed', {
+      const result = await response.json();
+      const items = result.items || [];
+      categories = categories.concat(items);
+
+      hasMore = items.length > 0 && categories.length < (result.total_count || 0);
+      currentPage++;
+    } catch (error) {
+      log.warn('Category batch fetch error', {
         categoryIds: categoryIds.length,
-        status: response.status,
+        error: error.message,
+        page: currentPage,
       });
-      return [];
+      break;
     }
+  }
 
-    const result = await response.json();
-    const categories = result.items || [];
-
-    return categories.map((category) => ({
-      id: category.id,
-      name: category.name,
-      level: category.level,
-      path: category.path,
-    }));
-  } catch (error) {
-    log.warn('Category batch fetch error', {
-      categoryIds: categoryIds.length,
-      error: error.message,
-    });
-    return [];
+  return categories.map((category) => ({
+    id: category.id,
+    name: category.name,
+    level: category.level,
+    path: category.path,
+  }));
+}
+
+/**
+ * Get the ancestor IDs of a category from its path, excluding the tree and store roots
+ * @param {Object} category - Category with path ('1/2/11/23')
+ * @returns {Array<number>} Ancestor IDs from the top level down (the category itself excluded)
+ */
+function getAncestorIds(category) {
+  if (!category.path) return [];
+  return String(category.path).split('/').map(Number).slice(BREADCRUMB_MIN_LEVEL, -1);
+}
+
+/**
+ * Fetch categories with every ancestor needed to build their breadcrumbs
+ * Leaf categories are fetched in batches of config.commerce.batching.categories,
+ * followed by one more round for ancestors that were not already returned.
+ * At most config.commerce.concurrency.categories batches are in flight
+ * @param {Array} categoryIds - Category IDs linked to products
+ * @param {string} bearerToken - Admin bearer token
+ * @param {Object} commerce - Commerce configuration (base URL, API version, store code,
+ *   batching, concurrency)
+ * @param {Object} logger - Adobe logger instance
+ * @returns {Promise<Array>} Categories and their ancestors
+ */
+async function fetchCategoryHierarchy(categoryIds, bearerToken, commerce, logger = null) {
+  const schedule = createScheduler(commerce.concurrency.categories);
+  const fetchInBatches = async (ids) => {
+    const batchSize = commerce.batching.categories;
+    const batches = [];
+    for (let i = 0; i < ids.length; i += batchSize) {
+      const batch = ids.slice(i, i + batchSize);
+      batches.push(schedule(() => fetchCategoriesBatch(batch, bearerToken, commerce, logger)));
+    }
+    return (await Promise.all(batches)).flat();
+  };
+
+  const categories = await fetchInBatches(categoryIds);
+  const knownIds = new Set(categories.map((category) => category.id));
+  const ancestorIds = new Set(categories.flatMap(getAncestorIds).filter((id) => !knownIds.has(id)));
+
+  if (ancestorIds.size === 0) return categories;
+  return categories.concat(await fetchInBatches(Array.from(ancestorIds)));
+}
+
+/**
+ * Build the breadcrumb of a category from a lookup map that includes its ancestors
+ * Ancestors missing from the map are skipped rather than failing the export
+ * @param {Object} category - Category with name and path
+ * @param {Map} categoryMap - Category lookup map (ID to category)
+ * @param {string} separator - Breadcrumb separator (config.categories.pathSeparator)
+ * @returns {string} Breadcrumb such as 'Phones > Android > Flagship'
+ */
+function buildCategoryBreadcrumb(category, categoryMap, separator) {
+  const names = getAncestorIds(category)
+    .map((id) => categoryMap.get(id)?.name)
+    .filter(Boolean);
+  return [...names, category.name].filter(Boolean).join(separator);
+}
+
+/**
+ * Check whether a primary category rule is supported
+ * @param {string} rule - 'deepest', 'position' or 'root:<categoryId>'
+ * @returns {boolean} True if the rule is valid
+ */
+function isPrimaryCategoryRule(rule) {
+  return PRIMARY_CATEGORY_RULES.includes(rule) || /^root:\d+$/.test(rule);
+}
+
+/**
+ * Choose a product's primary category
+ * - deepest: highest level, ties broken by lowest link position
+ * - position: lowest link position (the merchandiser's ordering), ties broken by depth
+ * - root:<id>: deepest category under the given root, falling back to deepest overall
+ * @param {Array} categories - Enriched categories ({ id, level, path, position })
+ * @param {string} rule - Primary category rule (config.categories.primaryRule)
+ * @returns {Object|null} Primary category
+ */
+function selectPrimaryCategory(categories, rule = 'deepest') {
+  if (!categories || categories.length === 0) return null;
+  if (!isPrimaryCategoryRule(rule)) {
+    throw new Error(
+      `Unknown primary category rule '${rule}'. Use: ${PRIMARY_CATEGORY_RULES.join(', ')} or root:<categoryId>`
+    );
+  }
+
+  const byDepth = (a, b) => (b.level || 0) - (a.level || 0);
+  const byPosition = (a, b) => (a.position ?? Infinity) - (b.position ?? Infinity);
+  const sorted = [...categories].sort((a, b) =>
+    rule === 'position' ? byPosition(a, b) || byDepth(a, b) : byDepth(a, b) || byPosition(a, b)
+  );
+
+  if (rule.startsWith('root:')) {
+    const rootId = rule.slice('root:'.length);
+    const underRoot = sorted.find((category) =>
+      String(category.path || '')
+        .split('/')
+        .includes(rootId)
+    );
+    return underRoot || sorted[0];
   }
+
+  return sorted[0];
+}
+
+/**
+ * Fetch the IDs of a category and all of its descendants
+ * Uses the category tree endpoint, which returns the subtree in one call
+ * @param {number} rootCategoryId - Category to expand
+ * @param {string} bearerToken - Admin bearer token
+ * @param {Object} commerce - Commerce configuration (base URL, API version, store code)
+ * @returns {Promise<Array<number>>} Category ID followed by its descendant IDs
+ */
+async function fetchCategorySubtreeIds(rootCategoryId, bearerToken, commerce) {
+  const url = buildRestUrl(
+    commerce,
+    commerce.api.paths.categories,
+    `rootCategoryId=${rootCategoryId}`
+  );
+
+  const response = await commerceFetch(url, { auth: bearerToken }, commerce.http);
+
+  if (response.status === 401) {
+    throw new Error('ADMIN_TOKEN_EXPIRED');
+  }
+  if (!response.ok) {
+    // Failing loudly here avoids silently exporting a narrower category set
+    throw new Error(`Category tree fetch failed for ${rootCategoryId}: ${response.status}`);
+  }
+
+  const ids = [];
+  const collect = (node) => {
+    ids.push(node.id);
+    (node.children_data || []).forEach(collect);
+  };
+  collect(await response.json());
+
+  return ids;
 }
 
 module.exports = {
   extractCategoryIds,
   fetchCategoriesBatch,
+  fetchCategoryHierarchy,
+  buildCategoryBreadcrumb,
+  selectPrimaryCategory,
+  fetchCategorySubtreeIds,
 };
@@ -0,0 +1,234 @@
+/**
+ * Adobe Commerce HTTP Client
+ * Shared fetch wrapper for every Commerce call: per-request timeouts, exponential backoff with
+ * full jitter on 429/5xx and network errors, Retry-After handling and a per-host circuit breaker
+ *
+ * Settings come from config.commerce.http; missing keys fall back to DEFAULT_HTTP
+ */
+
+const { signOAuth1Request } = require('./oauth1');
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+const DEFAULT_HTTP = {
+  timeoutMs: 30000,
+  retries: 3,
+  backoffBaseMs: 250,
+  backoffMaxMs: 8000,
+  retryAfterMaxMs: 30000,
+  circuitBreaker: {
+    failureThreshold: 5,
+    resetTimeoutMs: 30000,
+  },
+};
+
+// Circuit state per Commerce host, shared across requests of a warm container
+const circuits = new Map();
+
+/**
+ * Merge request settings with the defaults
+ * @param {Object} http - config.commerce.http (optional)
+ * @returns {Object} Complete settings
+ */
+function resolveSettings(http = {}) {
+  return {
+    ...DEFAULT_HTTP,
+    ...http,
+    circuitBreaker: { ...DEFAULT_HTTP.circuitBreaker, ...(http.circuitBreaker || {}) },
+  };
+}
+
+/**
+ * Get the circuit for a URL's host
+ * @param {string} url - Request URL
+ * @returns {Object} Circuit ({ failures, openedAt, probing })
+ */
+function getCircuit(url) {
+  const { origin } = new URL(url);
+  if (!circuits.has(origin)) {
+    circuits.set(origin, { failures: 0, openedAt: null, probing: false });
+  }
+  return circuits.get(origin);
+}
+
+/**
+ * Fail fast while the circuit is open; after resetTimeoutMs one trial request is let through
+ * Other requests keep failing fast while the trial is in flight
+ * @param {Object} circuit - Circuit state
+ * @param {Object} settings - Resolved settings
+ * @param {string} url - Request URL (for the error message)
+ * @returns {boolean} Whether this request is the half-open trial
+ * @throws {Error} COMMERCE_CIRCUIT_OPEN while the host is considered down
+ */
+function assertCircuitClosed(circuit, settings, url) {
+  if (circuit.openedAt === null) return false;
+
+  const waiting = Date.now() - circuit.openedAt < settings.circuitBreaker.resetTimeoutMs;
+  if (waiting || circuit.probing) {
+    const error = new Error(`Commerce circuit open for ${new URL(url).origin}`);
+    error.code = 'COMMERCE_CIRCUIT_OPEN';
+    throw error;
+  }
+  // Half-open: this request's outcome closes or re-opens the circuit
+  circuit.probing = true;
+  return true;
+}
+
+/**
+ * Record a request outcome on the circuit
+ * @param {Object} circuit - Circuit state
+ * @param {boolean} failed - Whether the request failed after all retries
+ * @param {Object} settings - Resolved settings
+ * @param {boolean} trial - Whether the request was the half-open trial
+ */
+function recordOutcome(circuit, failed, settings, trial) {
+  if (trial) {
+    circuit.probing = false;
+    circuit.openedAt = failed ? Date.now() : null;
+  }
+  if (!failed) {
+    circuit.failures = 0;
+    return;
+  }
+  circuit.failures += 1;
+  if (circuit.failures >= settings.circuitBreaker.failureThreshold) {
+    circuit.openedAt = Date.now();
+  }
+}
+
+/**
+ * Build request options with the Authorization header for a credential
+ * Bearer credentials (admin, integration and IMS tokens) are strings; OAuth 1.0a credentials
+ * are signed per attempt, since each signature carries its own nonce and timestamp
+ * @param {Object} options - fetch options, with the credential in options.auth
+ * @param {string} url - Request URL
+ * @returns {Object} fetch options without `auth`
+ */
+function withAuthorization(options, url) {
+  const { auth, ...fetchOptions } = options;
+  if (!auth) return fetchOptions;
+
+  const authorization =
+    typeof auth === 'string'
+      ? `Bearer ${auth}`
+      : signOAuth1Request(auth, fetchOptions.method || 'GET', url);
+  return { ...fetchOptions, headers: { ...fetchOptions.headers, Authorization: authorization } };
+}
+
+/**
+ * Compute the wait before the next attempt
+ * Retry-After (seconds or HTTP date) wins when present, otherwise full-jitter backoff
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @param {Response|null} response - Failed response (null for network errors)
+ * @param {Object} settings - Resolved settings
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, response, settings) {
+  const retryAfter = response?.headers?.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (Number.isFinite(delay)) {
+      return Math.min(Math.max(delay, 0), settings.retryAfterMaxMs);
+    }
+  }
+
+  const ceiling = Math.min(settings.backoffMaxMs, settings.backoffBaseMs * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Perform a Commerce request with timeout, retries and circuit breaking
+ * Non-retryable responses (2xx, 4xx other than 429) are returned as-is for the caller to handle;
+ * a retryable response that never recovers is returned after the last attempt
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options (method, headers, body) and optional `auth` credential
+ * @param {Object} http - config.commerce.http (optional)
+ * @returns {Promise<Response>} Fetch response
+ * @throws {Error} On timeouts/network errors after all retries, or while the circuit is open
+ */
+async function commerceFetch(url, options = {}, http = {}) {
+  const settings = resolveSettings(http);
+  const circuit = getCircuit(url);
+  const trial = assertCircuitClosed(circuit, settings, url);
+
+  for (let attempt = 0; ; attempt++) {
+    let response = null;
+    let requestError = null;
+
+    try {
+      response = await fetch(url, {
+        ...withAuthorization(options, url),
+        signal: AbortSignal.timeout(settings.timeoutMs),
+      });
+    } catch (error) {
+      requestError =
+        error.name === 'TimeoutError'
+          ? new Error(`Commerce request timed out after ${settings.timeoutMs}ms`)
+          : error;
+    }
+
+    const retryable = requestError !== null || RETRYABLE_STATUSES.includes(response.status);
+    if (!retryable || attempt >= settings.retries) {
+      recordOutcome(circuit, retryable, settings, trial);
+      if (requestError) throw requestError;
+      return response;
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, getRetryDelay(attempt, response, settings)));
+  }
+}
+
+/**
+ * Commerce API fetch with Adobe I/O Runtime error handling
+ * @param {string} url - Request URL
+ * @param {string|Object} bearerToken - Credential from getCommerceToken (token or OAuth 1.0a)
+ * @param {string} method - HTTP method
+ * @param {string} dataType - Data type for error messages
+ * @param {Object} http - config.commerce.http (optional)
+ * @returns {Promise<Object>} Full API response with items, total_count, etc.
+ */
+async function fetchCommerceData(url, bearerToken, method = 'GET', dataType = 'data', http = {}) {
+  try {
+    const response = await commerceFetch(
+      url,
+      {
+        method,
+        auth: bearerToken,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      },
+      http
+    );
+
+    if (!response.ok) {
+      // Use console for lib utilities as logger may not be available
+      console.warn(`${dataType} fetch failed: ${response.status}`);
+      return {
+        items: [],
+        total_count: 0,
+        isError: true,
+        isTokenExpired: response.status === 401,
+      };
+    }
+
+    const result = await response.json();
+    return {
+      items: result.items || result || [],
+      total_count: result.total_count || 0,
+      search_criteria: result.search_criteria || {},
+      isError: false,
+      isTokenExpired: false,
+    };
+  } catch (error) {
+    // Use console for lib utilities as logger may not be available
+    console.warn(`${dataType} fetch error: ${error.message}`);
+    return { items: [], total_count: 0, isError: true, isTokenExpired: false };
+  }
+}
+
+module.exports = {
+  commerceFetch,
+  fetchCommerceData,
+};
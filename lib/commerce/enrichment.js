@@ -3,23 +3,70 @@
  * Orchestrates category and inventory data enrichment following Adobe standards
  */
 
-const { extractCategoryIds, fetchCategoriesBatch } = require('./categories');
-const { createInventoryBatches } = require('./inventory');
+const { fromRestProduct } = require('../product-model');
+const {
+  extractCategoryIds,
+  fetchCategoryHierarchy,
+  buildCategoryBreadcrumb,
+  selectPrimaryCategory,
+} = require('./categories');
+const { createInventoryBatches, getSalableStockIds } = require('./inventory');
+const { applyProductTypes } = require('./product-types');
 
 /**
  * Create category fetch promise using batch endpoint
+ * Ancestors are included so every category can be resolved to its full breadcrumb
  * @param {Set} categoryIds - Set of category IDs
  * @param {Object} config - Configuration object
  * @param {string} bearerToken - Admin bearer token
- * @returns {Array} Array with single batch promise
+ * @returns {Array} Array with single hierarchy promise
  */
 function createCategoryPromises(categoryIds, config, bearerToken) {
   if (categoryIds.size === 0) {
     return [];
   }
 
-  const { baseUrl, api } = config.commerce;
-  return [fetchCategoriesBatch(Array.from(categoryIds), bearerToken, baseUrl, api)];
+  return [fetchCategoryHierarchy(Array.from(categoryIds), bearerToken, config.commerce)];
+}
+
+/**
+ * Resolve a product's category links to named categories with breadcrumbs
+ * @param {Object} product - Base product data
+ * @param {Map} categoryMap - Category lookup map (includes ancestors)
+ * @param {Object} config - Configuration object
+ * @returns {Array} Categories ({ id, name, position, level, path, breadcrumb })
+ */
+function resolveProductCategories(product, categoryMap, config) {
+  const links = product.extension_attributes?.category_links || [];
+
+  return links.map((link) => {
+    // Try both string and number versions of the category ID
+    const categoryInfo =
+      categoryMap.get(link.category_id) || categoryMap.get(link.category_id.toString());
+    const name = categoryInfo ? categoryInfo.name : `Category ${link.category_id}`;
+
+    return {
+      id: link.category_id,
+      name,
+      position: link.position,
+      level: categoryInfo?.level,
+      path: categoryInfo?.path,
+      breadcrumb: categoryInfo
+        ? buildCategoryBreadcrumb(categoryInfo, categoryMap, config.categories.pathSeparator)
+        : name,
+    };
+  });
+}
+
+/**
+ * Count linked categories that could not be fetched (failed batches or an open circuit)
+ * @param {Set} categoryIds - Category IDs linked to products
+ * @param {Array} categories - Fetched categories
+ * @returns {number} Unresolved category IDs
+ */
+function countMissingCategories(categoryIds, categories) {
+  const fetchedIds = new Set(categories.map((category) => String(category?.id)));
+  return Array.from(categoryIds).filter((id) => !fetchedIds.has(String(id))).length;
 }
 
 /**
@@ -49,6 +96,19 @@ function createLookupMaps(allInventory, categoryResults) {
   return { inventoryMap, categoryMap };
 }
 
+/**
+ * Build the structured MSI breakdown attached to enriched products
+ * @param {Object} inventory - Inventory entry from the inventory module
+ * @returns {Object} Breakdown with sources [{ source_code, quantity, in_stock }]
+ *   and stocks [{ stock_id, salable_qty }]
+ */
+function createInventoryBreakdown(inventory) {
+  return {
+    sources: inventory.sources || [],
+    stocks: inventory.stocks || [],
+  };
+}
+
 /**
  * Enrich a single product with category and inventory data
  * @param {Object} product - Base product data
@@ -60,27 +120,19 @@ function createLookupMaps(allInventory, categoryResults) {
 function enrichSingleProduct(product, categoryMap, inventoryMap, config) {
   const enriched = { ...product };
 
-  // Add category data from extension_attributes.category_links with fetched names
-  if (product.extension_attributes && product.extension_attributes.category_links) {
-    enriched.categories = product.extension_attributes.category_links.map((link) => {
-      // Try both string and number versions of the category ID
-      const categoryInfo =
-        categoryMap.get(link.category_id) || categoryMap.get(link.category_id.toString());
-      return {
-        id: link.category_id,
-        name: categoryInfo ? categoryInfo.name : `Category ${link.category_id}`,
-        position: link.position,
-      };
-    });
-  } else {
-    enriched.categories = [];
-  }
+  // Add category data from extension_attributes.category_links with fetched names and paths
+  enriched.categories = resolveProductCategories(product, categoryMap, config);
+  enriched.primary_category = selectPrimaryCategory(
+    enriched.categories,
+    config.categories.primaryRule
+  );
 
-  // Add inventory data
+  // Add inventory data, with the MSI per-source / per-stock breakdown when available
   const inventory = inventoryMap.get(product.id);
   if (inventory) {
     enriched.qty = inventory.qty || 0;
     enriched.stock_status = inventory.is_in_stock ? 'IN_STOCK' : 'OUT_OF_STOCK';
+    enriched.inventory_breakdown = createInventoryBreakdown(inventory);
   } else {
     enriched.qty = 0;
     enriched.stock_status = 'OUT_OF_STOCK';
@@ -90,6 +142,7 @@ function enrichSingleProduct(product, categoryMap, inventoryMap, config) {
   if (!enriched.images && product.media_gallery_entries) {
     enriched.images = product.media_gallery_entries.map((entry) => ({
       url: entry.file ? `${config.commerce.baseUrl}/media/catalog/product${entry.file}` : '',
+      types: entry.types || [],
     }));
   } else if (!enriched.images) {
     enriched.images = [];
@@ -98,6 +151,32 @@ function enrichSingleProduct(product, categoryMap, inventoryMap, config) {
   return enriched;
 }
 
+/**
+ * Build the categories cache key for a set of products
+ * Category names are store-view specific, so scoped exports include the store code
+ * @param {Array} products - Base product data
+ * @param {Object} config - Configuration object
+ * @returns {Object} Cache key parameters
+ */
+function getCategoryCacheKey(products, config) {
+  const categoryIds = Array.from(extractCategoryIds(products));
+  const { storeCode } = config.commerce;
+  return storeCode ? { categoryIds, storeCode } : { categoryIds };
+}
+
+/**
+ * Build the inventory cache key for a set of products
+ * Salable quantities depend on the configured stocks, so those are part of the key
+ * @param {Array} products - Base product data
+ * @param {Object} config - Configuration object
+ * @returns {Object} Cache key parameters
+ */
+function getInventoryCacheKey(products, config) {
+  const skus = products.map((p) => p.sku);
+  const stockIds = getSalableStockIds(config);
+  return stockIds.length > 0 ? { skus, stockIds } : { skus };
+}
+
 /**
  * Enrich products with categories and inventory data with optional caching
  * @param {Array} products - Base product data
@@ -105,9 +184,20 @@ function enrichSingleProduct(product, categoryMap, inventoryMap, config) {
  * @param {string} bearerToken - Admin bearer token
  * @param {Object} cache - Cache instance (optional)
  * @param {Object} logger - Logger instance (optional)
- * @returns {Promise<Array>} Enriched products
+ * @param {Object} options - Enrichment options (optional)
+ * @param {boolean} options.lookup - SKU lookup: every product and variant row, regardless of
+ *   visibility and config.products.variantMode
+ * @returns {Promise<Object>} Enriched products in the canonical model (lib/product-model.js), API
+ *   call counts, cache hits and degraded counts
  */
-async function enrichProducts(products, config, bearerToken, cache = null, logger = null) {
+async function enrichProducts(
+  products,
+  config,
+  bearerToken,
+  cache = null,
+  logger = null,
+  options = {}
+) {
   const categoryIds = extractCategoryIds(products);
   const inventoryPromises = createInventoryBatches(products, config, bearerToken);
   const totalInventoryBatches = inventoryPromises.length; // Track total batches needed
@@ -120,8 +210,7 @@ async function enrichProducts(products, config, bearerToken, cache = null, logge
 
   // Fetch categories with caching
   if (categoryPromises.length > 0 && cache) {
-    const categoryIds = Array.from(extractCategoryIds(products));
-    const cacheKey = { categoryIds };
+    const cacheKey = getCategoryCacheKey(products, config);
     const cachedCategories = await cache.get('categories', cacheKey, bearerToken);
 
     if (cachedCategories) {
@@ -132,9 +221,9 @@ async function enrichProducts(products, config, bearerToken, cache = null, logge
     } else {
       categoryResults = await Promise.all(categoryPromises);
       actualCategoryApiCalls = categoryPromises.length;
-      if (categoryResults.length > 0) {
-        // Flatten and cache all category results as a single array
-        const flattenedCategories = categoryResults.flat();
+      // Flatten and cache all category results as a single array, unless some fetches failed
+      const flattenedCategories = categoryResults.flat();
+      if (countMissingCategories(categoryIds, flattenedCategories) === 0) {
         await cache.put('categories', cacheKey, bearerToken, flattenedCategories);
       }
       if (logger) logger.info('Categories cache MISS');
@@ -146,8 +235,7 @@ async function enrichProducts(products, config, bearerToken, cache = null, logge
 
   // Fetch inventory with caching
   if (inventoryPromises.length > 0 && cache) {
-    const skus = products.map((p) => p.sku);
-    const cacheKey = { skus };
+    const cacheKey = getInventoryCacheKey(products, config);
     const cachedInventory = await cache.get('inventory', cacheKey, bearerToken);
 
     if (cachedInventory) {
@@ -172,9 +260,9 @@ async function enrichProducts(products, config, bearerToken, cache = null, logge
           totalItems: inventoryResults.flat().length,
         });
       }
-      if (inventoryResults.length > 0) {
-        // Flatten and cache all inventory results as a single array
-        const flattenedInventory = inventoryResults.flat();
+      // Flatten and cache all inventory results as a single array, unless some fetches failed
+      const flattenedInventory = inventoryResults.flat();
+      if (!flattenedInventory.some((entry) => entry.degraded)) {
         await cache.put('inventory', cacheKey, bearerToken, flattenedInventory);
       }
     }
@@ -190,13 +278,26 @@ async function enrichProducts(products, config, bearerToken, cache = null, logge
   const enrichedProducts = products.map((product) =>
     enrichSingleProduct(product, categoryMap, inventoryMap, config)
   );
+
+  // Configurable/bundle rollups and the variant mode decide the rows that get exported
+  const typed = await applyProductTypes(enrichedProducts, config, bearerToken, logger, {
+    lookup: options.lookup,
+  });
+
   return {
-    products: enrichedProducts,
-    apiCalls: actualCategoryApiCalls + actualInventoryApiCalls, // Use actual API calls, not promise counts
+    products: typed.products.map((product) => fromRestProduct(product, config)),
+    apiCalls: actualCategoryApiCalls + actualInventoryApiCalls + typed.apiCalls, // Use actual API calls, not promise counts
     categoriesApiCalls: actualCategoryApiCalls,
     inventoryApiCalls: actualInventoryApiCalls,
+    productTypesApiCalls: typed.apiCalls,
     totalInventoryBatches, // Total inventory batches (for metrics display)
     cacheHits,
+    // Data filled with fallbacks because Commerce calls failed
+    degraded: {
+      inventory: allInventory.filter((entry) => entry.degraded).length,
+      categories: countMissingCategories(categoryIds, allCategories),
+      productTypes: typed.degraded,
+    },
   };
 }
 
@@ -0,0 +1,221 @@
+/**
+ * Product Filter DSL
+ * Translates export filter parameters into Commerce searchCriteria filter groups
+ *
+ * Shorthands are AND'ed with each other and with raw groups; filters inside a raw group are OR'ed:
+ *   {
+ *     status: 'enabled',
+ *     visibility: ['catalog', 'both'],
+ *     type: 'simple',
+ *     attributeSet: [4],
+ *     category: [12],
+ *     includeSubcategories: true,
+ *     groups: [[{ field: 'price', value: 10, condition: 'gteq' }]]
+ *   }
+ */
+
+const CONDITION_TYPES = [
+  'eq',
+  'neq',
+  'like',
+  'nlike',
+  'in',
+  'nin',
+  'gt',
+  'gteq',
+  'lt',
+  'lteq',
+  'null',
+  'notnull',
+  'finset',
+  'nfinset',
+  'from',
+  'to',
+  'moreq',
+];
+const VALUELESS_CONDITIONS = ['null', 'notnull'];
+const FIELD_PATTERN = /^[a-z][a-z0-9_]*$/i;
+
+const STATUS_VALUES = { enabled: 1, disabled: 2 };
+const VISIBILITY_VALUES = { not_visible: 1, catalog: 2, search: 3, both: 4 };
+const FILTER_KEYS = [
+  'status',
+  'visibility',
+  'type',
+  'attributeSet',
+  'category',
+  'includeSubcategories',
+  'groups',
+];
+
+/**
+ * Wrap a scalar in an array
+ * @param {*} value - Scalar or array
+ * @returns {Array} Array of values
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Map named enum values (e.g. 'enabled') to Commerce codes, passing numeric codes through
+ * @param {string} name - Filter name for error messages
+ * @param {*} value - Scalar or array of names/codes
+ * @param {Object} mapping - Name to code mapping
+ * @returns {Array<number>} Commerce codes
+ */
+function toEnumCodes(name, value, mapping) {
+  const codes = Object.values(mapping);
+
+  return toList(value).map((entry) => {
+    const code = mapping[String(entry).toLowerCase()] ?? Number(entry);
+    if (!codes.includes(code)) {
+      throw new Error(
+        `Unknown ${name} '${entry}'. Use: ${Object.keys(mapping).join(', ')} or ${codes.join(', ')}`
+      );
+    }
+    return code;
+  });
+}
+
+/**
+ * Parse a list of positive integer IDs
+ * @param {string} name - Filter name for error messages
+ * @param {*} value - Scalar or array of IDs
+ * @returns {Array<number>} IDs
+ */
+function toIdList(name, value) {
+  return toList(value).map((entry) => {
+    const id = Number(entry);
+    if (!Number.isInteger(id) || id <= 0) {
+      throw new Error(`${name} must be a positive integer ID, got '${entry}'`);
+    }
+    return id;
+  });
+}
+
+/**
+ * Validate raw filter groups
+ * @param {Array} groups - Array of arrays of { field, value, condition }
+ * @returns {Array<Array<Object>>} Validated groups with default conditions applied
+ */
+function validateGroups(groups) {
+  if (!Array.isArray(groups) || groups.some((group) => !Array.isArray(group) || !group.length)) {
+    throw new Error('groups must be an array of non-empty filter arrays');
+  }
+
+  return groups.map((group) =>
+    group.map(({ field, value, condition = 'eq' }) => {
+      if (typeof field !== 'string' || !FIELD_PATTERN.test(field)) {
+        throw new Error(`Invalid filter field '${field}'`);
+      }
+      if (!CONDITION_TYPES.includes(condition)) {
+        throw new Error(
+          `Unknown condition '${condition}' for ${field}. Use: ${CONDITION_TYPES.join(', ')}`
+        );
+      }
+      if (!VALUELESS_CONDITIONS.includes(condition) && (value === undefined || value === '')) {
+        throw new Error(`Filter on ${field} with condition '${condition}' requires a value`);
+      }
+
+      const filterValue = Array.isArray(value) ? value.join(',') : value;
+      return {
+        field,
+        value: VALUELESS_CONDITIONS.includes(condition) ? '1' : filterValue,
+        condition,
+      };
+    })
+  );
+}
+
+/**
+ * Read the raw `filters` parameter into an object
+ * @param {string|Object} raw - JSON string (web actions) or object
+ * @returns {Object} Filters object
+ */
+function readFilters(raw) {
+  let filters = raw;
+  if (typeof raw === 'string') {
+    try {
+      filters = JSON.parse(raw);
+    } catch (error) {
+      throw new Error('filters must be valid JSON');
+    }
+  }
+
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new Error('filters must be an object');
+  }
+  return filters;
+}
+
+/**
+ * Parse and validate the `filters` action parameter
+ * @param {string|Object} raw - JSON string (web actions) or object
+ * @returns {Object|null} Normalized filters, or null when no filters were given
+ * @throws {Error} If the filters are malformed
+ */
+function parseProductFilters(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+
+  const filters = readFilters(raw);
+  const unknown = Object.keys(filters).filter((key) => !FILTER_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown filter ${unknown.join(', ')}. Use: ${FILTER_KEYS.join(', ')}`);
+  }
+
+  return {
+    status:
+      filters.status !== undefined ? toEnumCodes('status', filters.status, STATUS_VALUES) : [],
+    visibility:
+      filters.visibility !== undefined
+        ? toEnumCodes('visibility', filters.visibility, VISIBILITY_VALUES)
+        : [],
+    type: filters.type !== undefined ? toList(filters.type).map(String) : [],
+    attributeSet:
+      filters.attributeSet !== undefined ? toIdList('attributeSet', filters.attributeSet) : [],
+    category: filters.category !== undefined ? toIdList('category', filters.category) : [],
+    includeSubcategories: filters.includeSubcategories === true,
+    groups: filters.groups !== undefined ? validateGroups(filters.groups) : [],
+  };
+}
+
+/**
+ * Build a single-filter group, using 'in' for multiple values
+ * @param {string} field - Commerce field
+ * @param {Array} values - Filter values
+ * @returns {Array<Object>} Filter group
+ */
+function singleFilterGroup(field, values) {
+  return values.length === 1
+    ? [{ field, value: values[0], condition: 'eq' }]
+    : [{ field, value: values.join(','), condition: 'in' }];
+}
+
+/**
+ * Convert normalized filters into searchCriteria filter groups
+ * @param {Object|null} filters - Result of parseProductFilters
+ * @param {Array<number>} categoryIds - Category IDs after subtree expansion (defaults to filters.category)
+ * @returns {Array<Array<Object>>} Filter groups (AND'ed)
+ */
+function buildProductFilterGroups(filters, categoryIds = filters?.category || []) {
+  if (!filters) return [];
+
+  const shorthands = [
+    ['status', filters.status],
+    ['visibility', filters.visibility],
+    ['type_id', filters.type],
+    ['attribute_set_id', filters.attributeSet],
+    ['category_id', categoryIds],
+  ];
+
+  return shorthands
+    .filter(([, values]) => values.length > 0)
+    .map(([field, values]) => singleFilterGroup(field, values))
+    .concat(filters.groups);
+}
+
+module.exports = {
+  parseProductFilters,
+  buildProductFilterGroups,
+};
@@ -3,10 +3,22 @@
  * Main entry point that orchestrates all commerce operations
  */
 
-const { getCommerceToken } = require('./auth');
+const { getAuthIdentity, getCommerceToken } = require('./auth');
+const { fetchBulkStatus, submitBulkRequest } = require('./bulk');
+const { fetchCategorySubtreeIds } = require('./categories');
 const { enrichProducts } = require('./enrichment');
-const { getProductsFromMesh } = require('./mesh-client');
-const { fetchProducts } = require('./products');
+const { buildProductFilterGroups } = require('./filters');
+const { getProductsFromMesh, iterateMeshPages } = require('./mesh-client');
+const { fetchAllSkus, fetchProducts, iterateProductPages } = require('./products');
+
+// Response warnings for data that was filled with fallbacks because Commerce calls failed
+const DEGRADED_DATA_WARNINGS = {
+  inventory: (count) => `Inventory unavailable for ${count} product(s); exported as out of stock`,
+  categories: (count) =>
+    `${count} category(ies) could not be fetched; exported with placeholder names`,
+  productTypes: (count) =>
+    `Variants or bundle options unavailable for ${count} product(s); exported without rollups`,
+};
 
 /**
  * Fetch and enrich products from Adobe Commerce with optional caching
@@ -16,9 +28,13 @@ const { fetchProducts } = require('./products');
  * @param {Object} config - Configuration object
  * @param {Object} cache - Cache instance (optional)
  * @param {Object} logger - Logger instance (optional)
+ * @param {Object} options - Product query options (optional)
+ * @param {Array<Array<Object>>} options.filterGroups - searchCriteria filter groups
+ * @param {boolean} options.lookup - SKU lookup: keep every product and variant row
+ *   (applyProductTypes)
  * @returns {Promise<Array>} Array of enriched products
  */
-async function fetchAndEnrichProducts(params, config, cache = null, logger = null) {
+async function fetchAndEnrichProducts(params, config, cache = null, logger = null, options = {}) {
   let retryCount = 0;
   const maxRetries = 1; // Only retry once for token expiration
 
@@ -27,27 +43,26 @@ async function fetchAndEnrichProducts(params, config, cache = null, logger = nul
       let apiCallCount = 0;
       let totalCacheHits = 0;
 
-      // Get admin token
+      // Get Commerce credential (static credentials need no API call)
       const tokenResult = await getCommerceToken(params, config, cache, logger);
       const bearerToken = tokenResult.token;
-      let adminTokenApiCalls = 0;
+      const adminTokenApiCalls = tokenResult.apiCalls;
+      apiCallCount += adminTokenApiCalls;
       if (tokenResult.cacheHit) {
         totalCacheHits += 1;
         if (logger) {
           logger.info('Admin token cache hit counted');
         }
-      } else {
-        apiCallCount += 1;
-        adminTokenApiCalls = 1;
       }
 
       // Fetch products
       const productsResult = await fetchProducts(
-        params.COMMERCE_ADMIN_USERNAME,
+        getAuthIdentity(params, config),
         config,
         bearerToken,
         cache,
-        logger
+        logger,
+        { filterGroups: options.filterGroups }
       );
       apiCallCount += productsResult.apiCallCount;
       totalCacheHits += productsResult.cacheHits || 0;
@@ -58,7 +73,8 @@ async function fetchAndEnrichProducts(params, config, cache = null, logger = nul
         config,
         bearerToken,
         cache,
-        logger
+        logger,
+        { lookup: options.lookup }
       );
       apiCallCount += enrichmentResult.apiCalls;
       totalCacheHits += enrichmentResult.cacheHits || 0;
@@ -75,10 +91,12 @@ async function fetchAndEnrichProducts(params, config, cache = null, logger = nul
           products: productsResult.apiCallCount,
           categories: enrichmentResult.categoriesApiCalls,
           inventory: enrichmentResult.inventoryApiCalls,
+          productTypes: enrichmentResult.productTypesApiCalls,
           totalProductPages: productsResult.totalPages,
           totalInventoryBatches: enrichmentResult.totalInventoryBatches,
         },
         cacheHits: totalCacheHits,
+        degraded: enrichmentResult.degraded,
       };
     } catch (error) {
       if (error.message === 'ADMIN_TOKEN_EXPIRED' && retryCount < maxRetries) {
@@ -93,8 +111,318 @@ async function fetchAndEnrichProducts(params, config, cache = null, logger = nul
   }
 }
 
+/**
+ * Stream enriched product pages from Adobe Commerce
+ * Each products page is enriched on its own, so memory is bounded by page size
+ * Running totals are attached to every page in the same shape fetchAndEnrichProducts returns
+ *
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @param {Object} cache - Cache instance (optional)
+ * @param {Object} logger - Logger instance (optional)
+ * @param {Object} options - Product query options (optional)
+ * @param {Array<Array<Object>>} options.filterGroups - searchCriteria filter groups
+ * @param {Array<Object>} options.sortOrders - searchCriteria sort orders
+ * @param {number} options.startPage - Page to start from (parity checks of a page range)
+ * @yields {Object} Page with enriched products, currentPage and cumulative totals
+ */
+async function* streamEnrichedProducts(params, config, cache = null, logger = null, options = {}) {
+  const totals = {
+    apiCalls: {
+      total: 0,
+      adminToken: 0,
+      products: 0,
+      categories: 0,
+      inventory: 0,
+      productTypes: 0,
+      totalProductPages: 0,
+      totalInventoryBatches: 0,
+    },
+    cacheHits: 0,
+    degraded: { inventory: 0, categories: 0, productTypes: 0 },
+  };
+  let resumePage = options.startPage || config.commerce.pagination.defaultPage;
+  let tokenRefreshes = 0;
+  const maxTokenRefreshes = 1; // Only retry once for token expiration
+  let done = false;
+
+  while (!done) {
+    const tokenResult = await getCommerceToken(params, config, cache, logger);
+    const bearerToken = tokenResult.token;
+    if (tokenResult.cacheHit) {
+      totals.cacheHits += 1;
+    }
+    totals.apiCalls.total += tokenResult.apiCalls;
+    totals.apiCalls.adminToken += tokenResult.apiCalls;
+
+    try {
+      const pages = iterateProductPages(
+        getAuthIdentity(params, config),
+        config,
+        bearerToken,
+        cache,
+        logger,
+        {
+          startPage: resumePage,
+          filterGroups: options.filterGroups,
+          sortOrders: options.sortOrders,
+        }
+      );
+
+      for await (const page of pages) {
+        const enrichmentResult = await enrichProducts(
+          page.items,
+          config,
+          bearerToken,
+          cache,
+          logger
+        );
+
+        totals.apiCalls.total += page.apiCalls + enrichmentResult.apiCalls;
+        totals.apiCalls.products += page.apiCalls;
+        totals.apiCalls.categories += enrichmentResult.categoriesApiCalls;
+        totals.apiCalls.inventory += enrichmentResult.inventoryApiCalls;
+        totals.apiCalls.productTypes += enrichmentResult.productTypesApiCalls;
+        totals.apiCalls.totalProductPages = page.currentPage;
+        totals.apiCalls.totalInventoryBatches += enrichmentResult.totalInventoryBatches;
+        totals.cacheHits += page.cacheHits + (enrichmentResult.cacheHits || 0);
+        Object.entries(enrichmentResult.degraded).forEach(([name, count]) => {
+          totals.degraded[name] += count;
+        });
+
+        yield {
+          products: enrichmentResult.products,
+          currentPage: page.currentPage,
+          totalCount: page.totalCount,
+          totals,
+        };
+        resumePage = page.currentPage + 1;
+      }
+      done = true;
+    } catch (error) {
+      if (error.message === 'ADMIN_TOKEN_EXPIRED' && tokenRefreshes < maxTokenRefreshes) {
+        tokenRefreshes++;
+        if (logger) {
+          logger.info(`Resuming stream at page ${resumePage} with fresh admin token`);
+        }
+        continue; // Resume from the page that failed
+      }
+      throw new Error(`Commerce API integration failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Fetch the SKU of every product in the catalog (no enrichment)
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @param {Object} cache - Cache instance (optional)
+ * @param {Object} logger - Logger instance (optional)
+ * @param {Object} options - Product query options (optional)
+ * @param {Array<Array<Object>>} options.filterGroups - searchCriteria filter groups
+ * @returns {Promise<Array<string>>} All catalog SKUs matching the filters
+ */
+async function fetchCatalogSkus(params, config, cache = null, logger = null, options = {}) {
+  let retryCount = 0;
+  const maxRetries = 1; // Only retry once for token expiration
+
+  while (retryCount <= maxRetries) {
+    try {
+      const { token } = await getCommerceToken(params, config, cache, logger);
+      const result = await fetchAllSkus(
+        getAuthIdentity(params, config),
+        config,
+        token,
+        cache,
+        logger,
+        options.filterGroups
+      );
+
+      if (logger) {
+        logger.info('Catalog SKUs retrieved', {
+          skuCount: result.skus.length,
+          apiCalls: result.apiCallCount,
+        });
+      }
+
+      return result.skus;
+    } catch (error) {
+      if (error.message === 'ADMIN_TOKEN_EXPIRED' && retryCount < maxRetries) {
+        retryCount++;
+        continue; // Retry with fresh token
+      }
+      throw new Error(`Commerce SKU listing failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Resolve parsed product filters into searchCriteria filter groups
+ * Expands category filters to whole subtrees when includeSubcategories is set
+ *
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @param {Object} cache - Cache instance (optional)
+ * @param {Object|null} filters - Result of parseProductFilters
+ * @param {Object} logger - Logger instance (optional)
+ * @returns {Promise<Array<Array<Object>>>} Filter groups
+ */
+async function resolveProductFilterGroups(params, config, cache, filters, logger = null) {
+  if (!filters?.includeSubcategories || filters.category.length === 0) {
+    return buildProductFilterGroups(filters);
+  }
+
+  let retryCount = 0;
+  const maxRetries = 1; // Only retry once for token expiration
+
+  while (retryCount <= maxRetries) {
+    try {
+      const { token } = await getCommerceToken(params, config, cache, logger);
+      const subtrees = await Promise.all(
+        filters.category.map((id) => fetchCategorySubtreeIds(id, token, config.commerce))
+      );
+      const categoryIds = Array.from(new Set(subtrees.flat()));
+
+      if (logger) {
+        logger.info('Category filter expanded', {
+          requested: filters.category.length,
+          expanded: categoryIds.length,
+        });
+      }
+
+      return buildProductFilterGroups(filters, categoryIds);
+    } catch (error) {
+      if (error.message === 'ADMIN_TOKEN_EXPIRED' && retryCount < maxRetries) {
+        retryCount++;
+        const identity = getAuthIdentity(params, config);
+        if (cache && identity) {
+          await cache.delete('admin_token', { username: identity }, null);
+        }
+        continue; // Retry with fresh token
+      }
+      throw new Error(`Category filter expansion failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Fetch and enrich the current Commerce data of specific SKUs (uncached, for imports)
+ * SKUs are queried in batches of config.imports.skuBatchSize as OR'ed 'eq' filters, since an
+ * 'in' filter would split SKUs containing commas. Variant children are looked up too, whatever
+ * config.products.variantMode says
+ *
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @param {Array<string>} skus - SKUs to fetch
+ * @param {Object} logger - Logger instance (optional)
+ * @returns {Promise<Object>} { products, apiCalls } (SKUs unknown to Commerce are absent)
+ */
+async function fetchProductsBySku(params, config, skus, logger = null) {
+  const batchSize = config.imports.skuBatchSize;
+  const products = [];
+  let apiCalls = 0;
+
+  for (let index = 0; index < skus.length; index += batchSize) {
+    const batch = skus.slice(index, index + batchSize);
+    const result = await fetchAndEnrichProducts(params, config, null, logger, {
+      filterGroups: [batch.map((sku) => ({ field: 'sku', value: sku, condition: 'eq' }))],
+      lookup: true,
+    });
+    products.push(...result.products);
+    apiCalls += result.apiCalls.total;
+  }
+
+  return { products, apiCalls };
+}
+
+/**
+ * Run a Commerce operation with a fresh credential, retrying once if the token expired
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @param {Object} logger - Logger instance (optional)
+ * @param {Function} operation - (bearerToken) => Promise
+ * @returns {Promise<*>} Operation result
+ */
+async function withCommerceToken(params, config, logger, operation) {
+  let retryCount = 0;
+  const maxRetries = 1; // Only retry once for token expiration
+
+  while (retryCount <= maxRetries) {
+    const { token } = await getCommerceToken(params, config, null, logger);
+    try {
+      return await operation(token);
+    } catch (error) {
+      if (error.message === 'ADMIN_TOKEN_EXPIRED' && retryCount < maxRetries) {
+        retryCount++;
+        continue; // Retry with fresh token
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Submit catalog writes as Commerce bulk async requests
+ * Each request gets its own token retry: a 401 means Commerce rejected that request, so only it
+ * is sent again and requests already accepted are never resubmitted
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @param {Array<Object>} requests - Bulk requests ({ path, method, items })
+ * @param {Object} logger - Logger instance (optional)
+ * @returns {Promise<Array<Object>>} One { bulkUuid, requestItems } per request
+ */
+async function submitCatalogUpdates(params, config, requests, logger = null) {
+  const results = [];
+  for (const request of requests) {
+    results.push(
+      await withCommerceToken(params, config, logger, (token) =>
+        submitBulkRequest(request, token, config)
+      )
+    );
+  }
+  return results;
+}
+
+/**
+ * Fetch the operations of bulk requests
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @param {Array<string>} bulkUuids - Bulk UUIDs
+ * @param {Object} logger - Logger instance (optional)
+ * @returns {Promise<Object>} Bulk UUID to operations ({ id, status, message })
+ */
+async function fetchBulkOperations(params, config, bulkUuids, logger = null) {
+  return withCommerceToken(params, config, logger, async (token) => {
+    const entries = await Promise.all(
+      bulkUuids.map(async (bulkUuid) => [bulkUuid, await fetchBulkStatus(bulkUuid, token, config)])
+    );
+    return Object.fromEntries(entries);
+  });
+}
+
+/**
+ * Describe degraded data as response warnings
+ * An export still succeeds when enrichment calls fail; these warnings make the gaps explicit
+ * @param {Object} degraded - Degraded counts ({ inventory, categories, productTypes })
+ * @returns {Array<string>|undefined} Warnings, or undefined when all data was fetched
+ */
+function getDataWarnings(degraded = {}) {
+  const warnings = Object.entries(DEGRADED_DATA_WARNINGS)
+    .filter(([name]) => degraded[name] > 0)
+    .map(([name, describe]) => describe(degraded[name]));
+  return warnings.length > 0 ? warnings : undefined;
+}
+
 module.exports = {
   fetchAndEnrichProducts,
+  fetchBulkOperations,
+  fetchProductsBySku,
+  submitCatalogUpdates,
+  getDataWarnings,
+  resolveProductFilterGroups,
+  fetchCatalogSkus,
+  streamEnrichedProducts,
+  iterateMeshPages,
   getCommerceToken,
   getProductsFromMesh,
 };
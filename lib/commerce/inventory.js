@@ -1,77 +1,166 @@
 /**
  * Adobe Commerce Inventory Module
  * Handles inventory data operations following Adobe standards
+ *
+ * Multi-source inventory (MSI): quantities are summed across sources into qty, while the
+ * per-source quantities and the reservation-aware salable quantity of each configured stock
+ * are kept as a breakdown for exports that need them
  */
 
 const { Core } = require('@adobe/aio-sdk');
+
 const { hasMorePages } = require('../utils');
+const { commerceFetch } = require('./client');
+const { createScheduler } = require('./scheduler');
+const { buildSearchCriteria } = require('./search-criteria');
+const { buildRestUrl } = require('./stores');
+
+/**
+ * Default inventory entries used when source items cannot be fetched
+ * Entries are flagged as degraded so the export can report them instead of silent zeros
+ * @param {Array} products - Product batch
+ * @returns {Array} Out-of-stock inventory entries
+ */
+function createDefaultInventory(products) {
+  return products.map((product) => ({
+    product_id: product.id,
+    sku: product.sku,
+    qty: 0,
+    is_in_stock: false,
+    sources: [],
+    stocks: [],
+    degraded: true,
+  }));
+}
+
+/**
+ * Resolve the stocks to report salable quantity for
+ * Includes the stock selected by config.recs.inventorySource ('stock:<id>')
+ * @param {Object} config - Configuration object
+ * @returns {Array<number>} Stock IDs
+ */
+function getSalableStockIds(config) {
+  const stockIds = [...(config.inventory?.salableStockIds || [])];
+  const selected = String(config.recs?.inventorySource || '').match(/^stock:(\d+)$/);
+  if (selected) {
+    stockIds.push(Number(selected[1]));
+  }
+  return Array.from(new Set(stockIds));
+}
 
 /**
- * Build Commerce API search criteria URL parameters
- * @param {string} field - Search field name
- * @param {string} value - Search value
- * @param {string} condition - Search condition (default: 'eq')
- * @returns {string} URL search parameters
+ * Fetch the salable quantity of one SKU in one stock
+ * Salable quantity is the stock quantity minus reservations (pending orders)
+ * @param {string} sku - Product SKU
+ * @param {number} stockId - Stock ID
+ * @param {string} bearerToken - Admin bearer token
+ * @param {Object} commerce - Commerce configuration
+ * @returns {Promise<number|null>} Salable quantity, or null when Commerce cannot compute it
+ */
+async function fetchSalableQuantity(sku, stockId, bearerToken, commerce) {
+  const url = buildRestUrl(
+    commerce,
+    `/inventory/get-product-salable-quantity/${encodeURIComponent(sku)}/${stockId}`
+  );
+  const response = await commerceFetch(url, { auth: bearerToken }, commerce.http);
+
+  // Products without managed stock (e.g. configurables) have no salable quantity
+  if (!response.ok) return null;
+
+  const quantity = parseFloat(await response.json());
+  return isNaN(quantity) ? null : quantity;
+}
+
+/**
+ * Fetch salable quantities for a batch of products across stocks
+ * There is no batch endpoint, so one request is made per SKU and stock,
+ * with at most config.commerce.concurrency.salable requests in flight
+ * @param {Array} products - Product batch
+ * @param {Array<number>} stockIds - Stock IDs
+ * @param {string} bearerToken - Admin bearer token
+ * @param {Object} commerce - Commerce configuration
+ * @param {Object} log - Logger instance
+ * @returns {Promise<Object>} Map of SKU to [{ stock_id, salable_qty }]
  */
-function buildSearchCriteria(field, value, condition = 'eq') {
-  return `searchCriteria[filter_groups][0][filters][0][field]=${field}&searchCriteria[filter_groups][0][filters][0][value]=${value}&searchCriteria[filter_groups][0][filters][0][condition_type]=${condition}`;
+async function fetchSalableQuantities(products, stockIds, bearerToken, commerce, log) {
+  const salableMap = {};
+  if (stockIds.length === 0) return salableMap;
+
+  const requests = products.flatMap((product) =>
+    stockIds.map((stockId) => ({ sku: product.sku, stockId }))
+  );
+
+  const schedule = createScheduler(commerce.concurrency.salable);
+  const quantities = await Promise.all(
+    requests.map(({ sku, stockId }) =>
+      schedule(() => fetchSalableQuantity(sku, stockId, bearerToken, commerce)).catch((error) => {
+        log.warn('Salable quantity fetch error', { sku, stockId, error: error.message });
+        return null;
+      })
+    )
+  );
+
+  requests.forEach(({ sku, stockId }, index) => {
+    salableMap[sku] = salableMap[sku] || [];
+    salableMap[sku].push({ stock_id: stockId, salable_qty: quantities[index] });
+  });
+
+  return salableMap;
 }
 
 /**
  * Fetch inventory for a batch of products using batch API call with pagination
  * @param {Array} products - Product batch
  * @param {string} bearerToken - Admin bearer token
- * @param {string} baseUrl - Commerce base URL
- * @param {Object} api - API configuration
+ * @param {Object} commerce - Commerce configuration (base URL, API version, store code)
  * @param {Object} logger - Adobe logger instance
- * @returns {Promise<Array>} Inventory data
+ * @param {Array<number>} stockIds - Stocks to fetch salable quantity for (optional)
+ * @returns {Promise<Array>} Inventory data with per-source and per-stock breakdown
  */
-async function fetchInventoryForProducts(products, bearerToken, baseUrl, api, logger = null) {
+async function fetchInventoryForProducts(
+  products,
+  bearerToken,
+  commerce,
+  logger = null,
+  stockIds = []
+) {
   const log = logger || Core.Logger('commerce-inventory');
 
   // Extract all SKUs for batch query
-  const skus = products.map(p => p.sku).join(',');
-  
+  const skus = products.map((p) => p.sku).join(',');
+
   // Use same pageSize as the batch size (typically 50)
   // Since we typically have 1 source per SKU, this should get all items in one call
   const pageSize = products.length;
   let currentPage = 1;
   let allSourceItems = [];
   let hasMore = true;
-  
+
   while (hasMore) {
-    const searchCriteria = 
-      'searchCriteria[pageSize]=' + pageSize +
-      '&searchCriteria[currentPage]=' + currentPage +
-      '&searchCriteria[filter_groups][0][filters][0][field]=sku' +
-      '&searchCriteria[filter_groups][0][filters][0][value]=' + skus +
-      '&searchCriteria[filter_groups][0][filters][0][condition_type]=in';
-    
-    const url = `${baseUrl}/rest/${api.version}/inventory/source-items?${searchCriteria}`;
-    
+    const searchCriteria = buildSearchCriteria({
+      pageSize,
+      currentPage,
+      filterGroups: [[{ field: 'sku', value: skus, condition: 'in' }]],
+    });
+
+    const url = buildRestUrl(commerce, '/inventory/source-items', searchCriteria);
+
     try {
-      const response = await fetch(url, {
-        headers: { Authorization: `Bearer ${bearerToken}` },
-      });
+      const response = await commerceFetch(url, { auth: bearerToken }, commerce.http);
 
       if (!response.ok) {
-        log.warn('Inventory batch fetch failed', { 
-          productCount: products.length, 
+        log.warn('Inventory batch fetch failed', {
+          productCount: products.length,
           status: response.status,
           page: currentPage,
         });
         // Return default inventory for all products on failure
-        return products.map(product => ({
-          product_id: product.id,
-          sku: product.sku,
-          qty: 0,
-          is_in_stock: false,
-        }));
+        return createDefaultInventory(products);
       }
 
       const result = await response.json();
       allSourceItems = allSourceItems.concat(result.items || []);
-      
+
       // Log pagination details for debugging
       log.info('Inventory batch response', {
         page: currentPage,
@@ -80,37 +169,29 @@ async function fetchInventoryForProducts(products, bearerToken, baseUrl, api, lo
         totalItemsSoFar: allSourceItems.length,
         requestedSKUs: products.length,
       });
-      
+
       // Check for more pages using the same logic as products
       hasMore = hasMorePages(result, pageSize, currentPage);
       if (hasMore) {
         currentPage++;
       }
-      
     } catch (error) {
-      log.warn('Inventory batch fetch error', { 
-        productCount: products.length, 
+      log.warn('Inventory batch fetch error', {
+        productCount: products.length,
         error: error.message,
         page: currentPage,
       });
       // Return default inventory for all products on error
-      return products.map(product => ({
-        product_id: product.id,
-        sku: product.sku,
-        qty: 0,
-        is_in_stock: false,
-      }));
+      return createDefaultInventory(products);
     }
   }
-  
+
   // Create a map of SKU to inventory data for efficient lookup
   const inventoryMap = createInventoryMap(allSourceItems);
-  
+
   // Log SKUs without inventory for debugging
-  const skusWithoutInventory = products
-    .filter(p => !inventoryMap[p.sku])
-    .map(p => p.sku);
-    
+  const skusWithoutInventory = products.filter((p) => !inventoryMap[p.sku]).map((p) => p.sku);
+
   if (skusWithoutInventory.length > 0) {
     log.warn('SKUs without inventory data', {
       count: skusWithoutInventory.length,
@@ -118,38 +199,47 @@ async function fetchInventoryForProducts(products, bearerToken, baseUrl, api, lo
       missingSKUs: skusWithoutInventory.slice(0, 10), // Log first 10 for debugging
     });
   }
-  
+
+  const salableMap = await fetchSalableQuantities(products, stockIds, bearerToken, commerce, log);
+
   // Map inventory data back to products
-  return mapInventoryToProducts(products, inventoryMap);
+  return mapInventoryToProducts(products, inventoryMap, salableMap);
 }
 
 /**
  * Create a map of SKU to aggregated inventory data
  * @param {Array} sourceItems - Array of source items from API response
- * @returns {Object} Map of SKU to inventory data
+ * @returns {Object} Map of SKU to inventory data (totals plus per-source quantities)
  */
 function createInventoryMap(sourceItems) {
   const inventoryMap = {};
-  
+
   for (const item of sourceItems) {
     const sku = item.sku;
-    
+
     if (!inventoryMap[sku]) {
       inventoryMap[sku] = {
         qty: 0,
         is_in_stock: false,
+        sources: [],
       };
     }
-    
-    // Sum quantities from all source items for this SKU
-    inventoryMap[sku].qty += parseFloat(item.quantity) || 0;
-    
+
+    // Sum quantities from all source items for this SKU, keeping each source's share
+    const quantity = parseFloat(item.quantity) || 0;
+    inventoryMap[sku].qty += quantity;
+    inventoryMap[sku].sources.push({
+      source_code: item.source_code,
+      quantity,
+      in_stock: item.status === 1,
+    });
+
     // Mark as in stock if any source has status = 1 (enabled/in stock)
     if (item.status === 1) {
       inventoryMap[sku].is_in_stock = true;
     }
   }
-  
+
   return inventoryMap;
 }
 
@@ -157,34 +247,42 @@ function createInventoryMap(sourceItems) {
  * Map inventory data back to products
  * @param {Array} products - Array of products
  * @param {Object} inventoryMap - Map of SKU to inventory data
+ * @param {Object} salableMap - Map of SKU to per-stock salable quantities (optional)
  * @returns {Array} Array of product inventory objects
  */
-function mapInventoryToProducts(products, inventoryMap) {
-  return products.map(product => {
-    const inventory = inventoryMap[product.sku] || { qty: 0, is_in_stock: false };
-    
+function mapInventoryToProducts(products, inventoryMap, salableMap = {}) {
+  return products.map((product) => {
+    const inventory = inventoryMap[product.sku] || { qty: 0, is_in_stock: false, sources: [] };
+
     return {
       product_id: product.id,
       sku: product.sku,
       qty: inventory.qty,
       is_in_stock: inventory.is_in_stock,
+      sources: inventory.sources,
+      stocks: salableMap[product.sku] || [],
     };
   });
 }
 
 /**
  * Create batched inventory fetch promises
+ * Batches run through a scheduler, so at most config.commerce.concurrency.inventory are in flight
  * @param {Array} products - Array of products
  * @param {Object} config - Configuration object
  * @param {string} bearerToken - Admin bearer token
  * @returns {Array} Array of inventory fetch promises
  */
 function createInventoryBatches(products, config, bearerToken) {
-  const { batching, baseUrl, api } = config.commerce;
+  const { batching, concurrency } = config.commerce;
+  const stockIds = getSalableStockIds(config);
+  const schedule = createScheduler(concurrency.inventory);
   const inventoryPromises = [];
   for (let i = 0; i < products.length; i += batching.inventory) {
     const batch = products.slice(i, i + batching.inventory);
-    inventoryPromises.push(fetchInventoryForProducts(batch, bearerToken, baseUrl, api));
+    inventoryPromises.push(
+      schedule(() => fetchInventoryForProducts(batch, bearerToken, config.commerce, null, stockIds))
+    );
   }
   return inventoryPromises;
 }
@@ -192,7 +290,7 @@ function createInventoryBatches(products, config, bearerToken) {
 module.exports = {
   fetchInventoryForProducts,
   createInventoryBatches,
-  buildSearchCriteria,
+  getSalableStockIds,
   createInventoryMap,
   mapInventoryToProducts,
 };
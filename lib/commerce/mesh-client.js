@@ -5,23 +5,49 @@
 
 const { Core } = require('@adobe/aio-sdk');
 
+const { fromMeshProduct } = require('../product-model');
 const { getCommerceToken } = require('./auth');
+const { commerceFetch } = require('./client');
+const { buildSearchCriteria } = require('./search-criteria');
 
 // GraphQL query for enriched products (build-time inlined from .gql file)
-const GET_ENRICHED_PRODUCTS_QUERY = "query GetEnrichedProducts($pageSize: Int, $currentPage: Int) {\n  mesh_products_enriched(pageSize: $pageSize, currentPage: $currentPage) {\n    products {\n      sku\n      name\n      price\n      type_id\n      url_key\n      inventory {\n        quantity\n      }\n      categories {\n        name\n      }\n      media_gallery_entries {\n        url\n        types\n      }\n      custom_attributes {\n        attribute_code\n        value\n      }\n    }\n    total_count\n    performance {\n      method\n      productCount\n      executionTime\n      apiCalls\n      dataSourcesUnified\n      productsApiCalls\n      categoriesApiCalls\n      inventoryApiCalls\n    }\n  }\n}";
+const GET_ENRICHED_PRODUCTS_QUERY = "query GetEnrichedProducts(\n  $pageSize: Int\n  $currentPage: Int\n  $searchCriteria: String\n  $storeCode: String\n) {\n  mesh_products_enriched(\n    pageSize: $pageSize\n    currentPage: $currentPage\n    searchCriteria: $searchCriteria\n    storeCode: $storeCode\n  ) {\n    products {\n      sku\n      name\n      price\n      type_id\n      url_key\n      created_at\n      updated_at\n      inventory {\n        quantity\n      }\n      inventory_breakdown {\n        sources {\n          source_code\n          quantity\n          in_stock\n        }\n      }\n      categories {\n        id\n        name\n        level\n        path\n        position\n        breadcrumb\n      }\n      primary_category {\n        id\n        name\n        breadcrumb\n      }\n      media_gallery_entries {\n        url\n        types\n      }\n      custom_attributes {\n        attribute_code\n        value\n      }\n    }\n    total_count\n    performance {\n      method\n      productCount\n      executionTime\n      apiCalls\n      dataSourcesUnified\n      productsApiCalls\n      categoriesApiCalls\n      inventoryApiCalls\n      degradedInventory\n      degradedCategories\n    }\n  }\n}";
 
 /**
- * Fetch enriched products from API Mesh with pagination
- * Uses GraphQL query to consolidate multiple Commerce API calls
+ * Get the Commerce bearer token the mesh sources forward to Commerce
+ * Per-request OAuth 1.0a signing cannot be forwarded, so that auth mode is rejected
+ *
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @param {Object} log - Adobe logger instance
+ * @returns {Promise<string>} Bearer token
+ */
+async function getForwardableToken(params, config, log) {
+  const { token } = await getCommerceToken(params, config, null, log);
+  if (typeof token !== 'string') {
+    throw new Error(
+      `Commerce auth mode '${config.commerce.auth.mode}' signs each request and cannot be forwarded through API Mesh; use admin, token or ims`
+    );
+  }
+  return token;
+}
+
+/**
+ * Iterate enriched product pages from API Mesh
+ * Yields one GraphQL page at a time so large catalogs can be streamed
  *
  * @param {Object} params - Action parameters (includes token in Authorization header)
  * @param {Object} config - Configuration object
  * @param {Object} logger - Adobe logger instance
- * @returns {Promise<Object>} Mesh response with products, performance data, and API call count
+ * @param {Object} options - Product query options (optional)
+ * @param {Array<Array<Object>>} options.filterGroups - searchCriteria filter groups
+ * @param {Array<Object>} options.sortOrders - sort orders (Commerce default order when empty)
+ * @param {number} options.startPage - Page to start from (parity checks of a page range)
+ * @yields {Object} Page with products in the canonical model (lib/product-model.js), currentPage,
+ *   totalCount, mesh performance data and running degraded counts ({ inventory, categories })
  */
-async function getProductsFromMesh(params, config, logger = null) {
+async function* iterateMeshPages(params, config, logger = null, options = {}) {
   const log = logger || Core.Logger('commerce-mesh');
-  const startTime = Date.now();
 
   if (!params.API_MESH_ENDPOINT || !params.MESH_API_KEY) {
     const error = 'API Mesh credentials not provided';
@@ -29,89 +55,139 @@ async function getProductsFromMesh(params, config, logger = null) {
     throw new Error(error);
   }
 
-  try {
-    log.info('Starting mesh product fetch with pagination');
+  const commerceToken = await getForwardableToken(params, config, log);
+
+  // Pagination setup from configuration with optional override
+  const pageSize = params.pageSize || config.mesh.pagination.pageSize;
+  let currentPage = options.startPage || config.mesh.pagination.defaultPage;
+  let hasMorePages = true;
+  const degraded = { inventory: 0, categories: 0 };
+
+  // Filters and sort orders are appended to the mesh products_list path as a searchCriteria suffix
+  const { filterGroups = [], sortOrders = [] } = options;
+  const criteria = buildSearchCriteria({ filterGroups, sortOrders });
+  const searchCriteria = criteria ? `&${criteria}` : '';
+
+  while (hasMorePages) {
+    const query = GET_ENRICHED_PRODUCTS_QUERY;
+    const variables = {
+      pageSize,
+      currentPage,
+      searchCriteria,
+      // Resolver routes every source through /rest/{storeCode}/V1 ('all' when empty)
+      storeCode: config.commerce.storeCode,
+    };
 
-    // Generate Commerce admin token using centralized approach
-    const commerceTokenResult = await getCommerceToken(params, config, log);
-    const commerceToken = commerceTokenResult?.token || commerceTokenResult;
+    log.info('Making GraphQL mesh request', {
+      pageSize: variables.pageSize,
+      currentPage,
+      storeCode: variables.storeCode,
+    });
+    
+    const response = await commerceFetch(params.API_MESH_ENDPOINT, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': params.MESH_API_KEY,
+        'x-commerce-admin-token': commerceToken,
+        'User-Agent': 'Adobe-App-Builder/kukla-integration-service',
+      },
+      body: JSON.stringify({
+        query,
+        variables,
+      }),
+    }, config.commerce.http);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const errorMsg = `Mesh API request failed on page ${currentPage}: ${response.status} ${response.statusText} - ${errorText}`;
+      log.error('Mesh API request failed', { status: response.status, error: errorText, currentPage });
+      throw new Error(errorMsg);
+    }
 
-    // Pagination setup from configuration with optional override
-    const pageSize = params.pageSize || config.mesh.pagination.pageSize;
-    let currentPage = config.mesh.pagination.defaultPage;
-    let allProducts = [];
-    let apiCallCount = 0;
-    let hasMorePages = true;
-    let totalPerformance = null;
+    const result = await response.json();
 
-    while (hasMorePages) {
-      const query = GET_ENRICHED_PRODUCTS_QUERY;
-      const variables = {
-        pageSize,
-        currentPage,
-      };
-
-      log.info('Making GraphQL mesh request', { pageSize: variables.pageSize, currentPage });
-      
-      const response = await fetch(params.API_MESH_ENDPOINT, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': params.MESH_API_KEY,
-          'x-commerce-admin-token': commerceToken,
-          'User-Agent': 'Adobe-App-Builder/kukla-integration-service',
-        },
-        body: JSON.stringify({
-          query,
-          variables,
-        }),
-      });
+    if (result.errors) {
+      const errorMsg = `GraphQL errors on page ${currentPage}: ${result.errors.map((e) => e.message).join(', ')}`;
+      log.error('GraphQL errors in mesh response', { errors: result.errors, currentPage });
+      throw new Error(errorMsg);
+    }
 
-      apiCallCount++;
+    const meshData = result.data?.mesh_products_enriched;
+    if (!meshData) {
+      const error = `No mesh_products_enriched data in response on page ${currentPage}`;
+      log.error('Invalid mesh response', { error, response: result, currentPage });
+      throw new Error(error);
+    }
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        const errorMsg = `Mesh API request failed on page ${currentPage}: ${response.status} ${response.statusText} - ${errorText}`;
-        log.error('Mesh API request failed', { status: response.status, error: errorText, currentPage });
-        throw new Error(errorMsg);
-      }
+    const products = (meshData.products || []).map((product) => fromMeshProduct(product, config));
+    addDegradedCounts(degraded, meshData.performance);
 
-      const result = await response.json();
+    // Check if we have more pages
+    const totalItems = meshData.total_count || 0;
+    const currentItemCount = currentPage * pageSize;
+    hasMorePages = products.length === pageSize && currentItemCount < totalItems;
 
-      if (result.errors) {
-        const errorMsg = `GraphQL errors on page ${currentPage}: ${result.errors.map((e) => e.message).join(', ')}`;
-        log.error('GraphQL errors in mesh response', { errors: result.errors, currentPage });
-        throw new Error(errorMsg);
-      }
+    log.info('Mesh page retrieved', {
+      currentPage,
+      productCount: products.length,
+      hasMorePages,
+    });
 
-      const meshData = result.data?.mesh_products_enriched;
-      if (!meshData) {
-        const error = `No mesh_products_enriched data in response on page ${currentPage}`;
-        log.error('Invalid mesh response', { error, response: result, currentPage });
-        throw new Error(error);
-      }
+    yield {
+      products,
+      currentPage,
+      totalCount: totalItems,
+      performance: meshData.performance,
+      degraded: { ...degraded },
+    };
 
-      const products = meshData.products || [];
-      allProducts = allProducts.concat(products);
+    currentPage++;
+  }
+}
 
-      // Store performance data from first request (most comprehensive)
-      if (currentPage === 1) {
-        totalPerformance = meshData.performance;
-      }
+/**
+ * Add a page's degraded counts (reported by the mesh resolver) to the running totals
+ * @param {Object} degraded - Running totals ({ inventory, categories })
+ * @param {Object} performance - Page performance data
+ */
+function addDegradedCounts(degraded, performance = {}) {
+  degraded.inventory += performance?.degradedInventory || 0;
+  degraded.categories += performance?.degradedCategories || 0;
+}
 
-      // Check if we have more pages
-      const totalItems = meshData.total_count || 0;
-      const currentItemCount = currentPage * pageSize;
-      hasMorePages = products.length === pageSize && currentItemCount < totalItems;
+/**
+ * Fetch enriched products from API Mesh with pagination
+ * Uses GraphQL query to consolidate multiple Commerce API calls
+ *
+ * @param {Object} params - Action parameters (includes token in Authorization header)
+ * @param {Object} config - Configuration object
+ * @param {Object} logger - Adobe logger instance
+ * @param {Object} options - Product query options passed to iterateMeshPages (optional)
+ * @returns {Promise<Object>} Mesh response with products, performance data, API call count and
+ *   degraded counts
+ */
+async function getProductsFromMesh(params, config, logger = null, options = {}) {
+  const log = logger || Core.Logger('commerce-mesh');
+  const startTime = Date.now();
 
-      log.info('Mesh page retrieved', {
-        currentPage,
-        productCount: products.length,
-        totalProducts: allProducts.length,
-        hasMorePages,
-      });
+  try {
+    log.info('Starting mesh product fetch with pagination');
 
-      currentPage++;
+    let allProducts = [];
+    let apiCallCount = 0;
+    let totalPerformance = null;
+    let degraded = { inventory: 0, categories: 0 };
+
+    for await (const page of iterateMeshPages(params, config, log, options)) {
+      apiCallCount++;
+      allProducts = allProducts.concat(page.products);
+      degraded = page.degraded;
+
+      // Store performance data from first request (most comprehensive)
+      if (page.currentPage === 1) {
+        totalPerformance = page.performance;
+      }
     }
 
     log.info('Mesh data retrieved successfully', {
@@ -127,7 +203,8 @@ async function getProductsFromMesh(params, config, logger = null) {
         meshApiCalls: apiCallCount // Add mesh-specific API call tracking
       },
       total_count: allProducts.length,
-      apiCallCount, // For consistency with REST approach
+      apiCallCount,
+      degraded, // For consistency with REST approach
       message: `Retrieved ${allProducts.length} products via ${apiCallCount} GraphQL calls`,
     };
   } catch (error) {
@@ -140,4 +217,5 @@ async function getProductsFromMesh(params, config, logger = null) {
 
 module.exports = {
   getProductsFromMesh,
+  iterateMeshPages,
 };
\ No newline at end of file
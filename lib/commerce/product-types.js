@@ -0,0 +1,410 @@
+/**
+ * Adobe Commerce Product Type Strategies
+ * Resolves configurable and bundle parents to their children, so parent rows carry rolled-up
+ * inventory and price ranges, and decides which rows an export writes (config.products.variantMode):
+ *
+ *   parents   parent rows with rollups (default)
+ *   children  configurable children with a parent_sku replace their parent row
+ *   both      parent rows followed by their children with a parent_sku
+ *
+ * Simple products that are not visible individually are dropped in every mode: they are
+ * configurable children and are written through their parent instead of as orphan rows.
+ * SKU lookups (imports) keep every row instead: parents, their children and children fetched
+ * without their parent.
+ * Bundle selections are standalone products, so bundles only get rollups and are never expanded
+ */
+
+const { fetchCommerceData } = require('./client');
+const { createInventoryBatches } = require('./inventory');
+const { buildSearchCriteria } = require('./search-criteria');
+const { buildRestUrl } = require('./stores');
+
+const VARIANT_MODES = ['parents', 'children', 'both'];
+const NOT_VISIBLE_INDIVIDUALLY = 1;
+const BUNDLE_FIXED_PRICE = 1;
+const MULTI_SELECT_OPTION_TYPES = ['checkbox', 'multi'];
+
+/**
+ * Parse the `variants` action parameter
+ * @param {string} value - Raw parameter value
+ * @returns {string} Variant mode (defaults to 'parents')
+ * @throws {Error} If the mode is unknown
+ */
+function parseVariantMode(value) {
+  if (value === undefined || value === null || value === '') return 'parents';
+  if (!VARIANT_MODES.includes(value)) {
+    throw new Error(`Unknown variants mode '${value}'. Use: ${VARIANT_MODES.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Build a { min, max } price range
+ * @param {Array<number>} prices - Candidate prices
+ * @returns {Object|null} Price range, or null without prices
+ */
+function toPriceRange(prices) {
+  const valid = prices.filter((price) => Number.isFinite(price));
+  if (valid.length === 0) return null;
+  return { min: Math.min(...valid), max: Math.max(...valid) };
+}
+
+/**
+ * Merge per-source inventory of several products into one breakdown
+ * @param {Array<Object>} inventories - Inventory entries with sources
+ * @returns {Array<Object>} Sources with summed quantities
+ */
+function mergeSources(inventories) {
+  const sources = new Map();
+  inventories.forEach((inventory) => {
+    (inventory?.sources || []).forEach((source) => {
+      const merged = sources.get(source.source_code) || {
+        source_code: source.source_code,
+        quantity: 0,
+        in_stock: false,
+      };
+      merged.quantity += source.quantity;
+      merged.in_stock = merged.in_stock || source.in_stock;
+      sources.set(source.source_code, merged);
+    });
+  });
+  return Array.from(sources.values());
+}
+
+/**
+ * Read a product attribute exposed top-level or through custom_attributes
+ * @param {Object} product - Commerce product
+ * @param {string} code - Attribute code
+ * @returns {*} Attribute value (undefined when missing)
+ */
+function getAttributeValue(product, code) {
+  if (product[code] !== undefined) return product[code];
+  return (product.custom_attributes || []).find((attr) => attr.attribute_code === code)?.value;
+}
+
+/**
+ * Read the price type of a bundle (0 = dynamic, 1 = fixed)
+ * @param {Object} product - Bundle product
+ * @returns {number} Price type
+ */
+function getBundlePriceType(product) {
+  return Number(getAttributeValue(product, 'price_type') ?? 0);
+}
+
+const configurableStrategy = {
+  /**
+   * Fetch the simple products behind a configurable parent
+   * @returns {Promise<Object>} Relations ({ children }), API call count and degraded flag
+   */
+  async fetchRelations(product, config, bearerToken) {
+    const url = buildRestUrl(
+      config.commerce,
+      `/configurable-products/${encodeURIComponent(product.sku)}/children`
+    );
+    const response = await fetchCommerceData(
+      url,
+      bearerToken,
+      'GET',
+      'Configurable children',
+      config.commerce.http
+    );
+    if (response.isTokenExpired) throw new Error('ADMIN_TOKEN_EXPIRED');
+
+    return {
+      relations: { children: response.isError ? [] : response.items },
+      apiCalls: 1,
+      degraded: response.isError,
+    };
+  },
+
+  /**
+   * SKUs whose inventory and price the rollup needs
+   * @returns {Array<string>} Child SKUs
+   */
+  getChildSkus(relations) {
+    return relations.children.map((child) => child.sku);
+  },
+
+  /**
+   * Roll children up into the parent and build child rows carrying parent_sku
+   * @returns {Object} Parent with qty, stock_status, price_range and variants, plus child rows
+   */
+  rollup(product, relations, lookups, config) {
+    const childRows = relations.children.map((child) => {
+      const inventory = lookups.inventory.get(child.sku);
+      const images = (child.media_gallery_entries || [])
+        .filter((entry) => entry.file)
+        .map((entry) => ({
+          url: `${config.commerce.baseUrl}/media/catalog/product${entry.file}`,
+          types: entry.types,
+        }));
+
+      return {
+        ...child,
+        parent_sku: product.sku,
+        qty: inventory?.qty || 0,
+        stock_status: inventory?.is_in_stock ? 'IN_STOCK' : 'OUT_OF_STOCK',
+        inventory_breakdown: { sources: inventory?.sources || [], stocks: [] },
+        // Children are not visible individually: they link to and categorize as their parent
+        url_key: getAttributeValue(product, 'url_key'),
+        categories: product.categories,
+        primary_category: product.primary_category,
+        images: images.length > 0 ? images : product.images,
+      };
+    });
+
+    const parent = {
+      ...product,
+      qty: childRows.reduce((sum, child) => sum + child.qty, 0),
+      stock_status: childRows.some((child) => child.stock_status === 'IN_STOCK')
+        ? 'IN_STOCK'
+        : 'OUT_OF_STOCK',
+      inventory_breakdown: {
+        sources: mergeSources(childRows.map((child) => lookups.inventory.get(child.sku))),
+        stocks: [],
+      },
+      price_range: toPriceRange(childRows.map((child) => parseFloat(child.price))),
+      variants: childRows.map(({ sku, price, qty, stock_status }) => ({
+        sku,
+        price,
+        qty,
+        stock_status,
+      })),
+    };
+
+    return { parent, childRows };
+  },
+};
+
+const bundleStrategy = {
+  /**
+   * Read bundle options from extension_attributes, fetching them when the listing omits them
+   * @returns {Promise<Object>} Relations ({ options }), API call count and degraded flag
+   */
+  async fetchRelations(product, config, bearerToken) {
+    const options = product.extension_attributes?.bundle_product_options;
+    if (options) {
+      return { relations: { options }, apiCalls: 0, degraded: false };
+    }
+
+    const url = buildRestUrl(
+      config.commerce,
+      `/bundle-products/${encodeURIComponent(product.sku)}/options/all`
+    );
+    const response = await fetchCommerceData(
+      url,
+      bearerToken,
+      'GET',
+      'Bundle options',
+      config.commerce.http
+    );
+    if (response.isTokenExpired) throw new Error('ADMIN_TOKEN_EXPIRED');
+
+    return {
+      relations: { options: response.isError ? [] : response.items },
+      apiCalls: 1,
+      degraded: response.isError,
+    };
+  },
+
+  /**
+   * SKUs whose inventory and price the rollup needs
+   * @returns {Array<string>} Selection SKUs
+   */
+  getChildSkus(relations) {
+    return relations.options.flatMap((option) =>
+      (option.product_links || []).map((link) => link.sku)
+    );
+  },
+
+  /**
+   * Roll selections up into the bundle
+   * Quantity is the number of complete bundles the required options can fill; the price range
+   * runs from the cheapest required selections to the most expensive full configuration
+   * @returns {Object} Bundle with qty, stock_status and price_range (bundles have no child rows)
+   */
+  rollup(product, relations, lookups) {
+    const fixedPrice = getBundlePriceType(product) === BUNDLE_FIXED_PRICE;
+    const basePrice = fixedPrice ? parseFloat(product.price) || 0 : 0;
+
+    const options = relations.options.map((option) => {
+      const links = (option.product_links || []).map((link) => {
+        const linkQty = parseFloat(link.qty) || 1;
+        const unitPrice = fixedPrice ? parseFloat(link.price) : lookups.prices.get(link.sku);
+        return {
+          sets: Math.floor((lookups.inventory.get(link.sku)?.qty || 0) / linkQty),
+          price: (unitPrice || 0) * linkQty,
+        };
+      });
+      const prices = links.map((link) => link.price);
+      return {
+        required: Boolean(option.required),
+        sets: Math.max(0, ...links.map((link) => link.sets)),
+        minPrice: prices.length > 0 ? Math.min(...prices) : 0,
+        maxPrice: MULTI_SELECT_OPTION_TYPES.includes(option.type)
+          ? prices.reduce((sum, price) => sum + price, 0)
+          : Math.max(0, ...prices),
+      };
+    });
+
+    const required = options.filter((option) => option.required);
+    const limiting = required.length > 0 ? required : options;
+    const qty = limiting.length > 0 ? Math.min(...limiting.map((option) => option.sets)) : 0;
+
+    const parent = {
+      ...product,
+      qty,
+      stock_status: qty > 0 ? 'IN_STOCK' : 'OUT_OF_STOCK',
+      price_range: {
+        min: basePrice + required.reduce((sum, option) => sum + option.minPrice, 0),
+        max: basePrice + options.reduce((sum, option) => sum + option.maxPrice, 0),
+      },
+    };
+
+    return { parent, childRows: [] };
+  },
+};
+
+const PRODUCT_TYPE_STRATEGIES = {
+  configurable: configurableStrategy,
+  bundle: bundleStrategy,
+};
+
+/**
+ * Fetch inventory and prices for child SKUs
+ * Configurable children come with prices; other SKUs are priced with one projected listing call
+ * @returns {Promise<Object>} Lookups ({ inventory, prices }) keyed by SKU, and API call count
+ */
+async function fetchChildLookups(childSkus, knownPrices, config, bearerToken) {
+  const inventory = new Map();
+  const prices = new Map(knownPrices);
+  if (childSkus.length === 0) return { lookups: { inventory, prices }, apiCalls: 0 };
+
+  const inventoryPromises = createInventoryBatches(
+    childSkus.map((sku) => ({ sku })),
+    config,
+    bearerToken
+  );
+  (await Promise.all(inventoryPromises)).flat().forEach((entry) => {
+    inventory.set(entry.sku, entry);
+  });
+  let apiCalls = inventoryPromises.length;
+
+  const unpriced = childSkus.filter((sku) => !prices.has(sku));
+  if (unpriced.length > 0) {
+    const searchCriteria = buildSearchCriteria({
+      pageSize: unpriced.length,
+      filterGroups: [[{ field: 'sku', value: unpriced.join(','), condition: 'in' }]],
+      fields: 'items[sku,price]',
+    });
+    const url = buildRestUrl(config.commerce, config.commerce.api.paths.products, searchCriteria);
+    const response = await fetchCommerceData(
+      url,
+      bearerToken,
+      'GET',
+      'Bundle selection prices',
+      config.commerce.http
+    );
+    response.items.forEach((item) => prices.set(item.sku, parseFloat(item.price)));
+    apiCalls += 1;
+  }
+
+  return { lookups: { inventory, prices }, apiCalls };
+}
+
+/**
+ * Select the rows an export writes for one product
+ * @param {Object} rolledUp - Result of a strategy rollup ({ parent, childRows })
+ * @param {string} mode - Variant mode
+ * @returns {Array<Object>} Rows
+ */
+function selectRows({ parent, childRows }, mode) {
+  if (childRows.length === 0 || mode === 'parents') return [parent];
+  if (mode === 'children') return childRows;
+  return [parent, ...childRows];
+}
+
+/**
+ * Apply product type strategies to a page of enriched products
+ * @param {Array} products - Enriched products
+ * @param {Object} config - Configuration object
+ * @param {string} bearerToken - Admin bearer token
+ * @param {Object} logger - Logger instance (optional)
+ * @param {Object} options - Options (optional)
+ * @param {boolean} options.lookup - SKU lookup: keep hidden products and write parents with
+ *   their children, whatever config.products.variantMode says
+ * @returns {Promise<Object>} Export rows, the API calls spent on relations and the number of
+ *   parents whose relations could not be fetched (degraded)
+ */
+async function applyProductTypes(products, config, bearerToken, logger = null, options = {}) {
+  const mode = options.lookup ? 'both' : parseVariantMode(config.products.variantMode);
+  const rows = products.filter(
+    (product) =>
+      options.lookup ||
+      product.visibility !== NOT_VISIBLE_INDIVIDUALLY ||
+      PRODUCT_TYPE_STRATEGIES[product.type_id]
+  );
+
+  const parents = rows.filter((product) => PRODUCT_TYPE_STRATEGIES[product.type_id]);
+  if (parents.length === 0) {
+    return { products: rows, apiCalls: 0, degraded: 0 };
+  }
+
+  const fetched = await Promise.all(
+    parents.map((product) =>
+      PRODUCT_TYPE_STRATEGIES[product.type_id].fetchRelations(product, config, bearerToken)
+    )
+  );
+  const relationsBySku = new Map(
+    parents.map((product, index) => [product.sku, fetched[index].relations])
+  );
+
+  const childSkus = new Set();
+  const knownPrices = new Map();
+  parents.forEach((product) => {
+    const relations = relationsBySku.get(product.sku);
+    PRODUCT_TYPE_STRATEGIES[product.type_id]
+      .getChildSkus(relations)
+      .forEach((sku) => childSkus.add(sku));
+    (relations.children || []).forEach((child) =>
+      knownPrices.set(child.sku, parseFloat(child.price))
+    );
+  });
+
+  const { lookups, apiCalls: lookupApiCalls } = await fetchChildLookups(
+    Array.from(childSkus),
+    knownPrices,
+    config,
+    bearerToken
+  );
+
+  const typedRows = rows.flatMap((product) => {
+    const strategy = PRODUCT_TYPE_STRATEGIES[product.type_id];
+    // A child fetched next to its parent is written once, as the parent's child row
+    if (!strategy) return options.lookup && childSkus.has(product.sku) ? [] : [product];
+    return selectRows(
+      strategy.rollup(product, relationsBySku.get(product.sku), lookups, config),
+      mode
+    );
+  });
+
+  const apiCalls = fetched.reduce((sum, result) => sum + result.apiCalls, lookupApiCalls);
+  const degraded = fetched.filter((result) => result.degraded).length;
+  if (logger) {
+    logger.info('Product type strategies applied', {
+      parents: parents.length,
+      childSkus: childSkus.size,
+      variantMode: mode,
+      rows: typedRows.length,
+      apiCalls,
+      degraded,
+    });
+  }
+
+  return { products: typedRows, apiCalls, degraded };
+}
+
+module.exports = {
+  parseVariantMode,
+  applyProductTypes,
+};
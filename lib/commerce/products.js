@@ -3,8 +3,11 @@
  * Handles product fetching operations following Adobe standards
  */
 
-const { fetchCommerceData, hasMorePages } = require('../utils');
+const { hasMorePages } = require('../utils');
 const { handleTokenExpiration } = require('./auth');
+const { fetchCommerceData } = require('./client');
+const { buildSearchCriteria } = require('./search-criteria');
+const { buildRestUrl } = require('./stores');
 
 /**
  * Fetch single page of products from Commerce API
@@ -12,13 +15,32 @@ const { handleTokenExpiration } = require('./auth');
  * @param {string} bearerToken - Admin bearer token
  * @param {number} pageSize - Products per page
  * @param {number} currentPage - Page number
+ * @param {Array<Array<Object>>} filterGroups - searchCriteria filter groups (optional)
+ * @param {Array<Object>} sortOrders - searchCriteria sort orders (optional)
  * @returns {Promise<Object>} API response with products
  */
-async function fetchProductsPage(config, bearerToken, pageSize, currentPage) {
-  const { baseUrl, api } = config.commerce;
-  const productsUrl = `${baseUrl}/rest/${api.version}${api.paths.products}?searchCriteria[pageSize]=${pageSize}&searchCriteria[currentPage]=${currentPage}`;
-
-  const response = await fetchCommerceData(productsUrl, bearerToken, 'GET', 'Products');
+async function fetchProductsPage(
+  config,
+  bearerToken,
+  pageSize,
+  currentPage,
+  filterGroups = [],
+  sortOrders = []
+) {
+  const searchCriteria = buildSearchCriteria({ pageSize, currentPage, filterGroups, sortOrders });
+  const productsUrl = buildRestUrl(
+    config.commerce,
+    config.commerce.api.paths.products,
+    searchCriteria
+  );
+
+  const response = await fetchCommerceData(
+    productsUrl,
+    bearerToken,
+    'GET',
+    'Products',
+    config.commerce.http
+  );
 
   if (!response.items || !Array.isArray(response.items)) {
     throw new Error(`Products fetch failed on page ${currentPage}: Invalid response format`);
@@ -28,41 +50,64 @@ async function fetchProductsPage(config, bearerToken, pageSize, currentPage) {
 }
 
 /**
- * Fetch products from Commerce API with pagination and caching
- * @param {string} username - Commerce admin username (for token expiration handling)
+ * Iterate product pages from Commerce API with caching
+ * Yields one page at a time so callers can process catalogs without holding them in memory
+ * @param {string|null} username - Token identity from getAuthIdentity (for token expiration handling)
  * @param {Object} config - Configuration object
  * @param {string} bearerToken - Admin bearer token
  * @param {Object} cache - Cache instance (optional)
  * @param {Object} logger - Logger instance (optional)
- * @returns {Promise<Object>} Object with products array and apiCallCount
+ * @param {Object} options - Iteration options (optional)
+ * @param {number} options.startPage - Page to start from (used when resuming after token refresh)
+ * @param {Array<Array<Object>>} options.filterGroups - searchCriteria filter groups
+ * @param {Array<Object>} options.sortOrders - sort orders (Commerce default order when empty)
+ * @yields {Object} Page with items, currentPage, totalCount, apiCalls and cacheHits
  */
-async function fetchProducts(username, config, bearerToken, cache = null, logger = null) {
+async function* iterateProductPages(
+  username,
+  config,
+  bearerToken,
+  cache = null,
+  logger = null,
+  options = {}
+) {
   const pageSize = config.commerce.pagination.pageSize;
-  let currentPage = config.commerce.pagination.defaultPage;
-  let allProducts = [];
-  let apiCallCount = 0;
-  let cacheHits = 0;
-
+  const {
+    startPage = config.commerce.pagination.defaultPage,
+    filterGroups = [],
+    sortOrders = [],
+  } = options;
+  let currentPage = startPage;
   let hasMore = true;
 
   while (hasMore) {
+    // Filters, sort and store view are part of the cache key so scoped pages never collide
     const pageParams = { pageSize, currentPage };
+    if (filterGroups.length > 0) pageParams.filterGroups = filterGroups;
+    if (sortOrders.length > 0) pageParams.sortOrders = sortOrders;
+    if (config.commerce.storeCode) pageParams.storeCode = config.commerce.storeCode;
     let response;
+    let cacheHit = false;
 
     // Try cache first
     if (cache) {
       const cached = await cache.get('products', pageParams, bearerToken);
       if (cached) {
         response = cached;
-        cacheHits++;
-        // Don't increment apiCallCount for cache hits
+        cacheHit = true;
       }
     }
 
     // Fetch from API if not cached
     if (!response) {
-      response = await fetchProductsPage(config, bearerToken, pageSize, currentPage);
-      apiCallCount++; // Only count actual API calls
+      response = await fetchProductsPage(
+        config,
+        bearerToken,
+        pageSize,
+        currentPage,
+        filterGroups,
+        sortOrders
+      );
 
       // Handle token expiration
       if (response.isTokenExpired && cache) {
@@ -75,27 +120,125 @@ async function fetchProducts(username, config, bearerToken, cache = null, logger
       }
     }
 
-    allProducts = allProducts.concat(response.items);
-
-    // Check for more pages
+    // Check for more pages before handing the page over
     hasMore = hasMorePages(response, pageSize, currentPage);
-    if (hasMore) {
-      currentPage++;
-    }
+
+    yield {
+      items: response.items,
+      currentPage,
+      totalCount: response.total_count || 0,
+      apiCalls: cacheHit ? 0 : 1, // Only count actual API calls
+      cacheHits: cacheHit ? 1 : 0,
+    };
+
+    currentPage++;
+  }
+}
+
+/**
+ * Fetch products from Commerce API with pagination and caching
+ * @param {string|null} username - Token identity from getAuthIdentity (for token expiration handling)
+ * @param {Object} config - Configuration object
+ * @param {string} bearerToken - Admin bearer token
+ * @param {Object} cache - Cache instance (optional)
+ * @param {Object} logger - Logger instance (optional)
+ * @param {Object} options - Iteration options passed to iterateProductPages (optional)
+ * @returns {Promise<Object>} Object with products array and apiCallCount
+ */
+async function fetchProducts(
+  username,
+  config,
+  bearerToken,
+  cache = null,
+  logger = null,
+  options = {}
+) {
+  let allProducts = [];
+  let apiCallCount = 0;
+  let cacheHits = 0;
+  let totalPages = 0;
+
+  const pages = iterateProductPages(username, config, bearerToken, cache, logger, options);
+  for await (const page of pages) {
+    allProducts = allProducts.concat(page.items);
+    apiCallCount += page.apiCalls;
+    cacheHits += page.cacheHits;
+    totalPages = page.currentPage;
   }
 
   if (logger && cacheHits > 0) {
-    logger.info(`Products cache performance: ${cacheHits} hits out of ${currentPage} pages`);
+    logger.info(`Products cache performance: ${cacheHits} hits out of ${totalPages} pages`);
   }
 
   return {
     products: allProducts,
     apiCallCount,
     cacheHits,
-    totalPages: currentPage, // Total number of pages processed
+    totalPages, // Total number of pages processed
   };
 }
 
+/**
+ * Fetch every SKU in the catalog using a field projection
+ * Used to detect deletions without pulling full product payloads
+ * @param {string|null} username - Token identity from getAuthIdentity (for token expiration handling)
+ * @param {Object} config - Configuration object
+ * @param {string} bearerToken - Admin bearer token
+ * @param {Object} cache - Cache instance (optional)
+ * @param {Object} logger - Logger instance (optional)
+ * @param {Array<Array<Object>>} filterGroups - searchCriteria filter groups (optional)
+ * @returns {Promise<Object>} Object with skus array and apiCallCount
+ */
+async function fetchAllSkus(
+  username,
+  config,
+  bearerToken,
+  cache = null,
+  logger = null,
+  filterGroups = []
+) {
+  const pageSize = config.delta.skuPageSize;
+  let currentPage = 1;
+  let skus = [];
+  let apiCallCount = 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    const searchCriteria = buildSearchCriteria({
+      pageSize,
+      currentPage,
+      filterGroups,
+      fields: 'items[sku],total_count',
+    });
+    const url = buildRestUrl(config.commerce, config.commerce.api.paths.products, searchCriteria);
+    const response = await fetchCommerceData(
+      url,
+      bearerToken,
+      'GET',
+      'Product SKUs',
+      config.commerce.http
+    );
+    apiCallCount++;
+
+    // Handle token expiration
+    if (response.isTokenExpired && cache) {
+      await handleTokenExpiration(cache, username, logger);
+    }
+    if (response.isError) {
+      // A partial SKU list would report live products as deleted
+      throw new Error(`Product SKU listing failed on page ${currentPage}`);
+    }
+
+    skus = skus.concat(response.items.map((item) => item.sku));
+    hasMore = hasMorePages(response, pageSize, currentPage);
+    currentPage++;
+  }
+
+  return { skus, apiCallCount };
+}
+
 module.exports = {
   fetchProducts,
+  iterateProductPages,
+  fetchAllSkus,
 };
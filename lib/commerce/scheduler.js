@@ -0,0 +1,44 @@
+/**
+ * Bounded Concurrency Scheduler
+ * Keeps at most N batch requests in flight so large catalogs do not flood Commerce
+ */
+
+/**
+ * Create a scheduler that runs at most `concurrency` tasks at a time
+ * Tasks start in submission order as running ones settle
+ * @param {number} concurrency - Maximum tasks in flight (config.commerce.concurrency.*)
+ * @returns {Function} schedule(task) => Promise settling with the task's result
+ */
+function createScheduler(concurrency) {
+  const limit = Math.max(1, Math.floor(Number(concurrency)) || 1);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    run(task, resolve, reject);
+  };
+
+  const run = async (task, resolve, reject) => {
+    try {
+      resolve(await task());
+    } catch (error) {
+      reject(error);
+    } finally {
+      active--;
+      next();
+    }
+  };
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
+
+module.exports = {
+  createScheduler,
+};
@@ -0,0 +1,68 @@
+/**
+ * Adobe Commerce searchCriteria Builder
+ * Builds REST query strings for list endpoints (products, categories, source items)
+ */
+
+/**
+ * Build Commerce API searchCriteria query parameters
+ * Filters inside a group are OR'ed, groups are AND'ed (Commerce semantics)
+ *
+ * @param {Object} options - Search options
+ * @param {number} [options.pageSize] - Items per page
+ * @param {number} [options.currentPage] - Page number
+ * @param {Array<Array<Object>>} [options.filterGroups] - Groups of { field, value, condition }
+ * @param {Array<Object>} [options.sortOrders] - Sort orders of { field, direction }
+ * @param {string} [options.fields] - Field projection (e.g. 'items[sku],total_count')
+ * @returns {string} URL query string without leading separator
+ */
+function buildSearchCriteria({
+  pageSize,
+  currentPage,
+  filterGroups = [],
+  sortOrders = [],
+  fields,
+} = {}) {
+  const parts = [];
+
+  if (pageSize !== undefined) {
+    parts.push(`searchCriteria[pageSize]=${pageSize}`);
+  }
+  if (currentPage !== undefined) {
+    parts.push(`searchCriteria[currentPage]=${currentPage}`);
+  }
+
+  filterGroups.forEach((filters, groupIndex) => {
+    filters.forEach(({ field, value, condition = 'eq' }, filterIndex) => {
+      const prefix = `searchCriteria[filter_groups][${groupIndex}][filters][${filterIndex}]`;
+      parts.push(`${prefix}[field]=${field}`);
+      parts.push(`${prefix}[value]=${encodeURIComponent(value)}`);
+      parts.push(`${prefix}[condition_type]=${condition}`);
+    });
+  });
+
+  sortOrders.forEach(({ field, direction = 'ASC' }, sortIndex) => {
+    const prefix = `searchCriteria[sortOrders][${sortIndex}]`;
+    parts.push(`${prefix}[field]=${field}`);
+    parts.push(`${prefix}[direction]=${direction}`);
+  });
+
+  if (fields) {
+    parts.push(`fields=${fields}`);
+  }
+
+  return parts.join('&');
+}
+
+/**
+ * Format a date the way Commerce stores created_at / updated_at (UTC, no timezone suffix)
+ * @param {Date} date - Date to format
+ * @returns {string} Date as 'YYYY-MM-DD HH:MM:SS'
+ */
+function toCommerceDateTime(date) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+module.exports = {
+  buildSearchCriteria,
+  toCommerceDateTime,
+};
@@ -0,0 +1,48 @@
+/**
+ * Adobe Commerce Store View Routing
+ * Builds store-scoped REST URLs (/rest/{storeCode}/V1) and parses storeCode parameters
+ */
+
+const STORE_CODE_PATTERN = /^[a-z][a-z0-9_]*$/i;
+
+/**
+ * Build a Commerce REST URL, scoped to config.commerce.storeCode when set
+ * Without a store code Commerce uses the default store view (/rest/V1)
+ * @param {Object} commerce - Commerce configuration (config.commerce)
+ * @param {string} path - API path including leading slash (e.g. '/products')
+ * @param {string} [query] - Query string without leading '?'
+ * @returns {string} Full REST URL
+ */
+function buildRestUrl(commerce, path, query = '') {
+  const { baseUrl, api, storeCode } = commerce;
+  const scope = storeCode ? `${storeCode}/` : '';
+  const url = `${baseUrl}/rest/${scope}${api.version}${path}`;
+  return query ? `${url}?${query}` : url;
+}
+
+/**
+ * Parse the storeCode action parameter
+ * Accepts a single code or a comma-separated list for one export file per store view
+ * @param {string|Array<string>} value - Raw parameter value
+ * @returns {Array<string>} Store codes ([''] means the default store view)
+ * @throws {Error} If a store code is malformed
+ */
+function parseStoreCodes(value) {
+  if (value === undefined || value === null || value === '') return [''];
+
+  const codes = (Array.isArray(value) ? value : String(value).split(','))
+    .map((code) => String(code).trim())
+    .filter(Boolean);
+
+  const invalid = codes.filter((code) => !STORE_CODE_PATTERN.test(code));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid store code ${invalid.join(', ')}`);
+  }
+
+  return codes.length > 0 ? Array.from(new Set(codes)) : [''];
+}
+
+module.exports = {
+  buildRestUrl,
+  parseStoreCodes,
+};
@@ -0,0 +1,121 @@
+/**
+ * Cron Expression Matching
+ * Five-field expressions (minute hour day-of-month month day-of-week), evaluated in UTC like
+ * OpenWhisk alarm triggers. Fields accept *, lists (1,15), ranges (1-5) and steps (*\/15, 0-30/10)
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }, // 0 and 7 are Sunday
+];
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Parse one comma-separated part of a field into the values it allows
+ * @param {string} part - e.g. '*', '5', '1-5', '*\/15' or '0-30/10'
+ * @param {Object} field - Field bounds
+ * @returns {Array<number>} Allowed values
+ * @throws {Error} If the part is malformed or out of range
+ */
+function parsePart(part, field) {
+  const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+  if (!match) {
+    throw new Error(`Invalid ${field.name} '${part}'`);
+  }
+
+  const [, range, start, end, step] = match;
+  const from = range === '*' ? field.min : Number(start);
+  const to = range === '*' ? field.max : Number(end ?? (step ? field.max : start));
+  const increment = step ? Number(step) : 1;
+  if (from < field.min || to > field.max || from > to || increment < 1) {
+    throw new Error(`Invalid ${field.name} '${part}' (allowed ${field.min}-${field.max})`);
+  }
+
+  const values = [];
+  for (let value = from; value <= to; value += increment) {
+    values.push(value);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field cron expression
+ * @returns {Object} Parsed expression ({ expression, fields, restricted })
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression) {
+  const parts = String(expression || '')
+    .trim()
+    .split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(
+      `Cron expression '${expression}' must have 5 fields: minute hour day-of-month month day-of-week`
+    );
+  }
+
+  const fields = parts.map((value, index) => {
+    const allowed = new Set(value.split(',').flatMap((part) => parsePart(part, FIELDS[index])));
+    if (index === 4 && allowed.has(7)) allowed.add(0);
+    return allowed;
+  });
+
+  return {
+    expression: parts.join(' '),
+    fields,
+    // Day of month and day of week match either way when both are restricted (standard cron)
+    restricted: { dayOfMonth: parts[2] !== '*', dayOfWeek: parts[4] !== '*' },
+  };
+}
+
+/**
+ * Check whether a parsed expression matches a minute
+ * @param {Object} cron - Result of parseCron
+ * @param {Date} date - Time to check (UTC)
+ * @returns {boolean} True if the expression fires at that minute
+ */
+function matchesCron(cron, date) {
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = cron.fields;
+  if (
+    !minutes.has(date.getUTCMinutes()) ||
+    !hours.has(date.getUTCHours()) ||
+    !months.has(date.getUTCMonth() + 1)
+  ) {
+    return false;
+  }
+
+  const dayOfMonth = daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = daysOfWeek.has(date.getUTCDay());
+  if (cron.restricted.dayOfMonth && cron.restricted.dayOfWeek) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Find the last minute in (from, to] at which the expression fired
+ * Used by the alarm-driven dispatcher to catch schedules that fired between two ticks
+ * @param {Object} cron - Result of parseCron
+ * @param {number} from - Window start in epoch milliseconds (exclusive)
+ * @param {number} to - Window end in epoch milliseconds (inclusive)
+ * @returns {Date|null} Last firing time, or null if the expression did not fire
+ */
+function lastFiringBetween(cron, from, to) {
+  const end = Math.floor(to / MINUTE_MS) * MINUTE_MS;
+  for (let time = end; time > from; time -= MINUTE_MS) {
+    const date = new Date(time);
+    if (matchesCron(cron, date)) {
+      return date;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  lastFiringBetween,
+  parseCron,
+};
@@ -1,49 +1,358 @@
 /**
  * Generic CSV Generation for Adobe App Builder
  * Pure orchestration - delegates all business logic to format implementations
+ * and all escaping rules to the RFC 4180 serializer below
  */
 
-const RecsFormat = require('./formats/recs');
+const { getFormat } = require('./formats');
+
+// Characters that make spreadsheet applications evaluate a cell as a formula
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+const NUMERIC_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const QUOTING_POLICIES = ['minimal', 'all', 'nonnumeric'];
+const FILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,127}$/;
+
+/**
+ * Resolve serializer options for a format
+ * Format-level csvOptions override the global config.csv defaults
+ * @param {Object} config - Configuration object
+ * @param {Object} format - Format implementation
+ * @returns {Object} Serializer options
+ */
+function resolveCsvOptions(config, format) {
+  const options = {
+    delimiter: ',',
+    quoting: 'minimal',
+    lineEnding: '\r\n',
+    bom: false,
+    neutralizeFormulas: true,
+    ...(config.csv || {}),
+    ...(format.csvOptions || {}),
+  };
+
+  if (typeof options.delimiter !== 'string' || options.delimiter.length !== 1) {
+    throw new Error('CSV delimiter must be a single character');
+  }
+  if (options.delimiter === '"' || options.delimiter === '\r' || options.delimiter === '\n') {
+    throw new Error('CSV delimiter cannot be a double quote or line break');
+  }
+  if (!QUOTING_POLICIES.includes(options.quoting)) {
+    throw new Error(
+      `Unknown CSV quoting policy '${options.quoting}'. Use: ${QUOTING_POLICIES.join(', ')}`
+    );
+  }
+
+  return options;
+}
+
+/**
+ * Check whether a value is numeric (numbers and numeric strings are never neutralised)
+ * @param {*} value - Raw cell value
+ * @returns {boolean} True if value is numeric
+ */
+function isNumeric(value) {
+  if (typeof value === 'number') return Number.isFinite(value);
+  return typeof value === 'string' && NUMERIC_PATTERN.test(value);
+}
+
+/**
+ * Escape a single cell value following RFC 4180
+ * - Embedded double quotes are doubled
+ * - Values containing the delimiter, quotes or line breaks are quoted
+ * - Text starting with a formula trigger is prefixed with a single quote
+ * @param {*} value - Raw cell value
+ * @param {Object} options - Serializer options
+ * @returns {string} Escaped cell
+ */
+function escapeCsvValue(value, options) {
+  if (value === null || value === undefined) {
+    return options.quoting === 'all' ? '""' : '';
+  }
+
+  const numeric = isNumeric(value);
+  let text = value.toString();
+
+  if (options.neutralizeFormulas && !numeric && FORMULA_PREFIXES.includes(text.charAt(0))) {
+    text = `'${text}`;
+  }
+
+  const needsQuotes =
+    options.quoting === 'all' ||
+    (options.quoting === 'nonnumeric' && !numeric) ||
+    text.includes(options.delimiter) ||
+    text.includes('"') ||
+    text.includes('\n') ||
+    text.includes('\r') ||
+    text !== text.trim();
+
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Create a CSV serializer bound to a set of options
+ * @param {Object} options - Resolved serializer options
+ * @returns {Object} Serializer with row() and document() helpers
+ */
+function createCsvSerializer(options) {
+  return {
+    options,
+
+    /**
+     * Serialize one record (no trailing line ending)
+     * @param {Array} values - Cell values in column order
+     * @returns {string} CSV record
+     */
+    row(values) {
+      return values.map((value) => escapeCsvValue(value, options)).join(options.delimiter);
+    },
+
+    /**
+     * Join raw lines into a document with the configured line ending and optional BOM
+     * @param {Array<string>} lines - Already serialized lines
+     * @returns {string} CSV document
+     */
+    document(lines) {
+      const body = lines.map((line) => line + options.lineEnding).join('');
+      return options.bom ? `\uFEFF${body}` : body;
+    },
+  };
+}
+
+/**
+ * Resolve a format argument that may be a registered id or a format implementation
+ * @param {string|Object} format - Format id or implementation (e.g. a delta format)
+ * @returns {Object} Format implementation
+ */
+function resolveFormat(format) {
+  return typeof format === 'string' ? getFormat(format) : format;
+}
+
+/**
+ * Validate the `fileName` action parameter (destination name replacing the format's default)
+ * @param {string} value - Raw parameter value
+ * @returns {string|null} File name, or null to use the format's default
+ * @throws {Error} If the name contains path separators or unsupported characters
+ */
+function parseFileName(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const fileName = String(value).trim();
+  if (!FILE_NAME_PATTERN.test(fileName)) {
+    throw new Error(
+      `Invalid file name '${fileName}'. Use letters, digits, dots, dashes and underscores`
+    );
+  }
+  return fileName;
+}
+
+/**
+ * Resolve the export file name, suffixed with the store code for store-view exports
+ * (e.g. products.csv -> products-de.csv) so per-store files never overwrite each other
+ * @param {Object} format - Format implementation
+ * @param {Object} config - Configuration object
+ * @returns {string} File name
+ */
+function resolveFileName(format, config) {
+  const fileName = config.products?.fileName || format.fileName;
+  const storeCode = config.commerce?.storeCode;
+  if (!storeCode) return fileName;
+
+  const extensionIndex = fileName.lastIndexOf('.');
+  return extensionIndex > 0
+    ? `${fileName.slice(0, extensionIndex)}-${storeCode}${fileName.slice(extensionIndex)}`
+    : `${fileName}-${storeCode}`;
+}
 
 /**
  * Create CSV content using format-specific logic
  * @param {Array} products - Array of product objects
- * @returns {Object} CSV result with content and stats
+ * @param {string|Object} formatName - Registered export format or implementation (defaults to RECS)
+ * @param {Object} config - Configuration object (passed through to the format)
+ * @returns {Object} CSV result with content, format and stats
  */
-function createCsv(products) {
+function createCsv(products, formatName = 'recs', config = {}) {
+  const format = resolveFormat(formatName);
+  const serializer = createCsvSerializer(resolveCsvOptions(config, format));
+
   // Transform products using format
-  const transformedProducts = products.map((product) => RecsFormat.transformProduct(product));
+  const transformedProducts = products.map((product) => format.transformProduct(product, config));
 
   // Get structure from format
-  const fileHeaders = RecsFormat.getFileHeaders();
-  const columnHeaders = RecsFormat.getColumnHeaders().join(',');
-  const fieldOrder = RecsFormat.getFieldOrder();
-
-  // Create CSV data rows (only generic CSV formatting)
-  const dataRows = transformedProducts.map((product) => {
-    return fieldOrder
-      .map((fieldId) => {
-        const value = product[fieldId] || '';
-        // Simple CSV escaping
-        return value.toString().includes(',') ? `"${value}"` : value;
-      })
-      .join(',');
-  });
-
-  // Combine all parts
-  const csvContent = [...fileHeaders, columnHeaders, ...dataRows].join('\n');
+  const fileHeaders = format.getFileHeaders();
+  const columnHeaders = serializer.row(format.getColumnHeaders(config));
+  const fieldOrder = format.getFieldOrder(config);
+
+  // Create CSV data rows - all escaping handled by the serializer
+  const dataRows = transformedProducts.map((product) =>
+    serializer.row(fieldOrder.map((fieldId) => product[fieldId]))
+  );
+
+  // Format preamble lines (e.g. RECS pre-process headers) are written verbatim
+  const csvContent = serializer.document([...fileHeaders, columnHeaders, ...dataRows]);
 
+  const byteCount = Buffer.byteLength(csvContent, 'utf8');
   return {
     content: csvContent,
+    format: format.id,
+    fileName: resolveFileName(format, config),
     stats: {
-      originalSize: csvContent.length,
-      compressedSize: csvContent.length,
+      originalSize: byteCount,
+      compressedSize: byteCount,
       savingsPercent: 0,
       rowCount: products.length,
     },
   };
 }
 
+/**
+ * Create an incremental CSV writer for streaming exports
+ * Produces the same bytes as createCsv, split into a header chunk and one chunk per page
+ * @param {string|Object} formatName - Registered export format or implementation (defaults to RECS)
+ * @param {Object} config - Configuration object (passed through to the format)
+ * @returns {Object} Writer with header(), rows(products) and stats()
+ */
+function createCsvWriter(formatName = 'recs', config = {}) {
+  const format = resolveFormat(formatName);
+  const serializer = createCsvSerializer(resolveCsvOptions(config, format));
+  const fieldOrder = format.getFieldOrder(config);
+  let byteCount = 0;
+  let rowCount = 0;
+
+  const track = (chunk) => {
+    byteCount += Buffer.byteLength(chunk);
+    return chunk;
+  };
+
+  return {
+    format: format.id,
+    fileName: resolveFileName(format, config),
+
+    /**
+     * Serialize the preamble and column header lines (with BOM when enabled)
+     * @returns {string} CSV chunk
+     */
+    header() {
+      const columnHeaders = serializer.row(format.getColumnHeaders(config));
+      return track(serializer.document([...format.getFileHeaders(), columnHeaders]));
+    },
+
+    /**
+     * Serialize one page of products
+     * @param {Array} products - Array of product objects
+     * @returns {string} CSV chunk (empty string for an empty page)
+     */
+    rows(products) {
+      const lines = products.map((product) => {
+        const transformed = format.transformProduct(product, config);
+        return (
+          serializer.row(fieldOrder.map((fieldId) => transformed[fieldId])) +
+          serializer.options.lineEnding
+        );
+      });
+      rowCount += products.length;
+      return track(lines.join(''));
+    },
+
+    /**
+     * Running totals for the chunks produced so far
+     * @returns {Object} Stats in the same shape createCsv returns
+     */
+    stats() {
+      return {
+        originalSize: byteCount,
+        compressedSize: byteCount,
+        savingsPercent: 0,
+        rowCount,
+      };
+    },
+  };
+}
+
+/**
+ * Undo formula neutralisation on a parsed cell (the leading quote escapeCsvValue adds)
+ * @param {string} text - Parsed cell
+ * @param {Object} options - Serializer options (resolveCsvOptions)
+ * @returns {string} Cell value as it was before export
+ */
+function restoreCsvValue(text, options) {
+  if (options.neutralizeFormulas && text.startsWith("'") && FORMULA_PREFIXES.includes(text[1])) {
+    return text.slice(1);
+  }
+  return text;
+}
+
+/**
+ * Read a quoted cell, where doubled quotes stand for one quote
+ * @param {string} text - CSV text
+ * @param {number} start - Index after the opening quote
+ * @returns {Object} Cell value and the index after the closing quote
+ * @throws {Error} If the cell is not closed
+ */
+function readQuotedCell(text, start) {
+  let value = '';
+  let index = start;
+  let quoteIndex = text.indexOf('"', index);
+
+  while (quoteIndex !== -1) {
+    value += text.slice(index, quoteIndex);
+    if (text[quoteIndex + 1] !== '"') {
+      return { value, end: quoteIndex + 1 };
+    }
+    value += '"';
+    index = quoteIndex + 2;
+    quoteIndex = text.indexOf('"', index);
+  }
+  throw new Error(`Unterminated quoted cell at character ${start}`);
+}
+
+/**
+ * Parse CSV text into records following RFC 4180 (the inverse of the serializer)
+ * Quoted cells may contain the delimiter, doubled quotes and line breaks; a leading BOM is ignored
+ * @param {string} content - CSV text
+ * @param {Object} [options] - Parser options
+ * @param {string} [options.delimiter] - Cell delimiter (defaults to ',')
+ * @returns {Array<Array<string>>} Records of cell values
+ * @throws {Error} If a quoted cell is not closed
+ */
+function parseCsv(content, { delimiter = ',' } = {}) {
+  const text = content.charCodeAt(0) === 0xfeff ? content.slice(1) : content;
+  const records = [];
+  let record = [];
+  let cell = '';
+  let index = 0;
+
+  while (index < text.length) {
+    const char = text[index];
+    index += 1;
+
+    if (char === '"' && cell === '') {
+      const quotedCell = readQuotedCell(text, index);
+      cell = quotedCell.value;
+      index = quotedCell.end;
+    } else if (char === delimiter) {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\r' || char === '\n') {
+      // CRLF is one line break
+      if (char === '\r' && text[index] === '\n') index += 1;
+      records.push([...record, cell]);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  // A trailing line break does not start another record
+  if (cell !== '' || record.length > 0) records.push([...record, cell]);
+  return records;
+}
+
 module.exports = {
   createCsv,
+  createCsvWriter,
+  parseCsv,
+  parseFileName,
+  resolveCsvOptions,
+  restoreCsvValue,
 };
@@ -0,0 +1,160 @@
+/**
+ * Incremental (Delta) Exports
+ * Persists the last successful export watermark and SKU snapshot in aio-lib-state,
+ * so the next export only fetches products changed since then and flags deletions
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const stateLib = require('@adobe/aio-lib-state');
+
+const { fetchCatalogSkus } = require('./commerce');
+const { toCommerceDateTime } = require('./commerce/search-criteria');
+const { getDeltaFormat } = require('./formats');
+const { parseBooleanParam } = require('./utils');
+
+/**
+ * Decide whether a request asked for a delta export
+ * @param {Object} params - Action parameters
+ * @returns {boolean} True if the `delta` parameter is set
+ */
+function isDeltaEnabled(params) {
+  return parseBooleanParam(params.delta, false);
+}
+
+/**
+ * Build the state key prefix for a source/store/format/filter combination
+ * REST and mesh exports keep separate watermarks since they may run on different schedules,
+ * and each store view and filtered feed tracks its own SKU set
+ * @param {string} source - Export source ('rest' or 'mesh')
+ * @param {string} storeCode - Store view code ('' for the default store view)
+ * @param {string} formatId - Export format id
+ * @param {Array<Array<Object>>} filterGroups - Product filter groups
+ * @returns {string} State key prefix
+ */
+function getStateKey(source, storeCode, formatId, filterGroups) {
+  const scope = storeCode ? `${source}_${storeCode}` : source;
+  if (filterGroups.length === 0) {
+    return `delta_${scope}_${formatId}`;
+  }
+  const filterHash = crypto
+    .createHash('md5')
+    .update(JSON.stringify(filterGroups))
+    .digest('hex')
+    .substring(0, 8);
+  return `delta_${scope}_${formatId}_${filterHash}`;
+}
+
+/**
+ * Load the previous delta state
+ * SKU snapshots are gzipped to stay well below the state value size limit
+ * @param {Object} state - Adobe I/O State instance
+ * @param {string} key - State key prefix
+ * @returns {Promise<Object|null>} Previous watermark and SKU list, or null on first run
+ */
+async function loadDeltaState(state, key) {
+  const watermarkEntry = await state.get(`${key}_watermark`);
+  if (!watermarkEntry?.value) return null;
+
+  const skusEntry = await state.get(`${key}_skus`);
+  const skus = skusEntry?.value
+    ? JSON.parse(zlib.gunzipSync(Buffer.from(skusEntry.value, 'base64')).toString())
+    : [];
+
+  return { ...JSON.parse(watermarkEntry.value), skus };
+}
+
+/**
+ * Start a delta export
+ * Takes the full SKU listing up front so the deletion rows and the new snapshot agree.
+ * Products that stop matching the product filters are reported as deletions too
+ *
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @param {Object} cache - Cache instance (optional)
+ * @param {Object} options - Delta options
+ * @param {string} options.formatName - Registered export format
+ * @param {string} options.source - Export source ('rest' or 'mesh')
+ * @param {Array<Array<Object>>} options.filterGroups - Product filter groups
+ * @param {Object} logger - Logger instance (optional)
+ * @returns {Promise<Object>} Delta run with format, filterGroups, deletedRows, summary() and commit()
+ */
+async function beginDelta(params, config, cache, options, logger = null) {
+  const { formatName, source, filterGroups: productFilterGroups = [] } = options;
+  const state = await stateLib.init();
+  const { storeCode } = config.commerce;
+  const key = getStateKey(source, storeCode, formatName, productFilterGroups);
+  const previous = await loadDeltaState(state, key);
+  const startedAt = new Date();
+
+  const currentSkus = await fetchCatalogSkus(params, config, cache, logger, {
+    filterGroups: productFilterGroups,
+  });
+  const current = new Set(currentSkus);
+  const deletedSkus = previous ? previous.skus.filter((sku) => !current.has(sku)) : [];
+
+  // First run has no watermark and exports the full (filtered) catalog as the baseline
+  const filterGroups = previous
+    ? [[{ field: 'updated_at', value: previous.watermark, condition: 'gteq' }]]
+    : [];
+
+  if (logger) {
+    logger.info('Delta export started', {
+      source,
+      storeCode: storeCode || 'default',
+      format: formatName,
+      since: previous?.watermark || 'full baseline',
+      catalogSkus: currentSkus.length,
+      deletedSkus: deletedSkus.length,
+    });
+  }
+
+  let watermark = null;
+
+  return {
+    format: getDeltaFormat(formatName),
+    filterGroups,
+    deletedRows: deletedSkus.map((sku) => ({ sku, delta_action: 'delete' })),
+
+    /**
+     * Summary for action responses
+     * @param {number} changedCount - Number of changed products written
+     * @returns {Object} Delta summary
+     */
+    summary(changedCount) {
+      return {
+        full: !previous,
+        since: previous?.watermark || null,
+        watermark,
+        changed: changedCount,
+        deleted: deletedSkus.length,
+      };
+    },
+
+    /**
+     * Persist the new watermark and SKU snapshot after a successful upload
+     * The watermark is rewound by delta.overlapSeconds to absorb clock skew with Commerce
+     * @returns {Promise<string>} New watermark
+     */
+    async commit() {
+      const { overlapSeconds, stateTtl } = config.delta;
+      watermark = toCommerceDateTime(new Date(startedAt.getTime() - overlapSeconds * 1000));
+
+      const skus = zlib.gzipSync(JSON.stringify(currentSkus)).toString('base64');
+      await state.put(`${key}_skus`, skus, { ttl: stateTtl });
+      await state.put(
+        `${key}_watermark`,
+        JSON.stringify({ watermark, exportedAt: startedAt.toISOString() }),
+        { ttl: stateTtl }
+      );
+
+      return watermark;
+    },
+  };
+}
+
+module.exports = {
+  isDeltaEnabled,
+  beginDelta,
+};
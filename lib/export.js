@@ -0,0 +1,231 @@
+/**
+ * Streaming Export Pipeline
+ * Serializes product pages as they arrive and uploads them through a streaming storage upload,
+ * so memory is bounded by page size rather than catalog size
+ */
+
+const { resolveProductFilterGroups } = require('./commerce');
+const { createCsvWriter } = require('./csv');
+const { beginDelta, isDeltaEnabled } = require('./delta');
+const { stampFileName } = require('./history');
+const { createStreamingUpload } = require('./storage');
+const { parseBooleanParam } = require('./utils');
+const { createValidator, resolveValidationMode, storeQualityReport } = require('./validation');
+
+/**
+ * Decide whether a request should use the streaming pipeline
+ * The `streaming` action parameter overrides config.products.streaming
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @returns {boolean} True if streaming mode is enabled
+ */
+function isStreamingEnabled(params, config) {
+  return parseBooleanParam(params.streaming, Boolean(config.products.streaming));
+}
+
+/**
+ * Prepare an export: resolve product filters and, for delta exports, load the previous state
+ * The resulting plan carries the format, product filter groups, rows appended after products
+ * and the validator products pass before they are serialized (lib/validation.js)
+ *
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @param {Object} cache - Cache instance
+ * @param {Object} options - Export options
+ * @param {string} options.exportFormat - Registered export format
+ * @param {Object|null} options.filters - Result of parseProductFilters
+ * @param {string} options.source - Export source ('rest' or 'mesh')
+ * @param {Object} logger - Logger instance (optional)
+ * @returns {Promise<Object>} Plan ({ format, filterGroups, trailingRows, validator }) and delta
+ *   run (or null)
+ */
+async function prepareExport(params, config, cache, options, logger = null) {
+  const { exportFormat, filters, source } = options;
+  const filterGroups = await resolveProductFilterGroups(params, config, cache, filters, logger);
+  const validationMode = resolveValidationMode(params, config);
+
+  if (!isDeltaEnabled(params)) {
+    return {
+      plan: {
+        format: exportFormat,
+        filterGroups,
+        trailingRows: [],
+        validator: createValidator(exportFormat, config, validationMode),
+      },
+      delta: null,
+    };
+  }
+
+  // Delta mode only fetches products changed since the last export and appends deletions
+  const delta = await beginDelta(
+    params,
+    config,
+    cache,
+    { formatName: exportFormat, source, filterGroups },
+    logger
+  );
+
+  return {
+    plan: {
+      format: delta.format,
+      filterGroups: filterGroups.concat(delta.filterGroups),
+      trailingRows: delta.deletedRows,
+      validator: createValidator(delta.format, config, validationMode),
+    },
+    delta,
+  };
+}
+
+/**
+ * Stream product pages into a CSV file in storage
+ * @param {AsyncIterable<Object>} pages - Pages with a products array (REST or mesh)
+ * @param {string|Object} formatName - Registered export format or implementation
+ * @param {Object} config - Configuration object
+ * @param {Object} logger - Logger instance (optional)
+ * @param {Object} options - Export options (optional)
+ * @param {Array<Object>} options.trailingRows - Rows written after the last page (e.g. deletions)
+ * @param {Object} options.tracker - Job progress tracker (lib/jobs.js, async exports)
+ * @param {string} options.runId - Export run ID added to the file name (lib/history.js)
+ * @param {Object} options.validator - Validator products pass before they are written
+ * @returns {Promise<Object>} Export result with csv info, storage result, counts, last page and
+ *   data-quality summary
+ */
+async function streamExport(pages, formatName, config, logger = null, options = {}) {
+  const { trailingRows = [], tracker = null, runId, validator = null } = options;
+  const writer = createCsvWriter(formatName, config);
+  const fileName = stampFileName(writer.fileName, runId);
+  const upload = await createStreamingUpload(config, fileName);
+
+  let productCount = 0;
+  let pageCount = 0;
+  let lastPage = null;
+  let reportedBytes = 0;
+
+  // Report parts uploaded since the last report
+  const reportUpload = async (uploadedBytes) => {
+    if (!tracker || uploadedBytes <= reportedBytes) return;
+    await tracker.uploaded(uploadedBytes - reportedBytes);
+    reportedBytes = uploadedBytes;
+  };
+
+  try {
+    await upload.write(writer.header());
+
+    for await (const page of pages) {
+      const products = validator ? validator.check(page.products) : page.products;
+      await upload.write(writer.rows(products));
+      productCount += products.length;
+      pageCount += 1;
+      lastPage = page;
+      if (tracker) await tracker.page(page);
+      await reportUpload(upload.uploadedBytes());
+
+      if (logger) {
+        logger.info('Streamed export page', {
+          currentPage: page.currentPage,
+          pageProducts: page.products.length,
+          productCount,
+        });
+      }
+    }
+
+    await upload.write(writer.rows(trailingRows));
+  } catch (error) {
+    await upload.abort();
+    throw error;
+  }
+
+  if (tracker) await tracker.phase('uploading');
+  const storage = await upload.complete();
+  await reportUpload(storage.stored ? storage.properties.size : 0);
+  const quality = storage.stored
+    ? await storeQualityReport(validator, fileName, config, logger)
+    : undefined;
+
+  return {
+    csv: {
+      format: writer.format,
+      fileName,
+      stats: writer.stats(),
+    },
+    storage,
+    productCount,
+    pageCount,
+    lastPage,
+    quality,
+  };
+}
+
+/**
+ * Advance the delta watermark of every store view of an export
+ * Called once every store's file is stored: a store that fails leaves all watermarks where they
+ * were, so the next delta run exports the changes again instead of skipping them
+ * @param {Array<Object>} storeExports - Per-store results ({ productCount, deltaRun } from prepareExport)
+ * @returns {Promise<Array<Object>>} Store exports with their delta summary (carrying the new watermark)
+ */
+async function commitDeltas(storeExports) {
+  const committed = [];
+  for (const storeExport of storeExports) {
+    const { deltaRun, productCount } = storeExport;
+    if (deltaRun) await deltaRun.commit();
+    committed.push({
+      ...storeExport,
+      delta: deltaRun ? deltaRun.summary(productCount) : undefined,
+    });
+  }
+  return committed;
+}
+
+/**
+ * Summarize each store view file of a multi-store export
+ * @param {Array<Object>} storeExports - Per-store results ({ storeCode, productCount, storageResult, delta, quality })
+ * @returns {Array<Object>|undefined} Per-store summaries, or undefined for single-store exports
+ */
+function summarizeStores(storeExports) {
+  if (storeExports.length < 2) return undefined;
+
+  return storeExports.map(({ storeCode, productCount, storageResult, delta, quality }) => ({
+    storeCode,
+    productCount,
+    fileName: storageResult.fileName,
+    downloadUrl: storageResult.downloadUrl,
+    delta,
+    quality,
+  }));
+}
+
+/**
+ * Summarize the data-quality results of an export
+ * Multi-store exports add up their counts; each store's report is listed by summarizeStores
+ * @param {Array<Object>} storeExports - Per-store results ({ quality })
+ * @returns {Object|undefined} Quality summary, or undefined when validation is off
+ */
+function summarizeQuality(storeExports) {
+  const results = storeExports.map((entry) => entry.quality).filter(Boolean);
+  if (results.length < 2) return results[0];
+
+  const byRule = {};
+  results.forEach((quality) =>
+    Object.entries(quality.byRule).forEach(([rule, count]) => {
+      byRule[rule] = (byRule[rule] || 0) + count;
+    })
+  );
+  const sum = (field) => results.reduce((total, quality) => total + quality[field], 0);
+  return {
+    mode: results[0].mode,
+    checked: sum('checked'),
+    invalid: sum('invalid'),
+    skipped: sum('skipped'),
+    issues: sum('issues'),
+    byRule,
+  };
+}
+
+module.exports = {
+  commitDeltas,
+  prepareExport,
+  isStreamingEnabled,
+  streamExport,
+  summarizeQuality,
+  summarizeStores,
+};
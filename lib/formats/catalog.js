@@ -0,0 +1,139 @@
+/**
+ * Flat Catalog Format Implementation
+ * Plain one-row-per-SKU export used to feed the PIM and the BI warehouse
+ */
+
+const ProductTransform = require('./transform');
+
+const CATALOG_FIELDS = [
+  'sku',
+  'name',
+  'type',
+  'parent_sku',
+  'status',
+  'visibility',
+  'price',
+  'price_min',
+  'price_max',
+  'qty',
+  'stock_status',
+  'categories',
+  'primary_category',
+  'category_paths',
+  'url_key',
+  'image_url',
+  'created_at',
+  'updated_at',
+];
+
+/**
+ * MSI breakdown columns configured via config.inventory, appended after the fixed columns
+ * @param {Object} config - Configuration object
+ * @returns {Array<Array<string>>} [column, inventory selector] pairs
+ */
+function getInventoryColumns(config = {}) {
+  const { sourceCodes = [], salableStockIds = [] } = config.inventory || {};
+  return [
+    ...sourceCodes.map((code) => [`qty_${code}`, `source:${code}`]),
+    ...salableStockIds.map((stockId) => [`salable_qty_${stockId}`, `stock:${stockId}`]),
+  ];
+}
+
+/**
+ * Flat Catalog Format
+ * Column headers are the field names themselves so downstream loaders can map by name
+ */
+const CatalogFormat = {
+  id: 'catalog',
+  label: 'Flat Catalog (PIM / BI)',
+  description: 'Plain product table for PIM and BI imports',
+  fileName: 'catalog.csv',
+  keyField: 'sku',
+
+  /**
+   * Flat catalog has no preamble lines
+   */
+  getFileHeaders() {
+    return [];
+  },
+
+  /**
+   * Column headers - same as field names
+   */
+  getColumnHeaders(config) {
+    return [...CATALOG_FIELDS, ...getInventoryColumns(config).map(([column]) => column)];
+  },
+
+  /**
+   * Field order for CSV output - matches column headers
+   */
+  getFieldOrder(config) {
+    return this.getColumnHeaders(config);
+  },
+
+  /**
+   * Columns imports may write back to Commerce: name, status, price and per-source quantities
+   */
+  getWritableFields(config) {
+    const sourceCodes = config?.inventory?.sourceCodes || [];
+    return {
+      name: { type: 'product', code: 'name' },
+      status: { type: 'product', code: 'status' },
+      price: { type: 'product', code: 'price' },
+      ...Object.fromEntries(sourceCodes.map((code) => [`qty_${code}`, { type: 'source', code }])),
+    };
+  },
+
+  /**
+   * Data-quality rules checked before export (lib/validation.js)
+   * PIM and BI loads key rows by SKU; images and prices may legitimately be missing
+   */
+  getValidationRules() {
+    return {
+      sku: { required: true, unique: true },
+      name: { required: true },
+      price: { min: 0 },
+      image_url: { url: 'absolute' },
+    };
+  },
+
+  /**
+   * Transform product into a flat catalog row
+   * Per-source and salable quantity columns stay empty when the product has no MSI breakdown
+   * @param {Object} product - Canonical product (lib/product-model.js)
+   * @param {Object} config - Configuration object
+   * @returns {Object} Flat catalog row
+   */
+  transformProduct(product, config) {
+    const inventoryColumns = Object.fromEntries(
+      getInventoryColumns(config).map(([column, selector]) => [
+        column,
+        ProductTransform.getSelectedInventoryQuantity(product, selector) ?? '',
+      ])
+    );
+
+    return {
+      sku: product.sku || '',
+      name: product.name || '',
+      type: product.type || '',
+      parent_sku: product.parentSku || '',
+      status: product.status ?? '',
+      visibility: product.visibility ?? '',
+      price: ProductTransform.getPrice(product),
+      price_min: product.prices.min ?? '',
+      price_max: product.prices.max ?? '',
+      qty: ProductTransform.getInventoryQuantity(product),
+      stock_status: ProductTransform.isInStock(product) ? 'IN_STOCK' : 'OUT_OF_STOCK',
+      categories: ProductTransform.getCategoryNames(product).join('|'),
+      primary_category: ProductTransform.getPrimaryCategoryBreadcrumb(product),
+      category_paths: ProductTransform.getCategoryBreadcrumbs(product).join('|'),
+      url_key: ProductTransform.extractUrlKey(product) || '',
+      image_url: ProductTransform.getThumbnailImageUrl(product),
+      created_at: product.createdAt || '',
+      updated_at: product.updatedAt || '',
+      ...inventoryColumns,
+    };
+  },
+};
+
+module.exports = CatalogFormat;
@@ -0,0 +1,46 @@
+/**
+ * Delta Format Wrapper
+ * Derives an incremental variant of any export format by appending a delta_action column
+ *
+ * Products are written as 'upsert' rows; entries flagged { sku, delta_action: 'delete' }
+ * become rows that only carry the format's key field
+ */
+
+const DELTA_ACTION_FIELD = 'delta_action';
+
+/**
+ * Create the delta variant of a format
+ * @param {Object} format - Registered format implementation
+ * @returns {Object} Format implementation writing delta files
+ */
+function createDeltaFormat(format) {
+  return {
+    ...format,
+    fileName: `delta-${format.fileName}`,
+
+    getColumnHeaders(config) {
+      return [...format.getColumnHeaders(config), DELTA_ACTION_FIELD];
+    },
+
+    getFieldOrder(config) {
+      return [...format.getFieldOrder(config), DELTA_ACTION_FIELD];
+    },
+
+    /**
+     * Transform a changed product, or emit a key-only row for a deleted SKU
+     * @param {Object} product - Enriched product or deletion marker
+     * @param {Object} config - Configuration object
+     * @returns {Object} Format row with delta_action
+     */
+    transformProduct(product, config) {
+      if (product[DELTA_ACTION_FIELD] === 'delete') {
+        return { [format.keyField]: product.sku, [DELTA_ACTION_FIELD]: 'delete' };
+      }
+      return { ...format.transformProduct(product, config), [DELTA_ACTION_FIELD]: 'upsert' };
+    },
+  };
+}
+
+module.exports = {
+  createDeltaFormat,
+};
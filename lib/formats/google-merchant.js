@@ -0,0 +1,109 @@
+/**
+ * Google Merchant Center Format Implementation
+ * Product feed using Merchant Center attribute names as column headers
+ */
+
+const ProductTransform = require('./transform');
+
+/**
+ * Google Merchant Center Format
+ * Links are absolute, so the format needs the Commerce base URL from config
+ */
+const GoogleMerchantFormat = {
+  id: 'google-merchant',
+  label: 'Google Merchant Center',
+  description: 'Product data feed for Google Shopping',
+  fileName: 'google-merchant.csv',
+  keyField: 'id',
+
+  /**
+   * Merchant Center feeds have no preamble lines
+   */
+  getFileHeaders() {
+    return [];
+  },
+
+  /**
+   * Merchant Center attribute names
+   */
+  getColumnHeaders() {
+    return [
+      'id',
+      'title',
+      'description',
+      'link',
+      'image_link',
+      'availability',
+      'price',
+      'brand',
+      'product_type',
+      'condition',
+      'item_group_id',
+    ];
+  },
+
+  /**
+   * Field order for CSV output - matches column headers
+   */
+  getFieldOrder() {
+    return [
+      'id',
+      'title',
+      'description',
+      'link',
+      'image_link',
+      'availability',
+      'price',
+      'brand',
+      'product_type',
+      'condition',
+      'item_group_id',
+    ];
+  },
+
+  /**
+   * Data-quality rules checked before export (lib/validation.js)
+   * Merchant Center rejects items without a landing page, an image or a positive price
+   */
+  getValidationRules() {
+    return {
+      id: { required: true, unique: true },
+      title: { required: true },
+      link: { required: true, url: 'absolute' },
+      image_link: { required: true, url: 'absolute' },
+      price: { greaterThan: 0 },
+    };
+  },
+
+  /**
+   * Transform product into Merchant Center attributes
+   * @param {Object} product - Canonical product (lib/product-model.js)
+   * @param {Object} config - Configuration object
+   * @returns {Object} Merchant Center row
+   */
+  transformProduct(product, config = {}) {
+    const baseUrl = config.commerce?.baseUrl || '';
+    const currency = config.products?.currency || 'USD';
+    const urlKey = ProductTransform.extractUrlKey(product);
+    const price = ProductTransform.getPrice(product);
+
+    return {
+      id: product.sku || '',
+      title: product.name || '',
+      description: ProductTransform.stripHtml(
+        ProductTransform.getCustomAttribute(product, 'description') || product.name
+      ),
+      link: urlKey ? `${baseUrl}/${urlKey}.html` : '',
+      image_link: ProductTransform.getThumbnailImageUrl(product),
+      availability: ProductTransform.isInStock(product) ? 'in_stock' : 'out_of_stock',
+      price: `${price.toFixed(2)} ${currency}`,
+      brand: ProductTransform.getCustomAttribute(product, 'brand') || '',
+      product_type: ProductTransform.getPrimaryCategoryBreadcrumb(product),
+      condition: 'new',
+      // Variants of one configurable share the parent SKU as their item group
+      item_group_id: product.parentSku || '',
+    };
+  },
+};
+
+module.exports = GoogleMerchantFormat;
@@ -0,0 +1,97 @@
+/**
+ * Export Format Registry
+ * Maps format names to self-contained format implementations used by createCsv
+ *
+ * A format implements: id, label, fileName, keyField, getFileHeaders(), getColumnHeaders(config),
+ * getFieldOrder(config) and transformProduct(product, config)
+ * Products come from either pipeline in the canonical model (lib/product-model.js)
+ *
+ * Formats that can be imported back into Commerce (lib/imports.js) also implement
+ * getWritableFields(config): field ID to { type: 'product' | 'attribute' | 'source', code }
+ *
+ * Formats may declare data-quality rules checked before export (lib/validation.js) through
+ * getValidationRules(config): field ID to { required, url, greaterThan, min, placeholder, unique }
+ */
+
+const CatalogFormat = require('./catalog');
+const { createDeltaFormat } = require('./delta');
+const GoogleMerchantFormat = require('./google-merchant');
+const RecsFormat = require('./recs');
+
+const formats = new Map();
+
+/**
+ * Register an export format under its id
+ * @param {Object} format - Format implementation
+ */
+function registerFormat(format) {
+  const required = ['getFileHeaders', 'getColumnHeaders', 'getFieldOrder', 'transformProduct'];
+  const missing = required.filter((method) => typeof format[method] !== 'function');
+
+  if (!format.keyField) missing.push('keyField');
+
+  if (!format.id || missing.length > 0) {
+    throw new Error(`Invalid export format '${format.id}': missing ${missing.join(', ') || 'id'}`);
+  }
+
+  formats.set(format.id, format);
+}
+
+/**
+ * Check whether a format is registered
+ * @param {string} name - Format id
+ * @returns {boolean} True if the format exists
+ */
+function hasFormat(name) {
+  return formats.has(name);
+}
+
+/**
+ * Get a registered format by name
+ * @param {string} name - Format id
+ * @returns {Object} Format implementation
+ * @throws {Error} If the format is not registered
+ */
+function getFormat(name) {
+  const format = formats.get(name);
+  if (!format) {
+    throw new Error(
+      `Unknown export format '${name}'. Available formats: ${Array.from(formats.keys()).join(', ')}`
+    );
+  }
+  return format;
+}
+
+/**
+ * Get the delta variant of a registered format (adds a delta_action column)
+ * @param {string} name - Format id
+ * @returns {Object} Delta format implementation
+ */
+function getDeltaFormat(name) {
+  return createDeltaFormat(getFormat(name));
+}
+
+/**
+ * List registered formats for pickers and help output
+ * @returns {Array<Object>} Format summaries with id, label, description and fileName
+ */
+function listFormats() {
+  return Array.from(formats.values()).map(({ id, label, description, fileName }) => ({
+    id,
+    label,
+    description,
+    fileName,
+  }));
+}
+
+// Built-in formats
+registerFormat(RecsFormat);
+registerFormat(GoogleMerchantFormat);
+registerFormat(CatalogFormat);
+
+module.exports = {
+  hasFormat,
+  getFormat,
+  getDeltaFormat,
+  listFormats,
+};
@@ -0,0 +1,297 @@
+/**
+ * Declarative Field Mappings
+ * Fills format columns from Commerce product data using small template expressions
+ *
+ * Expression syntax (text outside braces is kept as-is, so concatenation is just juxtaposition):
+ *   {brand}                      custom attribute, falling back to a canonical product field
+ *   {stock.qty}                  canonical field path (lib/product-model.js)
+ *   {special_price|prices.price} first non-empty source wins
+ *   {color|'Unknown'}            quoted literal as default
+ *   {special_price:fixed(2)}     formatters: fixed(n), int, upper, lower, trim, strip, truncate(n)
+ *   {brand} - {color}            when every placeholder is empty the column stays empty
+ *
+ * Top-level Commerce fields that mappings used before the canonical model ({price}, {qty},
+ * {type_id}, ...) are aliased to their canonical paths
+ */
+
+const ProductTransform = require('./transform');
+
+const PLACEHOLDER_PATTERN = /\{([^{}]+)\}/g;
+const REFERENCE_PATTERN = /^[a-z_][a-z0-9_.]*$/i;
+const FORMATTER_PATTERN = /^([a-z]+)(?:\((\d+)\))?$/i;
+
+// Raw Commerce product fields to their canonical paths (lib/product-model.js)
+const LEGACY_FIELD_ALIASES = {
+  price: 'prices.price',
+  qty: 'stock.qty',
+  type_id: 'type',
+  parent_sku: 'parentSku',
+  url_key: 'urls.urlKey',
+  created_at: 'createdAt',
+  updated_at: 'updatedAt',
+};
+
+// Top-level fields of the canonical product model; mappings copying them are not attributes
+const CANONICAL_FIELDS = [
+  'sku',
+  'name',
+  'type',
+  'status',
+  'visibility',
+  'parentSku',
+  'prices',
+  'stock',
+  'categories',
+  'primaryCategory',
+  'media',
+  'urls',
+  'attributes',
+  'createdAt',
+  'updatedAt',
+];
+
+// Canonical paths imports write back as core product fields (the rest of the model is read-only)
+const WRITABLE_PRODUCT_FIELDS = {
+  name: 'name',
+  status: 'status',
+  'prices.price': 'price',
+};
+
+const FORMATTERS = {
+  fixed: (value, digits = 2) => {
+    const num = parseFloat(value);
+    return isNaN(num) ? '' : num.toFixed(digits);
+  },
+  int: (value) => {
+    const num = parseFloat(value);
+    return isNaN(num) ? '' : String(Math.round(num));
+  },
+  upper: (value) => value.toUpperCase(),
+  lower: (value) => value.toLowerCase(),
+  trim: (value) => value.trim(),
+  strip: (value) => ProductTransform.stripHtml(value),
+  truncate: (value, length = 100) => value.substring(0, length),
+};
+
+const compiledMappers = new Map();
+
+/**
+ * Split an expression on a separator, ignoring separators inside quoted literals
+ * @param {string} expression - Placeholder body
+ * @param {string} separator - Single-character separator
+ * @returns {Array<string>} Trimmed parts
+ */
+function splitOutsideQuotes(expression, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of expression) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === separator) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  if (quote) {
+    throw new Error(`Unterminated quote in '{${expression}}'`);
+  }
+  parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Compile a source reference (attribute, canonical product field path or quoted literal)
+ * @param {string} source - Source token
+ * @returns {Function} Resolver (product) => value
+ */
+function compileSource(source) {
+  const literal = source.match(/^(['"])(.*)\1$/);
+  if (literal) {
+    return () => literal[2];
+  }
+
+  if (!REFERENCE_PATTERN.test(source)) {
+    throw new Error(`Invalid source '${source}'`);
+  }
+
+  const path = (LEGACY_FIELD_ALIASES[source] || source).split('.');
+  return (product) => {
+    const attributeValue = ProductTransform.getCustomAttribute(product, source);
+    if (attributeValue !== null && attributeValue !== undefined) {
+      return attributeValue;
+    }
+    return path.reduce((value, key) => (value == null ? undefined : value[key]), product);
+  };
+}
+
+/**
+ * Compile a formatter token such as fixed(2)
+ * @param {string} token - Formatter token
+ * @returns {Function} Formatter (string) => string
+ */
+function compileFormatter(token) {
+  const match = token.match(FORMATTER_PATTERN);
+  const formatter = match && FORMATTERS[match[1]];
+  if (!formatter) {
+    throw new Error(`Unknown formatter '${token}'. Use: ${Object.keys(FORMATTERS).join(', ')}`);
+  }
+
+  const argument = match[2] !== undefined ? Number(match[2]) : undefined;
+  return (value) => formatter(value, argument);
+}
+
+/**
+ * Compile one placeholder body ({sources:formatters})
+ * @param {string} body - Placeholder body without braces
+ * @returns {Function} Resolver (product) => string ('' when no source has a value)
+ */
+function compilePlaceholder(body) {
+  const [sourceList, ...formatterTokens] = splitOutsideQuotes(body, ':');
+  const sources = splitOutsideQuotes(sourceList, '|').map(compileSource);
+  const formatters = formatterTokens.map(compileFormatter);
+
+  return (product) => {
+    for (const source of sources) {
+      const value = source(product);
+      if (value !== null && value !== undefined && value !== '') {
+        const text = Array.isArray(value) ? value.join(',') : String(value);
+        return formatters.reduce((result, format) => format(result), text);
+      }
+    }
+    return '';
+  };
+}
+
+/**
+ * Compile a mapping expression
+ * @param {string} expression - Template expression
+ * @returns {Function} Resolver (product) => string
+ */
+function compileExpression(expression) {
+  if (typeof expression !== 'string') {
+    throw new Error('mapping must be a string expression');
+  }
+
+  const literals = expression.split(PLACEHOLDER_PATTERN).filter((_, index) => index % 2 === 0);
+  const placeholders = Array.from(expression.matchAll(PLACEHOLDER_PATTERN), (match) =>
+    compilePlaceholder(match[1])
+  );
+
+  if (placeholders.length === 0) {
+    return () => expression;
+  }
+
+  return (product) => {
+    const values = placeholders.map((placeholder) => placeholder(product));
+    if (values.every((value) => value === '')) {
+      return '';
+    }
+    return literals.reduce(
+      (result, literal, index) => result + literal + (values[index] ?? ''),
+      ''
+    );
+  };
+}
+
+/**
+ * Parse a field mapping configuration
+ * @param {Object|string} mappings - Field to expression map (or its JSON, e.g. from an env input)
+ * @returns {Object} Field to expression map
+ * @throws {Error} If the JSON is invalid
+ */
+function parseMappings(mappings) {
+  if (typeof mappings !== 'string') return mappings || {};
+  try {
+    return mappings.trim() ? JSON.parse(mappings) : {};
+  } catch (error) {
+    throw new Error('Field mappings must be valid JSON');
+  }
+}
+
+/**
+ * Compile a field mapping configuration
+ * @param {Object|string} mappings - Field to expression map (or its JSON, e.g. from an env input)
+ * @param {Array<string>} allowedFields - Fields the format lets mappings fill
+ * @returns {Function} Mapper (product) => partial row
+ * @throws {Error} If the mapping configuration is invalid
+ */
+function compileFieldMappings(mappings, allowedFields) {
+  const resolvers = Object.entries(parseMappings(mappings)).map(([field, expression]) => {
+    if (!allowedFields.includes(field)) {
+      throw new Error(`Field '${field}' cannot be mapped. Use: ${allowedFields.join(', ')}`);
+    }
+    try {
+      return [field, compileExpression(expression)];
+    } catch (error) {
+      throw new Error(`Invalid mapping for ${field}: ${error.message}`);
+    }
+  });
+
+  return (product) =>
+    Object.fromEntries(resolvers.map(([field, resolve]) => [field, resolve(product)]));
+}
+
+/**
+ * Get a compiled mapper, reusing the compilation across products of the same export
+ * @param {Object|string} mappings - Field mapping configuration
+ * @param {Array<string>} allowedFields - Fields the format lets mappings fill
+ * @returns {Function} Mapper (product) => partial row
+ */
+function getFieldMapper(mappings, allowedFields) {
+  const key = `${allowedFields.join(',')}:${
+    typeof mappings === 'string' ? mappings : JSON.stringify(mappings || {})
+  }`;
+
+  if (!compiledMappers.has(key)) {
+    compiledMappers.set(key, compileFieldMappings(mappings, allowedFields));
+  }
+  return compiledMappers.get(key);
+}
+
+/**
+ * Resolve the write-back target of a single-reference mapping
+ * Canonical fields and their legacy aliases are core product fields, writable only when listed
+ * in WRITABLE_PRODUCT_FIELDS; any other plain reference is a custom attribute
+ * @param {string} reference - Reference inside the braces (e.g. brand, price, stock.qty)
+ * @returns {Object|null} { type: 'product' | 'attribute', code }, or null when read-only
+ */
+function resolveWriteTarget(reference) {
+  const path = LEGACY_FIELD_ALIASES[reference] || reference;
+  if (WRITABLE_PRODUCT_FIELDS[path]) {
+    return { type: 'product', code: WRITABLE_PRODUCT_FIELDS[path] };
+  }
+  if (CANONICAL_FIELDS.includes(path.split('.')[0]) || path.includes('.')) {
+    return null;
+  }
+  return { type: 'attribute', code: reference };
+}
+
+/**
+ * Find the fields whose mapping copies a single reference as-is (e.g. {"custom2":"{brand}"})
+ * Only those columns can be written back to Commerce by imports
+ * @param {Object|string} mappings - Field mapping configuration
+ * @param {Array<string>} allowedFields - Fields the format lets mappings fill
+ * @returns {Object} Field to write target ({ type: 'product' | 'attribute', code })
+ */
+function getWritableMappings(mappings, allowedFields) {
+  return Object.fromEntries(
+    Object.entries(parseMappings(mappings))
+      .filter(([field]) => allowedFields.includes(field))
+      .map(([field, expression]) => [field, String(expression).match(/^\{([a-z_][a-z0-9_.]*)\}$/i)])
+      .filter(([, match]) => match)
+      .map(([field, match]) => [field, resolveWriteTarget(match[1])])
+      .filter(([, target]) => target)
+  );
+}
+
+module.exports = {
+  getFieldMapper,
+  getWritableMappings,
+};
@@ -3,130 +3,50 @@
  * Fully self-contained - all RECS data, structure, and business logic in one place
  */
 
-/**
- * Generic product transformation utilities (can be used by any format)
- */
+const { getFieldMapper, getWritableMappings } = require('./mapping');
+const ProductTransform = require('./transform');
+
+// Columns that config.recs.fieldMappings may fill (the rest are derived from Commerce data)
+const MAPPABLE_FIELDS = [
+  'message',
+  'margin',
+  'custom2',
+  'custom3',
+  'custom4',
+  'custom5',
+  'custom6',
+  'custom7',
+  'custom8',
+  'custom9',
+  'custom10',
+];
+
 /**
  * RECS-specific URL generation utilities
  */
 const RecsUrlUtils = {
-  /**
-   * Extract URL key from product custom attributes
-   */
-  extractUrlKey(product) {
-    if (!product.custom_attributes || !Array.isArray(product.custom_attributes)) {
-      return null;
-    }
-
-    const urlKeyAttr = product.custom_attributes.find((attr) => attr.attribute_code === 'url_key');
-    return urlKeyAttr ? urlKeyAttr.value : null;
-  },
-
   /**
    * Generate RECS page_url from Commerce url_key
-   * Uses url_key from custom attributes to create relative URL: /{url_key}.html
+   * Uses the product URL key to create relative URL: /{url_key}.html
    * Returns empty string if url_key is not available (RECS requirement)
    */
   generatePageUrl(product) {
-    const urlKey = this.extractUrlKey(product);
+    const urlKey = ProductTransform.extractUrlKey(product);
     return urlKey ? `/${urlKey}.html` : '';
   },
 };
 
-const ProductTransform = {
-  /**
-   * Get first category name from product (for RECS category_id field)
-   */
-  getFirstCategoryName(product) {
-    if (!product.categories || !Array.isArray(product.categories)) {
-      return '';
-    }
-    return product.categories[0]?.name || '';
-  },
-
-  /**
-   * Get thumbnail image URL from product
-   * Handles both REST format (product.images) and mesh format (product.media_gallery_entries)
-   * Looks for image with 'thumbnail' type, falls back to first available image
-   */
-  getThumbnailImageUrl(product) {
-    // Try REST format first (product.images)
-    if (product.images && Array.isArray(product.images)) {
-      // First, try to find an image specifically marked as thumbnail
-      const thumbnailImage = product.images.find(
-        (img) => img.types && Array.isArray(img.types) && img.types.includes('thumbnail')
-      );
-
-      if (thumbnailImage && thumbnailImage.url) {
-        return thumbnailImage.url;
-      }
-
-      // Fallback: use the first available image URL
-      const firstImageWithUrl = product.images.find((img) => img.url);
-      if (firstImageWithUrl) {
-        return firstImageWithUrl.url;
-      }
-    }
-
-    // Try mesh format (product.media_gallery_entries)
-    if (product.media_gallery_entries && Array.isArray(product.media_gallery_entries)) {
-      // First, try to find an image specifically marked as thumbnail
-      const thumbnailImage = product.media_gallery_entries.find(
-        (entry) => entry.types && Array.isArray(entry.types) && entry.types.includes('thumbnail')
-      );
-
-      if (thumbnailImage && thumbnailImage.url) {
-        return thumbnailImage.url;
-      }
-
-      // Fallback: use the first available image URL
-      const firstImageWithUrl = product.media_gallery_entries.find((entry) => entry.url);
-      if (firstImageWithUrl) {
-        return firstImageWithUrl.url;
-      }
-    }
-
-    return '';
-  },
-
-  /**
-   * Safe numeric conversion
-   */
-  toNumber(value, defaultValue = 0) {
-    const num = parseFloat(value);
-    return isNaN(num) ? defaultValue : num;
-  },
-
-  /**
-   * Get inventory quantity from product (handles both REST and Mesh formats)
-   * REST format: product.qty
-   * Mesh format: product.inventory.quantity
-   */
-  getInventoryQuantity(product) {
-    // Check REST format first (product.qty)
-    if (product.qty !== undefined) {
-      return this.toNumber(product.qty, 0);
-    }
-
-    // Check Mesh format (product.inventory.quantity)
-    if (
-      product.inventory &&
-      typeof product.inventory === 'object' &&
-      product.inventory.quantity !== undefined
-    ) {
-      return this.toNumber(product.inventory.quantity, 0);
-    }
-
-    // Fallback to 0
-    return 0;
-  },
-};
-
 /**
  * RECS Format - Fully Self-Contained Implementation
  * All RECS-specific data, structure, and business logic in one place
  */
 const RecsFormat = {
+  id: 'recs',
+  label: 'Adobe Recommendations (RECS)',
+  description: 'Recommendations product upload file',
+  fileName: 'products.csv',
+  keyField: 'sku',
+
   /**
    * RECS file headers - moved from config for complete encapsulation
    */
@@ -196,22 +116,53 @@ const RecsFormat = {
   },
 
   /**
-   * Complete RECS product transformation - fully self-contained
-   * No dependency on external configuration for field mappings
+   * Columns imports may write back to Commerce: name, value (price) and mapped fields
+   * Only mappings copying one reference as-is ({brand}, {price}) are reversible
    */
-  transformProduct(product) {
+  getWritableFields(config = {}) {
+    return {
+      name: { type: 'product', code: 'name' },
+      value: { type: 'product', code: 'price' },
+      ...getWritableMappings(config.recs?.fieldMappings, MAPPABLE_FIELDS),
+    };
+  },
+
+  /**
+   * Data-quality rules checked before export (lib/validation.js)
+   * Recommendations needs an image, a page and a price to show a product; 'Category <id>' is
+   * the enrichment fallback for categories that could not be resolved
+   */
+  getValidationRules() {
+    return {
+      sku: { required: true, unique: true },
+      name: { required: true },
+      category_id: { placeholder: /^Category \d+$/ },
+      thumbnail_url: { required: true, url: 'absolute' },
+      value: { greaterThan: 0 },
+      page_url: { required: true, url: 'relative' },
+    };
+  },
+
+  /**
+   * Complete RECS product transformation
+   * message, margin and custom2-custom10 can be filled from config.recs.fieldMappings;
+   * config.recs.inventorySource picks the source or stock behind entity.inventory
+   */
+  transformProduct(product, config = {}) {
+    const mapFields = getFieldMapper(config.recs?.fieldMappings, MAPPABLE_FIELDS);
+
     return {
       // Basic RECS fields - all mappings defined here
       sku: product.sku || '',
       name: product.name || '',
-      category_id: ProductTransform.getFirstCategoryName(product),
-      message: product.message || '',
+      category_id: ProductTransform.getPrimaryCategoryName(product),
+      message: ProductTransform.getCustomAttribute(product, 'message') || '',
       thumbnail_url: ProductTransform.getThumbnailImageUrl(product),
-      value: ProductTransform.toNumber(product.price),
+      value: ProductTransform.getPrice(product),
       page_url: RecsUrlUtils.generatePageUrl(product),
-      inventory: ProductTransform.getInventoryQuantity(product),
-      margin: product.margin || '',
-      type: product.type_id || 'product',
+      inventory: ProductTransform.getInventoryQuantity(product, config.recs?.inventorySource),
+      margin: ProductTransform.getCustomAttribute(product, 'margin') || '',
+      type: product.type || 'product',
       // Custom fields - RECS requires custom2-custom10
       custom2: '',
       custom3: '',
@@ -222,6 +173,8 @@ const RecsFormat = {
       custom8: '',
       custom9: '',
       custom10: '',
+      // Declarative mappings override the defaults above
+      ...mapFields(product),
     };
   },
 };
@@ -0,0 +1,133 @@
+/**
+ * Shared Product Transformation Utilities
+ * Generic helpers used by every export format implementation
+ *
+ * Products arrive in the canonical model (lib/product-model.js) whichever pipeline fetched them,
+ * so these helpers never branch on REST or mesh shapes
+ */
+
+const ProductTransform = {
+  /**
+   * Get a custom attribute value from product attributes
+   */
+  getCustomAttribute(product, attributeCode) {
+    return product.attributes?.[attributeCode] ?? null;
+  },
+
+  /**
+   * Extract URL key from product
+   */
+  extractUrlKey(product) {
+    return product.urls?.urlKey || null;
+  },
+
+  /**
+   * Get the primary category chosen during enrichment (config.categories.primaryRule)
+   */
+  getPrimaryCategory(product) {
+    return product.primaryCategory || null;
+  },
+
+  /**
+   * Get primary category name from product
+   */
+  getPrimaryCategoryName(product) {
+    return this.getPrimaryCategory(product)?.name || '';
+  },
+
+  /**
+   * Get primary category breadcrumb (e.g. 'Phones > Android > Flagship')
+   */
+  getPrimaryCategoryBreadcrumb(product) {
+    return this.getPrimaryCategory(product)?.path || '';
+  },
+
+  /**
+   * Get the breadcrumb of every linked category
+   */
+  getCategoryBreadcrumbs(product) {
+    return (product.categories || []).map((category) => category.path).filter(Boolean);
+  },
+
+  /**
+   * Get all category names from product
+   */
+  getCategoryNames(product) {
+    return (product.categories || []).map((category) => category.name).filter(Boolean);
+  },
+
+  /**
+   * Get thumbnail image URL from product
+   * Looks for image with 'thumbnail' type, falls back to first available image
+   */
+  getThumbnailImageUrl(product) {
+    const media = product.media || [];
+    const thumbnailImage = media.find((image) => image.types.includes('thumbnail'));
+    return (thumbnailImage || media[0])?.url || '';
+  },
+
+  /**
+   * Get the product price, falling back to the rolled-up minimum for configurable/bundle
+   * parents whose own price is empty
+   */
+  getPrice(product) {
+    const { price = 0, min = null } = product.prices || {};
+    return price === 0 && min !== null ? min : price;
+  },
+
+  /**
+   * Get inventory quantity from product
+   * A selector ('source:<code>' or 'stock:<id>') reads the MSI breakdown instead of the total
+   */
+  getInventoryQuantity(product, selector = 'total') {
+    if (selector !== 'total') {
+      const selected = this.getSelectedInventoryQuantity(product, selector);
+      if (selected !== null) return selected;
+    }
+    return product.stock?.qty || 0;
+  },
+
+  /**
+   * Read one source quantity or stock salable quantity from the product's stock breakdown
+   * Returns null when the product carries no breakdown for that kind (falls back to the total)
+   */
+  getSelectedInventoryQuantity(product, selector) {
+    const match = String(selector).match(/^(source|stock):(.+)$/);
+    if (!match) {
+      throw new Error(
+        `Unknown inventory source '${selector}'. Use: total, source:<code> or stock:<id>`
+      );
+    }
+
+    const [, kind, id] = match;
+    const { sources = null, stocks = null } = product.stock || {};
+    if (kind === 'source') {
+      if (!sources) return null;
+      return sources.find((source) => source.code === id)?.qty || 0;
+    }
+
+    if (!stocks) return null;
+    return stocks.find((stock) => stock.id === id)?.salableQty || 0;
+  },
+
+  /**
+   * Determine whether product is in stock
+   */
+  isInStock(product) {
+    return Boolean(product.stock?.inStock);
+  },
+
+  /**
+   * Remove HTML markup from rich-text attribute values (e.g. description)
+   */
+  stripHtml(value) {
+    if (!value) return '';
+    return value
+      .toString()
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  },
+};
+
+module.exports = ProductTransform;
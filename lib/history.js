@@ -0,0 +1,170 @@
+/**
+ * Export History
+ * Every export run gets a timestamped run ID that is part of its file names, so runs never
+ * overwrite each other, and a JSON manifest in S3 (config.history.manifestPrefix) describing
+ * the run: source, filters, counts, API calls, cache hits, duration, checksums and trigger.
+ */
+
+const crypto = require('crypto');
+
+const { identifyCaller } = require('./access');
+const { listKeys, readJson, storeJson } = require('./storage');
+
+// Export method of each source, as reported in export responses
+const SOURCE_METHODS = {
+  rest: 'REST API',
+  mesh: 'API Mesh',
+};
+
+// Action whose permission the export caller was authorized with
+const SOURCE_ACTIONS = {
+  rest: 'get-products',
+  mesh: 'get-products-mesh',
+};
+
+// File name stamped with a run ID by stampFileName
+const RUN_FILE_PATTERN = /-\d{8}T\d{6}Z-[0-9a-f]{4}(\.[^.]+)?$/;
+
+/**
+ * Create a run ID: UTC timestamp plus a random suffix (e.g. 20250101T120000Z-3fa2)
+ * Run IDs sort chronologically
+ * @param {Date} [date] - Run start
+ * @returns {string} Run ID
+ */
+function createRunId(date = new Date()) {
+  const timestamp = date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+  return `${timestamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Add the run ID to a file name, before its extension
+ * (e.g. products.csv -> products-20250101T120000Z-3fa2.csv)
+ * @param {string} fileName - File name
+ * @param {string} [runId] - Run ID (the name is returned unchanged without one)
+ * @returns {string} File name of the run
+ */
+function stampFileName(fileName, runId) {
+  if (!runId) return fileName;
+
+  const extensionIndex = fileName.lastIndexOf('.');
+  return extensionIndex > 0
+    ? `${fileName.slice(0, extensionIndex)}-${runId}${fileName.slice(extensionIndex)}`
+    : `${fileName}-${runId}`;
+}
+
+/**
+ * Check whether a file name carries a run ID (an export run's file, recorded in its manifest)
+ * @param {string} fileName - File name
+ * @returns {boolean} True for stamped run files
+ */
+function isRunFileName(fileName) {
+  return RUN_FILE_PATTERN.test(fileName);
+}
+
+/**
+ * Build the S3 key of a run's manifest
+ * @param {string} runId - Run ID
+ * @param {Object} config - Configuration object
+ * @returns {string} Manifest key
+ */
+function getManifestKey(runId, config) {
+  return `${config.history.manifestPrefix}${runId}.json`;
+}
+
+/**
+ * Write the manifest of a completed export run
+ * A failure is logged but never fails the export, whose files are already stored
+ * @param {Object} run - Export run
+ * @param {string} run.runId - Run ID
+ * @param {string} run.source - Export source ('rest' or 'mesh')
+ * @param {Object} run.params - Export action parameters
+ * @param {Object|null} run.filters - Result of parseProductFilters
+ * @param {Array<Object>} run.storeExports - Per-store results ({ storeCode, productCount, csvData, storageResult, delta, quality })
+ * @param {Object} run.totals - Run totals ({ productCount, apiCalls, cacheHits })
+ * @param {number} run.startTime - Run start in epoch milliseconds
+ * @param {Object} config - Configuration object
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object|null>} Manifest, or null if it could not be stored
+ */
+async function recordExportRun(run, config, logger) {
+  const { runId, source, params, filters, storeExports, totals, startTime } = run;
+  const manifest = {
+    runId,
+    createdAt: new Date(startTime).toISOString(),
+    completedAt: new Date().toISOString(),
+    source,
+    method: SOURCE_METHODS[source],
+    format: storeExports[0].csvData.format,
+    filters: filters || null,
+    variants: params.variants || undefined,
+    delta: storeExports.some((entry) => entry.delta),
+    productCount: totals.productCount,
+    apiCalls: totals.apiCalls,
+    cacheHits: totals.cacheHits,
+    durationMs: Date.now() - startTime,
+    files: storeExports.map(({ storeCode, productCount, storageResult, quality }) => ({
+      fileName: storageResult.fileName,
+      storeCode: storeCode || undefined,
+      productCount,
+      size: storageResult.properties?.size,
+      checksum: storageResult.properties?.checksum,
+      quality: quality && { ...quality, reportUrl: undefined },
+    })),
+    triggeredBy: await identifyCaller(params, SOURCE_ACTIONS[source], config),
+    scheduledJob: params.scheduledJob || undefined,
+    jobId: params.jobId || undefined,
+  };
+
+  try {
+    await storeJson(getManifestKey(runId, config), manifest, config);
+    return manifest;
+  } catch (error) {
+    logger.warn('Failed to store export manifest', { runId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * List the most recent export runs, newest first
+ * @param {Object} config - Configuration object
+ * @param {Object} [options] - List options
+ * @param {number} [options.limit] - Maximum runs (defaults to config.history.listLimit)
+ * @param {string} [options.source] - Only runs of this source ('rest' or 'mesh')
+ * @returns {Promise<Array<Object>>} Manifests
+ */
+async function listExportRuns(config, options = {}) {
+  const { maxListLimit, listLimit } = config.history;
+  const limit = Math.min(Math.max(Number(options.limit) || listLimit, 1), maxListLimit);
+
+  // Run IDs start with their timestamp, so key order is chronological
+  const keys = (await listKeys(config.history.manifestPrefix, config))
+    .filter((key) => key.endsWith('.json'))
+    .sort()
+    .reverse();
+
+  const runs = [];
+  // Read in batches of the remaining limit; a source filter may skip some manifests
+  let index = 0;
+  while (index < keys.length && runs.length < limit) {
+    const batch = keys.slice(index, index + limit - runs.length);
+    index += batch.length;
+    const manifests = await Promise.all(
+      batch.map((key) => readJson(key, config).catch(() => null))
+    );
+    manifests
+      .filter((manifest) => manifest && (!options.source || manifest.source === options.source))
+      .forEach((manifest) => runs.push(manifest));
+  }
+  return runs;
+}
+
+module.exports = {
+  createRunId,
+  isRunFileName,
+  listExportRuns,
+  recordExportRun,
+  stampFileName,
+};
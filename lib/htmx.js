@@ -81,6 +81,13 @@ function generateFileBrowserHTML(files, params = {}) {
                onclick="handleDownloadWithSpinner(this, '${file.name}'); return true;">
               <span class="btn-label">Download</span>
             </a>
+            <button type="button"
+               class="btn btn-sm btn-secondary import-button"
+               data-action="import"
+               data-file-name="${file.name}"
+               title="Review changes in ${file.name} against Commerce">
+              <span class="btn-label">Import</span>
+            </button>
             <button type="button"
                class="btn btn-sm btn-danger delete-button"
                data-action="delete"
@@ -100,6 +107,172 @@ function generateFileBrowserHTML(files, params = {}) {
   return fileRows;
 }
 
+/**
+ * Format a duration - inline helper
+ */
+function formatDuration(ms) {
+  if (!Number.isFinite(ms)) return '-';
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+}
+
+/**
+ * Describe who triggered an export run
+ * @param {Object|null} triggeredBy - Manifest trigger ({ type, id })
+ * @returns {string} Trigger label
+ */
+function formatTrigger(triggeredBy) {
+  if (!triggeredBy) return 'Unknown';
+  return triggeredBy.id ? `${triggeredBy.type}: ${triggeredBy.id}` : triggeredBy.type;
+}
+
+/**
+ * Generate export history HTML
+ * One row per run manifest, with a download link for each of the run's files
+ *
+ * @param {Array} runs - Export run manifests (newest first)
+ * @param {Object} params - Action parameters (for runtime URL)
+ * @returns {string} History rows for HTMX insertion
+ */
+function generateExportHistoryHTML(runs, params = {}) {
+  if (!runs || runs.length === 0) {
+    return `
+      <div class="table-row empty-state">
+        <div class="table-cell empty-state-content">
+          <h3>No export runs recorded</h3>
+          <p>Completed exports appear here with their run details.</p>
+        </div>
+      </div>
+    `;
+  }
+
+  return runs
+    .map((run) => {
+      const downloads = run.files
+        .map((file) => {
+          const label = file.storeCode ? `Download ${file.storeCode}` : 'Download';
+          return `
+            <a href="${buildDownloadUrl(file.fileName, params)}"
+               class="btn btn-sm btn-primary download-button"
+               download="${file.fileName}"
+               title="${file.fileName} (sha256 ${file.checksum || 'unknown'})">
+              <span class="btn-label">${label}</span>
+            </a>`;
+        })
+        .join('');
+
+      return `
+      <div class="table-row" data-run-id="${run.runId}">
+        <div class="table-cell">
+          <span class="file-name">${formatTimestamp(run.createdAt)}</span>
+          <span class="file-meta">${run.method} · ${run.format}${run.delta ? ' · delta' : ''}</span>
+        </div>
+        <div class="table-cell">
+          <span class="file-size">${run.productCount} products</span>
+        </div>
+        <div class="table-cell">
+          <span class="file-meta">${run.apiCalls ?? '-'} API calls · ${run.cacheHits || 0} cache hits · ${formatDuration(run.durationMs)}</span>
+          <span class="file-meta">${formatTrigger(run.triggeredBy)}</span>
+        </div>
+        <div class="table-cell">
+          <div class="actions-container">${downloads}
+          </div>
+        </div>
+      </div>
+    `;
+    })
+    .join('');
+}
+
+// Rows listed in an import change report; the summary still counts every row
+const IMPORT_REPORT_ROW_LIMIT = 200;
+
+/**
+ * Escape text for HTML (import reports show values taken from uploaded files)
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render one row of an import change report
+ * @param {Object} row - Import row ({ row, sku, status, changes, message })
+ * @returns {string} Row HTML
+ */
+function generateImportRowHTML(row) {
+  const changes = row.changes
+    .map(
+      (change) =>
+        `<li><span class="import-column">${escapeHtml(change.column)}</span>: ${escapeHtml(change.from)} &rarr; ${escapeHtml(change.to)}</li>`
+    )
+    .join('');
+
+  return `
+      <div class="import-row is-${row.status}">
+        <div class="import-row-header">
+          <span class="import-sku">${escapeHtml(row.sku)}</span>
+          <span class="import-status">${row.status}</span>
+          <span class="file-meta">Row ${row.row}</span>
+        </div>
+        ${changes ? `<ul class="import-changes">${changes}</ul>` : ''}
+        ${row.message ? `<p class="import-message">${escapeHtml(row.message)}</p>` : ''}
+      </div>`;
+}
+
+/**
+ * Generate an import change report (dry run, or the per-row results once applied)
+ * Unchanged rows are only counted; apply and refresh buttons carry the import ID
+ *
+ * @param {Object} record - Import record (lib/imports.js)
+ * @returns {string} Report HTML
+ */
+function generateImportReportHTML(record) {
+  const counts = Object.entries(record.summary)
+    .filter(([status]) => status !== 'total')
+    .map(([status, count]) => `${count} ${status}`)
+    .join(' · ');
+  const listed = record.rows.filter((row) => row.status !== 'unchanged');
+  const hidden = Math.max(listed.length - IMPORT_REPORT_ROW_LIMIT, 0);
+
+  let button = '';
+  if (record.status === 'previewed' && record.summary.changed > 0) {
+    button = `
+        <button type="button" class="btn btn-primary" data-action="apply-import" data-import-id="${record.importId}">
+          <span class="btn-label">Apply ${record.summary.changed} changed rows</span>
+        </button>`;
+  } else if (record.status === 'submitted') {
+    button = `
+        <button type="button" class="btn btn-secondary" data-action="refresh-import" data-import-id="${record.importId}">
+          <span class="btn-label">Refresh status</span>
+        </button>`;
+  }
+
+  return `
+    <div class="import-report" data-import-id="${record.importId}" data-status="${record.status}">
+      <p class="import-summary">
+        <strong>${escapeHtml(record.fileName)}</strong> (${record.format}) · ${record.status}<br />
+        ${record.summary.total} rows: ${counts}
+      </p>
+      ${record.error ? `<p class="import-message">${escapeHtml(record.error)}</p>` : ''}
+      ${
+        record.readOnlyColumns.length > 0
+          ? `<p class="file-meta">Edits to read-only columns are ignored: ${escapeHtml(record.readOnlyColumns.join(', '))}</p>`
+          : ''
+      }
+      <div class="import-rows">${listed.slice(0, IMPORT_REPORT_ROW_LIMIT).map(generateImportRowHTML).join('')}
+        ${hidden > 0 ? `<p class="file-meta">and ${hidden} more rows</p>` : ''}
+      </div>
+      <div class="btn-group">${button}
+      </div>
+    </div>
+  `;
+}
+
 /**
  * Generate error response HTML for HTMX
  *
@@ -141,6 +314,8 @@ function createHTMLResponse(htmlContent, statusCode = 200) {
 
 module.exports = {
   generateFileBrowserHTML,
+  generateExportHistoryHTML,
+  generateImportReportHTML,
   generateErrorHTML,
   createHTMLResponse,
 };
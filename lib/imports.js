@@ -0,0 +1,638 @@
+/**
+ * CSV Imports
+ * Parses CSV files back into format fields (the inverse of createCsv) and validates them
+ * against the format schema: preamble lines, column headers, cell counts and unique keys.
+ *
+ * Catalog write-back: an import diffs a file against current Commerce data (same fetch,
+ * enrichment and format transform as exports) into a change report. Approved rows are written
+ * through Commerce bulk async requests and each row's operations are tracked until they settle.
+ * Import records are stored as JSON under config.imports.recordPrefix.
+ *
+ * Record status: previewed -> applying -> submitted -> completed, or failed when the
+ * submission itself fails (some bulk requests may have been queued, so it is never resubmitted)
+ */
+
+const crypto = require('crypto');
+
+const { fetchBulkOperations, fetchProductsBySku, submitCatalogUpdates } = require('./commerce');
+const { parseCsv, resolveCsvOptions, restoreCsvValue } = require('./csv');
+const { getFormat, listFormats } = require('./formats');
+const { createJson, readJson, storeJson } = require('./storage');
+
+const STATUS_CODES = { enabled: 1, disabled: 2 };
+const IMPORT_ID_PATTERN = /^[a-f0-9-]{36}$/;
+
+/**
+ * Remove a leading byte order mark
+ * @param {string} content - CSV text
+ * @returns {string} CSV text without BOM
+ */
+function stripBom(content) {
+  return content.charCodeAt(0) === 0xfeff ? content.slice(1) : content;
+}
+
+/**
+ * Strip the format's preamble lines (e.g. RECS pre-process headers) from the start of a file
+ * @param {string} content - CSV text without BOM
+ * @param {Array<string>} preamble - Format file headers
+ * @returns {Object} Remaining text and the number of preamble lines found
+ */
+function stripPreamble(content, preamble) {
+  let text = content;
+  let found = 0;
+
+  while (found < preamble.length && text.startsWith(preamble[found])) {
+    const rest = text.slice(preamble[found].length);
+    const lineBreak = rest.match(/^\r?\n/);
+    if (!lineBreak) break;
+    text = rest.slice(lineBreak[0].length);
+    found += 1;
+  }
+  return { text, found };
+}
+
+/**
+ * Compare a header record with the format's column headers
+ * @param {Array<string>} header - Uploaded column headers
+ * @param {Array<string>} columns - Format column headers
+ * @returns {Array<string>} Errors (empty when the headers match in order)
+ */
+function checkColumns(header, columns) {
+  const missing = columns.filter((column) => !header.includes(column));
+  const unexpected = header.filter((column) => !columns.includes(column));
+  const errors = [];
+
+  if (missing.length > 0) errors.push(`Missing columns: ${missing.join(', ')}`);
+  if (unexpected.length > 0) errors.push(`Unexpected columns: ${unexpected.join(', ')}`);
+  if (errors.length === 0 && header.join('\n') !== columns.join('\n')) {
+    errors.push(`Columns must be in format order: ${columns.join(', ')}`);
+  }
+  return errors;
+}
+
+/**
+ * Parse and validate a CSV file against an export format
+ * Rows come back keyed by the format's field IDs (e.g. sku, name, price for RECS)
+ * @param {string} content - CSV text
+ * @param {string} formatName - Registered export format
+ * @param {Object} config - Configuration object
+ * @returns {Object} Result with format, rows ({ row, fields }) and errors (empty when valid)
+ * @throws {Error} If the format is not registered
+ */
+function parseImportCsv(content, formatName, config) {
+  const format = getFormat(formatName);
+  const columns = format.getColumnHeaders(config);
+  const fieldOrder = format.getFieldOrder(config);
+  const preamble = format.getFileHeaders();
+  const text = stripBom(content);
+  const result = { format: format.id, rows: [], errors: [] };
+
+  const { text: body, found } = stripPreamble(text, preamble);
+  if (found < preamble.length) {
+    result.errors.push(`Missing format preamble: expected ${preamble.length} header lines`);
+    return result;
+  }
+
+  let records;
+  try {
+    records = parseCsv(body, { delimiter: resolveCsvOptions(config, format).delimiter });
+  } catch (error) {
+    result.errors.push(error.message);
+    return result;
+  }
+
+  const [header = [], ...dataRecords] = records;
+  result.errors.push(...checkColumns(header, columns));
+  if (result.errors.length > 0) return result;
+
+  const keyIndex = fieldOrder.indexOf(format.keyField);
+  const seenKeys = new Set();
+  dataRecords.forEach((record, index) => {
+    const row = index + 1;
+    // Blank lines carry no data
+    if (record.length === 1 && record[0] === '') return;
+
+    if (record.length !== columns.length) {
+      result.errors.push(`Row ${row}: expected ${columns.length} cells, found ${record.length}`);
+      return;
+    }
+    const key = record[keyIndex];
+    if (!key) {
+      result.errors.push(`Row ${row}: ${columns[keyIndex]} is empty`);
+    } else if (seenKeys.has(key)) {
+      result.errors.push(`Row ${row}: duplicate ${columns[keyIndex]} '${key}'`);
+    }
+    seenKeys.add(key);
+    result.rows.push({
+      row,
+      fields: Object.fromEntries(fieldOrder.map((fieldId, cell) => [fieldId, record[cell]])),
+    });
+  });
+
+  if (result.rows.length === 0) result.errors.push('The file has no data rows');
+  return result;
+}
+
+/**
+ * Summarize validation errors for a response, listing at most config.uploads.maxErrors
+ * @param {Array<string>} errors - Validation errors
+ * @param {Object} config - Configuration object
+ * @returns {string} Error summary
+ */
+function summarizeImportErrors(errors, config) {
+  const { maxErrors } = config.uploads;
+  const listed = errors.slice(0, maxErrors).join('; ');
+  return errors.length > maxErrors ? `${listed}; and ${errors.length - maxErrors} more` : listed;
+}
+
+/**
+ * Detect the importable format of a CSV file from its preamble and column headers
+ * @param {string} content - CSV text
+ * @param {Object} config - Configuration object
+ * @returns {string|null} Format id, or null if no importable format matches
+ */
+function detectImportFormat(content, config) {
+  const text = stripBom(content);
+  const match = listFormats()
+    .map(({ id }) => getFormat(id))
+    .filter((format) => typeof format.getWritableFields === 'function')
+    .find((format) => {
+      const preamble = format.getFileHeaders();
+      const { text: body, found } = stripPreamble(text, preamble);
+      if (found < preamble.length) return false;
+
+      const { delimiter } = resolveCsvOptions(config, format);
+      const [header = []] = parseCsv(body.split(/\r?\n/, 1)[0], { delimiter });
+      return header.join('\n') === format.getColumnHeaders(config).join('\n');
+    });
+  return match ? match.id : null;
+}
+
+/**
+ * Compare an uploaded value with the current one (numbers numerically, text trimmed)
+ * @param {*} value - Uploaded value
+ * @param {*} current - Current value from the format transform
+ * @returns {boolean} True if they are the same
+ */
+function isSameValue(value, current) {
+  const text = String(value ?? '').trim();
+  const currentText = String(current ?? '').trim();
+  if (text !== '' && currentText !== '' && !isNaN(text) && !isNaN(currentText)) {
+    return Number(text) === Number(currentText);
+  }
+  return text === currentText;
+}
+
+/**
+ * Convert an uploaded cell to the value Commerce expects for a writable field
+ * @param {Object} target - Writable field ({ type, code })
+ * @param {string} value - Uploaded cell
+ * @returns {string|number} Commerce value
+ * @throws {Error} If the value is not valid for the field
+ */
+function parseWritableValue(target, value) {
+  const text = value.trim();
+  if (target.type === 'source' || target.code === 'price') {
+    const number = Number(text);
+    if (text === '' || !Number.isFinite(number) || number < 0) {
+      throw new Error(`'${value}' is not a non-negative number`);
+    }
+    return number;
+  }
+  if (target.code === 'status') {
+    const code = STATUS_CODES[text.toLowerCase()] ?? Number(text);
+    if (!Object.values(STATUS_CODES).includes(code)) {
+      throw new Error(`'${value}' is not a status (enabled, disabled, 1 or 2)`);
+    }
+    return code;
+  }
+  if (target.code === 'name' && text === '') {
+    throw new Error('name cannot be empty');
+  }
+  return value;
+}
+
+/**
+ * Diff one uploaded row against the product's current row
+ * @param {Object} fields - Uploaded row keyed by field ID
+ * @param {Object} product - Current enriched product
+ * @param {Object} context - Format, writable fields, columns and CSV options
+ * @returns {Object} { changes, errors, readOnly }
+ */
+function diffRow(fields, product, context) {
+  const { format, writable, columnOf, csvOptions, config } = context;
+  const current = format.transformProduct(product, config);
+  const result = { changes: [], errors: [], readOnly: [] };
+
+  Object.entries(fields)
+    .filter(([field]) => field !== format.keyField)
+    .forEach(([field, cell]) => {
+      const value = restoreCsvValue(cell, csvOptions);
+      const from = current[field] ?? '';
+      if (isSameValue(value, from)) return;
+
+      const target = writable[field];
+      if (!target) {
+        result.readOnly.push(columnOf(field));
+        return;
+      }
+
+      try {
+        const to = parseWritableValue(target, value);
+        if (isSameValue(to, from)) return;
+        // Parents show the price rolled up from their variants; it is not theirs to write
+        if (target.code === 'price' && product.prices.min !== null) {
+          throw new Error('price is rolled up from variants');
+        }
+        result.changes.push({
+          column: columnOf(field),
+          type: target.type,
+          code: target.code,
+          from,
+          to,
+        });
+      } catch (error) {
+        result.errors.push(`${columnOf(field)}: ${error.message}`);
+      }
+    });
+  return result;
+}
+
+/**
+ * Build the change report of uploaded rows against current products
+ * @param {Array<Object>} rows - Rows from parseImportCsv ({ row, fields })
+ * @param {Array<Object>} products - Current enriched products
+ * @param {string} formatName - Format id
+ * @param {Object} config - Configuration object
+ * @returns {Object} { rows, readOnlyColumns } with row status changed, unchanged, invalid or missing
+ */
+function planImport(rows, products, formatName, config) {
+  const format = getFormat(formatName);
+  const fieldOrder = format.getFieldOrder(config);
+  const columns = format.getColumnHeaders(config);
+  const context = {
+    format,
+    config,
+    writable: format.getWritableFields(config),
+    columnOf: (field) => columns[fieldOrder.indexOf(field)],
+    csvOptions: resolveCsvOptions(config, format),
+  };
+  const productsBySku = new Map(products.map((product) => [product.sku, product]));
+  const readOnlyColumns = new Set();
+
+  const plannedRows = rows.map(({ row, fields }) => {
+    const sku = fields[format.keyField];
+    const product = productsBySku.get(sku);
+    if (!product) {
+      return { row, sku, status: 'missing', changes: [], message: 'SKU not found in Commerce' };
+    }
+
+    const { changes, errors, readOnly } = diffRow(fields, product, context);
+    readOnly.forEach((column) => readOnlyColumns.add(column));
+    if (errors.length > 0) {
+      return { row, sku, status: 'invalid', changes, message: errors.join('; ') };
+    }
+    return { row, sku, status: changes.length > 0 ? 'changed' : 'unchanged', changes };
+  });
+
+  return { rows: plannedRows, readOnlyColumns: Array.from(readOnlyColumns) };
+}
+
+/**
+ * Count rows per status
+ * @param {Array<Object>} rows - Planned rows
+ * @returns {Object} Status to row count, plus total
+ */
+function summarizeRows(rows) {
+  return rows.reduce(
+    (summary, { status }) => ({ ...summary, [status]: (summary[status] || 0) + 1 }),
+    { total: rows.length }
+  );
+}
+
+/**
+ * Build the bulk requests for approved rows
+ * Product fields of a row become one PUT /products/{sku} operation and its source quantities
+ * one POST /inventory/source-items operation
+ * @param {Array<Object>} rows - Approved changed rows
+ * @returns {Array<Object>} Bulk requests ({ kind, path, method, items, rows })
+ */
+function buildBulkRequests(rows) {
+  const products = { kind: 'product', path: '/products/bySku', method: 'PUT', items: [], rows: [] };
+  const sources = {
+    kind: 'source',
+    path: '/inventory/source-items',
+    method: 'POST',
+    items: [],
+    rows: [],
+  };
+
+  rows.forEach(({ row, sku, changes }) => {
+    const productChanges = changes.filter((change) => change.type === 'product');
+    const attributeChanges = changes.filter((change) => change.type === 'attribute');
+    const sourceChanges = changes.filter((change) => change.type === 'source');
+
+    if (productChanges.length > 0 || attributeChanges.length > 0) {
+      const product = { sku, ...Object.fromEntries(productChanges.map((c) => [c.code, c.to])) };
+      if (attributeChanges.length > 0) {
+        product.custom_attributes = attributeChanges.map((c) => ({
+          attribute_code: c.code,
+          value: c.to,
+        }));
+      }
+      products.items.push({ product });
+      products.rows.push(row);
+    }
+    if (sourceChanges.length > 0) {
+      sources.items.push({
+        sourceItems: sourceChanges.map((c) => ({
+          sku,
+          source_code: c.code,
+          quantity: c.to,
+          status: c.to > 0 ? 1 : 0,
+        })),
+      });
+      sources.rows.push(row);
+    }
+  });
+
+  return [products, sources].filter((request) => request.items.length > 0);
+}
+
+/**
+ * Build the storage key of an import record
+ * @param {string} importId - Import ID
+ * @param {Object} config - Configuration object
+ * @returns {string} Record key
+ */
+function getImportKey(importId, config) {
+  return `${config.imports.recordPrefix}${importId}.json`;
+}
+
+/**
+ * Build the storage key of an import's apply lock
+ * @param {string} importId - Import ID
+ * @param {Object} config - Configuration object
+ * @returns {string} Storage key
+ */
+function getImportLockKey(importId, config) {
+  return `${config.imports.recordPrefix}${importId}.lock`;
+}
+
+/**
+ * Store an import record
+ * @param {Object} record - Import record
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object>} The record
+ */
+async function saveImport(record, config) {
+  const updated = { ...record, updatedAt: new Date().toISOString() };
+  await storeJson(getImportKey(record.importId, config), updated, config);
+  return updated;
+}
+
+/**
+ * Read an import record
+ * @param {string} importId - Import ID
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object|null>} Record, or null if unknown
+ */
+async function getImport(importId, config) {
+  if (!IMPORT_ID_PATTERN.test(importId || '')) return null;
+  try {
+    return await readJson(getImportKey(importId, config), config);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+function createStatusError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Claim a previewed import for one apply request
+ * The claim is a lock file created only if it does not exist (one atomic storage operation), so
+ * when two requests apply at once exactly one of them gets it. The lock is never released: an
+ * import is applied at most once.
+ * @param {Object} record - Import record (status previewed)
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object>} Claimed record (status applying)
+ * @throws {Error} With statusCode 409 if another request claimed the import or it is no longer
+ *   previewed
+ */
+async function claimImport(record, config) {
+  const claimedAt = new Date().toISOString();
+  const locked = await createJson(
+    getImportLockKey(record.importId, config),
+    { importId: record.importId, claimedAt },
+    config
+  );
+  if (!locked) {
+    throw createStatusError(
+      409,
+      `Import ${record.importId} was already applied or is being applied`
+    );
+  }
+
+  const current = (await getImport(record.importId, config)) || record;
+  if (current.status !== 'previewed') {
+    throw createStatusError(409, `Import ${record.importId} was already ${current.status}`);
+  }
+  return saveImport({ ...current, status: 'applying', claimedAt }, config);
+}
+
+/**
+ * Diff a CSV file against current Commerce data and store the change report (dry run)
+ * @param {Object} file - Parsed file ({ fileName, format, rows } from parseImportCsv)
+ * @param {Object} params - Action parameters (Commerce credentials)
+ * @param {Object} config - Configuration object
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} Import record
+ */
+async function previewImport(file, params, config, logger) {
+  const skus = file.rows.map(({ fields }) => fields[getFormat(file.format).keyField]);
+  const { products, apiCalls } = await fetchProductsBySku(params, config, skus, logger);
+  const { rows, readOnlyColumns } = planImport(file.rows, products, file.format, config);
+
+  logger.info('Import change report built', {
+    fileName: file.fileName,
+    rows: rows.length,
+    apiCalls,
+  });
+  return saveImport(
+    {
+      importId: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      fileName: file.fileName,
+      format: file.format,
+      storeCode: config.commerce.storeCode || undefined,
+      status: 'previewed',
+      summary: summarizeRows(rows),
+      readOnlyColumns,
+      rows,
+      bulk: [],
+    },
+    config
+  );
+}
+
+/**
+ * Write approved changes of a previewed import to Commerce
+ * @param {Object} record - Import record (status previewed)
+ * @param {Array<string>|null} approvedSkus - SKUs to apply (null applies every changed row)
+ * @param {Object} params - Action parameters (Commerce credentials)
+ * @param {Object} config - Configuration object of the import's store view (record.storeCode)
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} Updated import record
+ * @throws {Error} With statusCode 409 if the import was already applied or is being applied, 400
+ *   if nothing was approved, or the submission error (the record is then marked failed)
+ */
+async function applyImport(record, approvedSkus, params, config, logger) {
+  if (record.status !== 'previewed') {
+    throw createStatusError(409, `Import ${record.importId} was already ${record.status}`);
+  }
+
+  const approved = record.rows.filter(
+    (row) => row.status === 'changed' && (!approvedSkus || approvedSkus.includes(row.sku))
+  );
+  if (approved.length === 0) {
+    throw createStatusError(400, 'No changed rows were approved');
+  }
+
+  const claimed = await claimImport(record, config);
+  const requests = buildBulkRequests(approved);
+  let results;
+  try {
+    results = await submitCatalogUpdates(params, config, requests, logger);
+  } catch (error) {
+    logger.error('Import submission failed', { importId: record.importId, error: error.message });
+    await saveImport(
+      {
+        ...claimed,
+        status: 'failed',
+        error: `Submission failed: ${error.message}. Check the catalog in Commerce before importing the file again.`,
+      },
+      config
+    );
+    throw error;
+  }
+  const bulk = requests.map((request, index) => ({
+    bulkUuid: results[index].bulkUuid,
+    kind: request.kind,
+    operations: request.rows.map((row, itemIndex) => ({
+      id: results[index].requestItems[itemIndex]?.id ?? itemIndex,
+      row,
+      status: results[index].requestItems[itemIndex]?.status === 'rejected' ? 'rejected' : 'open',
+    })),
+  }));
+
+  const approvedRows = new Set(approved.map(({ row }) => row));
+  const rows = record.rows.map((row) =>
+    approvedRows.has(row.row) ? { ...row, status: 'pending' } : row
+  );
+
+  logger.info('Import submitted', { importId: record.importId, rows: approved.length });
+  return saveImport(
+    {
+      ...claimed,
+      status: 'submitted',
+      submittedAt: new Date().toISOString(),
+      summary: summarizeRows(rows),
+      rows,
+      bulk,
+    },
+    config
+  );
+}
+
+/**
+ * Settle a row from its operations: failed if any failed, applied once all completed
+ * @param {Object} row - Pending row
+ * @param {Array<Object>} operations - The row's bulk operations
+ * @returns {Object} Row with status pending, applied or failed
+ */
+function settleRow(row, operations) {
+  const failed = operations.filter((op) => op.status === 'failed' || op.status === 'rejected');
+  if (failed.length > 0) {
+    const message = failed
+      .map((op) => op.message || `${op.kind} operation ${op.status}`)
+      .join('; ');
+    return { ...row, status: 'failed', message };
+  }
+  if (operations.every((op) => op.status === 'complete')) {
+    return { ...row, status: 'applied' };
+  }
+  return row;
+}
+
+/**
+ * Refresh per-row results of a submitted import from its bulk operations
+ * @param {Object} record - Import record
+ * @param {Object} params - Action parameters (Commerce credentials)
+ * @param {Object} config - Configuration object of the import's store view (record.storeCode)
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} Updated import record (unchanged unless submitted)
+ */
+async function refreshImport(record, params, config, logger) {
+  if (record.status !== 'submitted') return record;
+
+  const statuses = await fetchBulkOperations(
+    params,
+    config,
+    record.bulk.map(({ bulkUuid }) => bulkUuid),
+    logger
+  );
+  const bulk = record.bulk.map((request) => ({
+    ...request,
+    operations: request.operations.map((operation) => {
+      const latest = statuses[request.bulkUuid].find(({ id }) => id === operation.id);
+      return latest ? { ...operation, status: latest.status, message: latest.message } : operation;
+    }),
+  }));
+
+  const operationsByRow = new Map();
+  bulk.forEach(({ kind, operations }) =>
+    operations.forEach((operation) => {
+      const rowOperations = operationsByRow.get(operation.row) || [];
+      operationsByRow.set(operation.row, [...rowOperations, { ...operation, kind }]);
+    })
+  );
+  const rows = record.rows.map((row) =>
+    row.status === 'pending' ? settleRow(row, operationsByRow.get(row.row) || []) : row
+  );
+  const settled = rows.every((row) => row.status !== 'pending');
+
+  if (settled) {
+    logger.info('Import completed', { importId: record.importId });
+  }
+  return saveImport(
+    {
+      ...record,
+      status: settled ? 'completed' : 'submitted',
+      completedAt: settled ? new Date().toISOString() : undefined,
+      summary: summarizeRows(rows),
+      rows,
+      bulk,
+    },
+    config
+  );
+}
+
+module.exports = {
+  applyImport,
+  detectImportFormat,
+  getImport,
+  parseImportCsv,
+  previewImport,
+  refreshImport,
+  summarizeImportErrors,
+};
@@ -0,0 +1,220 @@
+/**
+ * Asynchronous Export Jobs
+ * An export requested with async=true is recorded as a job in aio-lib-state and handed to the
+ * run-export worker (a non-web action), so the web request returns a job ID immediately.
+ * The export reports its phase and progress on the job; job-status reads it back.
+ *
+ * Phases: queued -> preparing -> exporting -> uploading -> completed | failed
+ */
+
+const crypto = require('crypto');
+
+const stateLib = require('@adobe/aio-lib-state');
+
+const { invokeAction } = require('./runtime');
+const { successResponse } = require('./utils');
+
+// Request parameters forwarded to the worker (deployment inputs come from its own manifest)
+const EXPORT_PARAMS = [
+  'format',
+  'filters',
+  'storeCode',
+  'variants',
+  'delta',
+  'fileName',
+  'streaming',
+  'validation',
+  'scheduledJob',
+  'triggeredBy',
+];
+
+/**
+ * Build the state key of a job
+ * @param {string} jobId - Job ID
+ * @returns {string} State key
+ */
+function getJobKey(jobId) {
+  return `export_job_${jobId}`;
+}
+
+/**
+ * Read a job record
+ * @param {Object} state - Adobe I/O State instance
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job, or null if unknown or expired
+ */
+async function readJob(state, jobId) {
+  const entry = await state.get(getJobKey(jobId));
+  return entry?.value ? JSON.parse(entry.value) : null;
+}
+
+/**
+ * Merge changes into a job record
+ * Reads before writing so the worker's progress and its final status never overwrite each other
+ * @param {Object} state - Adobe I/O State instance
+ * @param {string} jobId - Job ID
+ * @param {Object} changes - Fields to update
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object>} Updated job
+ */
+async function updateJob(state, jobId, changes, config) {
+  const job = {
+    ...(await readJob(state, jobId)),
+    ...changes,
+    id: jobId,
+    updatedAt: new Date().toISOString(),
+  };
+  await state.put(getJobKey(jobId), JSON.stringify(job), { ttl: config.jobs.stateTtl });
+  return job;
+}
+
+/**
+ * Get a job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job, or null if unknown or expired
+ */
+async function getExportJob(jobId) {
+  if (!/^[a-f0-9-]{36}$/.test(jobId || '')) return null;
+  const state = await stateLib.init();
+  return readJob(state, jobId);
+}
+
+/**
+ * Record an export job and start the run-export worker
+ * @param {Object} params - Export action parameters (validated by the caller)
+ * @param {string} source - Export source ('rest' or 'mesh')
+ * @param {Object} config - Configuration object
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} 202 response with the job ID
+ */
+async function startExportJob(params, source, config, logger) {
+  const jobId = crypto.randomUUID();
+  const request = Object.fromEntries(
+    EXPORT_PARAMS.filter((name) => params[name] !== undefined).map((name) => [name, params[name]])
+  );
+
+  const state = await stateLib.init();
+  await updateJob(
+    state,
+    jobId,
+    {
+      source,
+      status: 'queued',
+      phase: 'queued',
+      request,
+      progress: { pagesFetched: 0, productsEnriched: 0, totalProducts: null, bytesUploaded: 0 },
+      createdAt: new Date().toISOString(),
+    },
+    config
+  );
+
+  try {
+    const activationId = await invokeAction('run-export', { ...request, jobId, source }, config);
+    await updateJob(state, jobId, { activationId }, config);
+  } catch (error) {
+    await updateJob(
+      state,
+      jobId,
+      { status: 'failed', phase: 'failed', error: error.message },
+      config
+    );
+    throw error;
+  }
+
+  logger.info('Export job queued', { jobId, source });
+  return {
+    ...successResponse({ jobId, status: 'queued' }, 'Export job queued', logger),
+    statusCode: 202,
+  };
+}
+
+/**
+ * Create the progress tracker of a job
+ * Progress writes are throttled to config.jobs.progressIntervalMs; phase changes always write.
+ * Without a job ID (synchronous exports) every method is a no-op
+ * @param {string} [jobId] - Job ID (the jobId parameter the worker forwards)
+ * @param {Object} config - Configuration object
+ * @param {Object} logger - Logger instance
+ * @returns {Object} Tracker ({ phase(name), page(page), uploaded(bytes), flush() })
+ */
+function createJobTracker(jobId, config, logger) {
+  if (!jobId) {
+    const noop = async () => {};
+    return { phase: noop, page: noop, uploaded: noop, flush: noop };
+  }
+
+  const statePromise = stateLib.init();
+  const progress = { pagesFetched: 0, productsEnriched: 0, totalProducts: null, bytesUploaded: 0 };
+  let currentPhase = 'preparing';
+  let lastWrite = 0;
+
+  const write = async (force) => {
+    if (!force && Date.now() - lastWrite < config.jobs.progressIntervalMs) return;
+    lastWrite = Date.now();
+    try {
+      await updateJob(
+        await statePromise,
+        jobId,
+        { status: 'running', phase: currentPhase, progress: { ...progress } },
+        config
+      );
+    } catch (error) {
+      // Progress is informational; never fail the export over it
+      logger.warn('Failed to record job progress', { jobId, error: error.message });
+    }
+  };
+
+  return {
+    phase: (name) => {
+      currentPhase = name;
+      return write(true);
+    },
+    page: ({ products, currentPage, totalCount }) => {
+      progress.pagesFetched += 1;
+      progress.productsEnriched += products.length;
+      // Each store view starts at page 1; its total adds to the expected product count
+      if (currentPage === 1 && Number.isFinite(totalCount)) {
+        progress.totalProducts = (progress.totalProducts || 0) + totalCount;
+      }
+      return write(false);
+    },
+    uploaded: (bytes) => {
+      progress.bytesUploaded += bytes;
+      return write(false);
+    },
+    flush: () => write(true),
+  };
+}
+
+/**
+ * Record the outcome of the worker's export on the job
+ * @param {string} jobId - Job ID
+ * @param {Object} response - Export action response ({ statusCode, body })
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object>} Updated job
+ */
+async function finishExportJob(jobId, response, config) {
+  const state = await stateLib.init();
+  const { statusCode, body = {} } = response;
+  if (statusCode !== 200) {
+    return updateJob(
+      state,
+      jobId,
+      { status: 'failed', phase: 'failed', error: body.error || `Export failed (${statusCode})` },
+      config
+    );
+  }
+
+  // Keep the export response (download URL, counts, performance) minus the envelope fields
+  const result = { ...body };
+  delete result.success;
+  delete result.message;
+  return updateJob(state, jobId, { status: 'succeeded', phase: 'completed', result }, config);
+}
+
+module.exports = {
+  createJobTracker,
+  finishExportJob,
+  getExportJob,
+  startExportJob,
+};
@@ -0,0 +1,227 @@
+/**
+ * REST vs API Mesh Parity Check
+ * Runs both export pipelines on the same page range and reports field-level differences per SKU
+ * Both pipelines yield products in the canonical model (lib/product-model.js)
+ */
+
+const { iterateMeshPages, streamEnrichedProducts } = require('./commerce');
+
+const PAGE_RANGE_PATTERN = /^(\d+)(?:-(\d+))?$/;
+
+// Both pipelines page in this order so a page range covers the same SKUs on each side
+const PARITY_SORT_ORDERS = [{ field: 'entity_id', direction: 'ASC' }];
+
+/**
+ * Parse a page range ('2' or '1-3')
+ * @param {string|number} [value] - Page range (defaults to the first page)
+ * @param {Object} config - Configuration object
+ * @returns {Object} { start, end }
+ * @throws {Error} If the range is malformed or spans more than config.parity.maxPages
+ */
+function parsePageRange(value, config) {
+  const match = String(value ?? '1').match(PAGE_RANGE_PATTERN);
+  const start = match ? parseInt(match[1], 10) : 0;
+  const end = match?.[2] ? parseInt(match[2], 10) : start;
+  if (start < 1 || end < start) {
+    throw new Error(`Invalid page range '${value}': use a page or a range such as 1-3`);
+  }
+  if (end - start + 1 > config.parity.maxPages) {
+    throw new Error(`Page range '${value}' spans more than ${config.parity.maxPages} pages`);
+  }
+  return { start, end };
+}
+
+/**
+ * Parse the page size of a parity check
+ * @param {string|number} [value] - Page size (defaults to config.parity.pageSize)
+ * @param {Object} config - Configuration object
+ * @returns {number} Page size
+ * @throws {Error} If the page size is not a positive integer of at most 100
+ */
+function parsePageSize(value, config) {
+  if (value === undefined || value === '') return config.parity.pageSize;
+
+  const pageSize = Number(value);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 100) {
+    throw new Error(`Invalid page size '${value}': use a whole number from 1 to 100`);
+  }
+  return pageSize;
+}
+
+/**
+ * Collect the products of a page range from a page iterator
+ * @param {AsyncIterable<Object>} pages - Pages with products and currentPage, from range.start
+ * @param {Object} range - Page range ({ start, end })
+ * @returns {Promise<Object>} { products: Map of SKU to canonical product, durationMs }
+ */
+async function collectRange(pages, range) {
+  const startTime = Date.now();
+  const products = new Map();
+
+  for await (const page of pages) {
+    page.products.forEach((product) => products.set(product.sku, product));
+    if (page.currentPage >= range.end) break;
+  }
+  return { products, durationMs: Date.now() - startTime };
+}
+
+/**
+ * Bring a value into comparable form: lists of categories, sources and stocks are ordered by key
+ * @param {*} value - Canonical field value
+ * @returns {*} Comparable value
+ */
+function toComparable(value) {
+  if (!Array.isArray(value)) return value;
+
+  const key = (entry) => String(entry?.id ?? entry?.code ?? '');
+  return [...value].sort((a, b) => key(a).localeCompare(key(b)));
+}
+
+/**
+ * Flatten a canonical product into field paths (e.g. prices.price, attributes.color)
+ * Arrays are compared as a whole
+ * @param {Object} value - Canonical product or nested object
+ * @param {string} prefix - Path of value
+ * @param {Object} fields - Accumulated fields
+ * @returns {Object} Field path to value
+ */
+function flattenFields(value, prefix = '', fields = {}) {
+  Object.entries(value).forEach(([name, fieldValue]) => {
+    const path = `${prefix}${name}`;
+    if (fieldValue && typeof fieldValue === 'object' && !Array.isArray(fieldValue)) {
+      flattenFields(fieldValue, `${path}.`, fields);
+    } else {
+      fields[path] = toComparable(fieldValue);
+    }
+  });
+  return fields;
+}
+
+/**
+ * Compare the canonical REST and mesh versions of one product
+ * @param {Object} restProduct - Canonical product from the REST pipeline
+ * @param {Object} meshProduct - Canonical product from the mesh pipeline
+ * @param {Array<string>} ignoreFields - Field paths (or their prefixes) left out of the comparison
+ * @returns {Array<Object>} Differences ({ field, rest, mesh })
+ */
+function diffProducts(restProduct, meshProduct, ignoreFields) {
+  const restFields = flattenFields(restProduct);
+  const meshFields = flattenFields(meshProduct);
+  const paths = new Set([...Object.keys(restFields), ...Object.keys(meshFields)]);
+  const isIgnored = (path) =>
+    ignoreFields.some((field) => path === field || path.startsWith(`${field}.`));
+
+  return Array.from(paths)
+    .filter((path) => !isIgnored(path))
+    .filter((path) => JSON.stringify(restFields[path]) !== JSON.stringify(meshFields[path]))
+    .map((path) => ({
+      field: path,
+      rest: restFields[path] ?? null,
+      mesh: meshFields[path] ?? null,
+    }))
+    .sort((a, b) => a.field.localeCompare(b.field));
+}
+
+/**
+ * Compare the products both pipelines returned
+ * @param {Map} restProducts - SKU to canonical REST product
+ * @param {Map} meshProducts - SKU to canonical mesh product
+ * @param {Object} config - Configuration object
+ * @returns {Object} Comparison with SKUs missing on either side, counts per field and differing
+ *   products (capped at config.parity.maxReportedProducts)
+ */
+function compareProducts(restProducts, meshProducts, config) {
+  const { ignoreFields, maxReportedProducts } = config.parity;
+  const byField = {};
+  const differing = [];
+  let compared = 0;
+
+  restProducts.forEach((restProduct, sku) => {
+    if (!meshProducts.has(sku)) return;
+    compared += 1;
+
+    const differences = diffProducts(restProduct, meshProducts.get(sku), ignoreFields);
+    differences.forEach(({ field }) => {
+      byField[field] = (byField[field] || 0) + 1;
+    });
+    if (differences.length > 0) differing.push({ sku, differences });
+  });
+
+  return {
+    compared,
+    matching: compared - differing.length,
+    differing: differing.length,
+    onlyInRest: Array.from(restProducts.keys()).filter((sku) => !meshProducts.has(sku)),
+    onlyInMesh: Array.from(meshProducts.keys()).filter((sku) => !restProducts.has(sku)),
+    byField,
+    products: differing.slice(0, maxReportedProducts),
+    truncated: differing.length > maxReportedProducts,
+  };
+}
+
+/**
+ * Run the REST and mesh pipelines on the same page range and compare their products
+ * Both pipelines run uncached, one after the other, with the same page size, filters and an
+ * explicit entity_id sort; REST exports parent rows only, like the mesh
+ *
+ * @param {Object} params - Action parameters (Commerce and mesh credentials)
+ * @param {Object} config - Configuration object
+ * @param {Object} options - Check options
+ * @param {Object} options.range - Page range ({ start, end })
+ * @param {number} options.pageSize - Products per page
+ * @param {Array<Array<Object>>} options.filterGroups - searchCriteria filter groups
+ * @param {Object} logger - Logger instance (optional)
+ * @returns {Promise<Object>} Parity report
+ */
+async function runParityCheck(params, config, options, logger = null) {
+  const { range, pageSize, filterGroups } = options;
+  const pipelineConfig = {
+    ...config,
+    commerce: {
+      ...config.commerce,
+      pagination: { ...config.commerce.pagination, pageSize },
+    },
+    mesh: { ...config.mesh, pagination: { ...config.mesh.pagination, pageSize } },
+    products: { ...config.products, variantMode: 'parents' },
+  };
+  const pipelineParams = { ...params, pageSize };
+  const pageOptions = { filterGroups, sortOrders: PARITY_SORT_ORDERS, startPage: range.start };
+
+  const rest = await collectRange(
+    streamEnrichedProducts(pipelineParams, pipelineConfig, null, logger, pageOptions),
+    range
+  );
+  const mesh = await collectRange(
+    iterateMeshPages(pipelineParams, pipelineConfig, logger, pageOptions),
+    range
+  );
+  const comparison = compareProducts(rest.products, mesh.products, config);
+
+  if (logger) {
+    logger.info('Parity check completed', {
+      pages: range,
+      compared: comparison.compared,
+      differing: comparison.differing,
+    });
+  }
+
+  return {
+    pages: range,
+    pageSize,
+    storeCode: config.commerce.storeCode || undefined,
+    rest: { productCount: rest.products.size, durationMs: rest.durationMs },
+    mesh: { productCount: mesh.products.size, durationMs: mesh.durationMs },
+    ignoredFields: config.parity.ignoreFields,
+    passed:
+      comparison.differing === 0 &&
+      comparison.onlyInRest.length === 0 &&
+      comparison.onlyInMesh.length === 0,
+    ...comparison,
+  };
+}
+
+module.exports = {
+  parsePageRange,
+  parsePageSize,
+  runParityCheck,
+};
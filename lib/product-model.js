@@ -0,0 +1,191 @@
+/**
+ * Canonical Product Model
+ * One product shape for the REST and API Mesh pipelines: enrichProducts and iterateMeshPages map
+ * into it, so export formats (lib/formats) and parity checks (lib/parity.js) never need to know
+ * which pipeline a product came from
+ *
+ * {
+ *   sku, name, type, status, visibility, parentSku,
+ *   prices: { price, min, max },
+ *   stock: { qty, inStock, sources: [{ code, qty, inStock }], stocks: [{ id, salableQty }] },
+ *   categories: [{ id, name, path, level, position }], primaryCategory: { id, name, path },
+ *   media: [{ url, types }],
+ *   urls: { urlKey },
+ *   attributes: { code: value },
+ *   createdAt, updatedAt
+ * }
+ *
+ * Values a source does not provide are null (e.g. status and salable stocks from the mesh)
+ */
+
+/**
+ * Convert a value to a number
+ * @param {*} value - Raw value
+ * @param {number|null} fallback - Value for empty or non-numeric input
+ * @returns {number|null} Number or fallback
+ */
+function toNumber(value, fallback = 0) {
+  const num = parseFloat(value);
+  return isNaN(num) ? fallback : num;
+}
+
+/**
+ * Map custom attributes to a code-to-value object
+ * @param {Array<Object>} customAttributes - Commerce custom attributes
+ * @returns {Object} Attribute values by code
+ */
+function mapAttributes(customAttributes) {
+  return Object.fromEntries(
+    (customAttributes || []).map(({ attribute_code: code, value }) => [code, value])
+  );
+}
+
+/**
+ * Map an enriched category (REST or mesh) to a canonical category
+ * @param {Object} category - Category with id, name and breadcrumb
+ * @returns {Object} Canonical category
+ */
+function mapCategory(category) {
+  return {
+    id: String(category.id),
+    name: category.name || '',
+    path: category.breadcrumb || category.name || '',
+    level: category.level ?? null,
+    position: category.position ?? null,
+  };
+}
+
+/**
+ * Map the primary category chosen during enrichment
+ * @param {Object|null} category - Primary category
+ * @returns {Object|null} Canonical primary category ({ id, name, path })
+ */
+function mapPrimaryCategory(category) {
+  if (!category) return null;
+  const { id, name, path } = mapCategory(category);
+  return { id, name, path };
+}
+
+/**
+ * Map the MSI breakdown attached during enrichment
+ * @param {Object} breakdown - Breakdown with sources and stocks
+ * @returns {Object} { sources, stocks } (null when the source does not provide them)
+ */
+function mapInventoryBreakdown(breakdown) {
+  return {
+    sources: breakdown?.sources
+      ? breakdown.sources.map((source) => ({
+          code: source.source_code,
+          qty: toNumber(source.quantity),
+          inStock: Boolean(source.in_stock),
+        }))
+      : null,
+    stocks: breakdown?.stocks?.length
+      ? breakdown.stocks.map((stock) => ({
+          id: String(stock.stock_id),
+          salableQty: toNumber(stock.salable_qty),
+        }))
+      : null,
+  };
+}
+
+/**
+ * Map media gallery entries to absolute image URLs
+ * @param {Array<Object>} entries - Entries with a url, or a file relative to the media directory
+ * @param {Object} config - Configuration object (Commerce base URL)
+ * @returns {Array<Object>} Media ({ url, types })
+ */
+function mapMedia(entries, config) {
+  return (entries || [])
+    .map((entry) => {
+      const file = entry.url || entry.file || '';
+      const url =
+        !file || file.startsWith('http')
+          ? file
+          : `${config.commerce.baseUrl}/media/catalog/product${file}`;
+      return { url, types: entry.types || [] };
+    })
+    .filter((entry) => entry.url);
+}
+
+/**
+ * Map the fields both pipelines share
+ * @param {Object} product - Enriched product
+ * @returns {Object} Canonical identity, category and timestamp fields
+ */
+function mapCommonFields(product) {
+  const categories = (product.categories || []).map(mapCategory);
+  return {
+    sku: product.sku || '',
+    name: product.name || '',
+    type: product.type_id || null,
+    categories,
+    primaryCategory: mapPrimaryCategory(product.primary_category || product.categories?.[0]),
+    attributes: mapAttributes(product.custom_attributes),
+    createdAt: product.created_at || null,
+    updatedAt: product.updated_at || null,
+  };
+}
+
+/**
+ * Map a product enriched by the REST pipeline (lib/commerce/enrichment.js)
+ * Images were resolved during enrichment; variant rows fall back to their parent's
+ * @param {Object} product - Enriched REST product
+ * @param {Object} config - Configuration object
+ * @returns {Object} Canonical product
+ */
+function fromRestProduct(product, config) {
+  const common = mapCommonFields(product);
+
+  return {
+    ...common,
+    status: product.status ?? null,
+    visibility: product.visibility ?? null,
+    parentSku: product.parent_sku || null,
+    prices: {
+      price: toNumber(product.price),
+      min: product.price_range ? toNumber(product.price_range.min, null) : null,
+      max: product.price_range ? toNumber(product.price_range.max, null) : null,
+    },
+    stock: {
+      qty: toNumber(product.qty),
+      inStock: product.stock_status === 'IN_STOCK',
+      ...mapInventoryBreakdown(product.inventory_breakdown),
+    },
+    media: mapMedia(product.images, config),
+    // Variant rows carry their parent's url_key top-level
+    urls: { urlKey: product.url_key || common.attributes.url_key || null },
+  };
+}
+
+/**
+ * Map a product returned by the mesh resolver (mesh_products_enriched)
+ * The mesh has no stock status, so products with a positive quantity are in stock
+ * @param {Object} product - Enriched mesh product
+ * @param {Object} config - Configuration object
+ * @returns {Object} Canonical product
+ */
+function fromMeshProduct(product, config) {
+  const common = mapCommonFields(product);
+  const qty = toNumber(product.inventory?.quantity);
+
+  return {
+    ...common,
+    status: null,
+    visibility: null,
+    parentSku: null,
+    prices: { price: toNumber(product.price), min: null, max: null },
+    stock: {
+      qty,
+      inStock: qty > 0,
+      ...mapInventoryBreakdown(product.inventory_breakdown),
+    },
+    media: mapMedia(product.media_gallery_entries, config),
+    urls: { urlKey: product.url_key || common.attributes.url_key || null },
+  };
+}
+
+module.exports = {
+  fromMeshProduct,
+  fromRestProduct,
+};
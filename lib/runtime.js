@@ -0,0 +1,48 @@
+/**
+ * OpenWhisk Action Invocation
+ * Starts actions of this package through the OpenWhisk REST API with the namespace credentials
+ * Actions calling it need the provide-api-key annotation (sets __OW_API_HOST and __OW_API_KEY)
+ */
+
+/**
+ * Invoke an action of this package without waiting for it (non-blocking activation)
+ * Direct invocations carry the namespace credentials, so the action's caller guard admits them
+ * @param {string} actionName - Action name within config.runtime.packageName
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @returns {Promise<string>} Activation ID
+ * @throws {Error} If the OpenWhisk API is unavailable or rejects the invocation
+ */
+async function invokeAction(actionName, params, config) {
+  const apiHost = process.env.__OW_API_HOST;
+  const apiKey = process.env.__OW_API_KEY;
+  if (!apiHost || !apiKey) {
+    throw new Error(
+      'OpenWhisk API credentials unavailable (requires the provide-api-key annotation)'
+    );
+  }
+
+  const qualifiedName = `${config.runtime.packageName}/${actionName}`;
+  const response = await fetch(
+    `${apiHost}/api/v1/namespaces/_/actions/${qualifiedName}?blocking=false`,
+    {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(apiKey).toString('base64')}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(params),
+      signal: AbortSignal.timeout(config.runtime.invokeTimeoutMs),
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Invoking ${qualifiedName} failed: ${response.status} ${response.statusText}`);
+  }
+  const { activationId } = await response.json();
+  return activationId;
+}
+
+module.exports = {
+  invokeAction,
+};
@@ -0,0 +1,196 @@
+/**
+ * Scheduled Export Jobs
+ * Named jobs (source, format, filters, destination and a cron expression) are stored in
+ * aio-lib-state. The run-schedules action, fired by an OpenWhisk alarm trigger every few minutes,
+ * runs the jobs whose cron fired since the previous tick by invoking the export action
+ * (get-products or get-products-mesh) asynchronously (lib/runtime.js)
+ */
+
+const stateLib = require('@adobe/aio-lib-state');
+
+const { parseProductFilters } = require('./commerce/filters');
+const { parseVariantMode } = require('./commerce/product-types');
+const { parseStoreCodes } = require('./commerce/stores');
+const { lastFiringBetween, parseCron } = require('./cron');
+const { parseFileName } = require('./csv');
+const { hasFormat } = require('./formats');
+const { invokeAction } = require('./runtime');
+const { parseBooleanParam } = require('./utils');
+
+const SCHEDULES_KEY = 'export_schedules';
+const LAST_TICK_KEY = 'export_schedules_last_tick';
+const JOB_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+// Export action invoked for each job source
+const SOURCE_ACTIONS = {
+  rest: 'get-products',
+  mesh: 'get-products-mesh',
+};
+
+/**
+ * Validate a job definition and normalize it for storage
+ * @param {Object} input - Job fields (name, cron, source, format, filters, storeCode, variants,
+ *   delta, fileName), e.g. the export-schedules action parameters
+ * @param {Object} config - Configuration object
+ * @param {Object} [existing] - Stored job being replaced (keeps createdAt, paused and lastRun)
+ * @returns {Object} Job
+ * @throws {Error} If any field is invalid
+ */
+function normalizeJob(input, config, existing = null) {
+  const name = String(input.name || '').trim();
+  if (!JOB_NAME_PATTERN.test(name)) {
+    throw new Error('Job name must be lowercase letters, digits and dashes (max 64 characters)');
+  }
+
+  const source = input.source || 'rest';
+  if (!SOURCE_ACTIONS[source]) {
+    throw new Error(`Unknown source '${source}'. Use: ${Object.keys(SOURCE_ACTIONS).join(', ')}`);
+  }
+
+  const format = input.format || config.products.defaultFormat;
+  if (!hasFormat(format)) {
+    throw new Error(`Unsupported export format '${format}'`);
+  }
+
+  // Validate with the export action's own parsers so a stored job never fails on its parameters
+  let filters;
+  try {
+    filters = typeof input.filters === 'string' ? JSON.parse(input.filters) : input.filters;
+    parseProductFilters(filters);
+  } catch (error) {
+    throw new Error(`Invalid filters: ${error.message}`);
+  }
+  const storeCodes = parseStoreCodes(input.storeCode).filter(Boolean);
+  const now = new Date().toISOString();
+
+  return {
+    name,
+    cron: parseCron(input.cron).expression,
+    source,
+    format,
+    filters: filters || null,
+    storeCode: storeCodes.join(',') || null,
+    variants: input.variants ? parseVariantMode(input.variants) : null,
+    delta: parseBooleanParam(input.delta, false),
+    destination: { fileName: parseFileName(input.fileName) },
+    paused: existing ? existing.paused : false,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+    lastRun: existing ? existing.lastRun : null,
+  };
+}
+
+/**
+ * Open the job store in aio-lib-state
+ * All jobs share one state entry, so a listing is a single read
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object>} Store ({ list, get, put, remove, getLastTick, setLastTick })
+ */
+async function createScheduleStore(config) {
+  const state = await stateLib.init();
+  const { stateTtl } = config.schedules;
+
+  const load = async () => {
+    const entry = await state.get(SCHEDULES_KEY);
+    return entry?.value ? JSON.parse(entry.value) : {};
+  };
+  const save = (jobs) => state.put(SCHEDULES_KEY, JSON.stringify(jobs), { ttl: stateTtl });
+
+  return {
+    list: async () => Object.values(await load()).sort((a, b) => a.name.localeCompare(b.name)),
+    get: async (name) => (await load())[name] || null,
+    put: async (job) => {
+      const jobs = await load();
+      jobs[job.name] = job;
+      await save(jobs);
+      return job;
+    },
+    remove: async (name) => {
+      const jobs = await load();
+      if (!jobs[name]) return false;
+      delete jobs[name];
+      await save(jobs);
+      return true;
+    },
+    getLastTick: async () => {
+      const entry = await state.get(LAST_TICK_KEY);
+      return entry?.value ? Number(entry.value) : null;
+    },
+    setLastTick: (time) => state.put(LAST_TICK_KEY, String(time), { ttl: stateTtl }),
+  };
+}
+
+/**
+ * Build the export action parameters for a job
+ * @param {Object} job - Stored job
+ * @returns {Object} Action parameters
+ */
+function buildExportParams(job) {
+  const params = {
+    format: job.format,
+    filters: job.filters ? JSON.stringify(job.filters) : undefined,
+    storeCode: job.storeCode || undefined,
+    variants: job.variants || undefined,
+    delta: job.delta || undefined,
+    fileName: job.destination?.fileName || undefined,
+    scheduledJob: job.name,
+    triggeredBy: { type: 'schedule', id: job.name, role: null },
+  };
+  return Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Run a job now and record the run on the job
+ * @param {Object} store - Store from createScheduleStore
+ * @param {Object} job - Stored job
+ * @param {Object} config - Configuration object
+ * @param {Object} run - Run details ({ trigger: 'schedule' | 'manual', scheduledFor })
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} Recorded run ({ trigger, startedAt, activationId, status, error })
+ */
+async function runJob(store, job, config, run, logger) {
+  const lastRun = { ...run, startedAt: new Date().toISOString() };
+  try {
+    lastRun.activationId = await invokeAction(
+      SOURCE_ACTIONS[job.source],
+      buildExportParams(job),
+      config
+    );
+    lastRun.status = 'started';
+    logger.info('Scheduled export started', { job: job.name, activationId: lastRun.activationId });
+  } catch (error) {
+    lastRun.status = 'failed';
+    lastRun.error = error.message;
+    logger.error('Scheduled export failed to start', { job: job.name, error: error.message });
+  }
+
+  await store.put({ ...job, lastRun });
+  return lastRun;
+}
+
+/**
+ * Find the active jobs whose cron fired in (from, to]
+ * A job already run for the same firing (lastRun.scheduledFor) is skipped
+ * @param {Array<Object>} jobs - Stored jobs
+ * @param {number} from - Window start in epoch milliseconds (exclusive)
+ * @param {number} to - Window end in epoch milliseconds (inclusive)
+ * @returns {Array<Object>} Due jobs ({ job, scheduledFor })
+ */
+function findDueJobs(jobs, from, to) {
+  return jobs
+    .filter((job) => !job.paused)
+    .map((job) => ({ job, firedAt: lastFiringBetween(parseCron(job.cron), from, to) }))
+    .filter(({ job, firedAt }) => {
+      if (!firedAt) return false;
+      const previous = job.lastRun?.scheduledFor;
+      return !previous || new Date(previous) < firedAt;
+    })
+    .map(({ job, firedAt }) => ({ job, scheduledFor: firedAt.toISOString() }));
+}
+
+module.exports = {
+  createScheduleStore,
+  findDueJobs,
+  normalizeJob,
+  runJob,
+};
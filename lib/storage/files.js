@@ -0,0 +1,113 @@
+/**
+ * Adobe I/O Files Storage Provider
+ * Uses the App Builder namespace's file storage (aio-lib-files); no bucket or keys to configure
+ */
+
+const { PassThrough } = require('stream');
+
+const filesLib = require('@adobe/aio-lib-files');
+
+// Presigned URL lifetime (24 hours - aio-lib-files maximum)
+const PRESIGN_EXPIRES_IN = 86400;
+
+/**
+ * Create the Adobe I/O Files storage provider
+ * @returns {Object} Storage provider
+ */
+function createFilesProvider() {
+  let filesPromise;
+  const getFiles = () => {
+    filesPromise = filesPromise || filesLib.init();
+    return filesPromise;
+  };
+
+  return {
+    name: 'files',
+
+    async store(key, body) {
+      const files = await getFiles();
+      await files.write(key, body);
+    },
+
+    // aio-lib-files always overwrites, so it cannot tell concurrent writers apart
+    async create() {
+      throw new Error(
+        'Adobe I/O Files storage cannot create files exclusively; use the s3 or local provider'
+      );
+    },
+
+    /**
+     * Stream chunks into one write; the Files client uploads from the stream as it is fed
+     */
+    async createUpload(key) {
+      const files = await getFiles();
+      const stream = new PassThrough();
+      const writing = files.write(key, stream);
+      // Surfaced by complete(); keeps an early failure from becoming an unhandled rejection
+      writing.catch(() => {});
+      let writtenSize = 0;
+
+      return {
+        uploadedBytes: () => writtenSize,
+
+        async write(data) {
+          writtenSize += data.length;
+          if (!stream.write(data)) {
+            await new Promise((resolve) => stream.once('drain', resolve));
+          }
+        },
+
+        async complete() {
+          stream.end();
+          await writing;
+        },
+
+        async abort() {
+          stream.destroy();
+          await files.delete(key);
+        },
+      };
+    },
+
+    async list(prefix) {
+      const files = await getFiles();
+      // Files lists a directory only with a trailing '/', so other prefixes filter the full list
+      const listed = await files.list(prefix && prefix.endsWith('/') ? prefix : '');
+      return listed
+        .filter((file) => !file.isDirectory && (!prefix || file.name.startsWith(prefix)))
+        .map((file) => ({
+          key: file.name,
+          size: file.contentLength,
+          lastModified: file.lastModified,
+        }));
+    },
+
+    async get(key) {
+      const files = await getFiles();
+      try {
+        return await files.read(key);
+      } catch (error) {
+        if (error.code === 'ERROR_FILE_NOT_EXISTS') return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      const files = await getFiles();
+      await files.delete(key);
+    },
+
+    async presign(key) {
+      const files = await getFiles();
+      const url = await files.generatePresignURL(key, {
+        expiryInSeconds: PRESIGN_EXPIRES_IN,
+        permissions: 'r',
+      });
+      return { url, expiresIn: PRESIGN_EXPIRES_IN };
+    },
+  };
+}
+
+module.exports = {
+  createFilesProvider,
+};
@@ -0,0 +1,344 @@
+/**
+ * Storage for Adobe App Builder Actions
+ * Exports and manifests go through the provider selected by config.storage.provider, with keys
+ * namespaced under the configured prefix (see getKeyPrefix)
+ *
+ * A provider implements: name, store(key, body, options), create(key, body, options) (false when
+ * the key exists, atomically), createUpload(key, options) (write, uploadedBytes, complete, abort),
+ * list(prefix), get(key) (null when missing), delete(key) and presign(key) ({ url, expiresIn })
+ */
+
+const crypto = require('crypto');
+
+const { createFilesProvider } = require('./files');
+const { createLocalProvider } = require('./local');
+const { createS3Provider } = require('./s3');
+
+const PROVIDERS = {
+  s3: createS3Provider,
+  files: createFilesProvider,
+  local: createLocalProvider,
+};
+
+// Environment and tenant sub-prefixes are single path segments
+const SEGMENT_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Build the key prefix every storage operation is namespaced under
+ * [s3.prefix (S3 only)][storage.directory][environment/][tenant/], e.g.
+ * kukla-integration/public/production/acme/
+ * @param {Object} config - Configuration object
+ * @returns {string} Key prefix (empty or ending with '/')
+ * @throws {Error} If the environment or tenant is not a single path segment
+ */
+function getKeyPrefix(config) {
+  const { provider = 's3', directory, environment, tenant } = config.storage || {};
+  const segments = [environment, tenant].filter(Boolean);
+  const invalid = segments.find((segment) => !SEGMENT_PATTERN.test(segment));
+  if (invalid) {
+    throw new Error(
+      `Invalid storage sub-prefix '${invalid}': use letters, digits, '.', '_' or '-'`
+    );
+  }
+
+  const parts = [provider === 's3' ? config.s3?.prefix : '', directory, ...segments];
+  return parts
+    .filter(Boolean)
+    .map((part) => part.replace(/^\/+|\/+$/g, ''))
+    .filter(Boolean)
+    .map((part) => `${part}/`)
+    .join('');
+}
+
+/**
+ * Check a key relative to the key prefix
+ * @param {string} key - File key
+ * @returns {string} The key
+ * @throws {Error} If the key is absolute or leaves the prefix
+ */
+function assertKey(key) {
+  if (!key || key.startsWith('/') || key.split('/').includes('..')) {
+    throw new Error(`Invalid storage key '${key}'`);
+  }
+  return key;
+}
+
+/**
+ * Namespace a provider under a key prefix
+ * Callers use keys relative to the prefix; listings return relative keys
+ * @param {Object} provider - Storage provider
+ * @param {string} prefix - Key prefix
+ * @returns {Object} Scoped storage provider
+ */
+function scopeProvider(provider, prefix) {
+  const toKey = (key) => `${prefix}${assertKey(key)}`;
+
+  return {
+    name: provider.name,
+    store: (key, body, options) => provider.store(toKey(key), body, options),
+    create: (key, body, options) => provider.create(toKey(key), body, options),
+    createUpload: (key, options) => provider.createUpload(toKey(key), options),
+    get: (key) => provider.get(toKey(key)),
+    delete: (key) => provider.delete(toKey(key)),
+    presign: (key) => provider.presign(toKey(key)),
+    async list(listPrefix = '') {
+      const files = await provider.list(`${prefix}${listPrefix}`);
+      return files.map((file) => ({ ...file, key: file.key.slice(prefix.length) }));
+    },
+  };
+}
+
+/**
+ * Create the configured storage provider, namespaced under the key prefix
+ * @param {Object} config - Configuration object
+ * @returns {Object} Storage provider
+ * @throws {Error} If config.storage.provider is unknown or a sub-prefix is invalid
+ */
+function getStorageProvider(config) {
+  const name = config.storage?.provider || 's3';
+  const createProvider = PROVIDERS[name];
+  if (!createProvider) {
+    throw new Error(
+      `Unknown storage provider '${name}'. Available providers: ${Object.keys(PROVIDERS).join(', ')}`
+    );
+  }
+  return scopeProvider(createProvider(config), getKeyPrefix(config));
+}
+
+/**
+ * Build the storage result for a stored file, including a download URL
+ * @param {Object} provider - Storage provider
+ * @param {string} fileName - File key
+ * @param {number} size - File size in bytes
+ * @param {string} checksum - SHA-256 of the file content (hex)
+ * @returns {Promise<Object>} Storage result with download URL
+ */
+async function createStorageResult(provider, fileName, size, checksum) {
+  const { url, expiresIn } = await provider.presign(fileName);
+
+  return {
+    stored: true,
+    provider: provider.name,
+    fileName,
+    downloadUrl: url,
+    properties: { size, checksum },
+    management: { expiresIn },
+  };
+}
+
+/**
+ * Store CSV data and return download URL
+ *
+ * @param {string} csvContent - CSV content to store
+ * @param {Object} config - Configuration object
+ * @param {string} [fileName] - File name (defaults to products.defaultFilename)
+ * @returns {Promise<Object>} Storage result with download URL
+ */
+async function storeCsv(csvContent, config, fileName = config.products.defaultFilename) {
+  try {
+    const provider = getStorageProvider(config);
+    await provider.store(fileName, Buffer.from(csvContent), { contentType: 'text/csv' });
+
+    const checksum = crypto.createHash('sha256').update(csvContent).digest('hex');
+    const size = Buffer.byteLength(csvContent, 'utf8');
+    return await createStorageResult(provider, fileName, size, checksum);
+  } catch (error) {
+    return {
+      stored: false,
+      error: { message: error.message },
+    };
+  }
+}
+
+/**
+ * Start a streaming upload for streaming exports
+ * The provider bounds memory (S3 multipart parts, a file stream or a local file)
+ *
+ * @param {Object} config - Configuration object
+ * @param {string} [fileName] - File name (defaults to products.defaultFilename)
+ * @returns {Promise<Object>} Upload handle with write(chunk), uploadedBytes(), complete() and abort()
+ */
+async function createStreamingUpload(config, fileName = config.products.defaultFilename) {
+  const provider = getStorageProvider(config);
+  const upload = await provider.createUpload(fileName, { contentType: 'text/csv' });
+  const hash = crypto.createHash('sha256');
+  let totalSize = 0;
+
+  return {
+    fileName,
+
+    /**
+     * Bytes the provider has uploaded so far
+     * @returns {number} Uploaded bytes
+     */
+    uploadedBytes() {
+      return upload.uploadedBytes();
+    },
+
+    /**
+     * Upload a chunk
+     * @param {string} chunk - CSV chunk
+     */
+    async write(chunk) {
+      if (!chunk) return;
+      const data = Buffer.from(chunk);
+      hash.update(data);
+      totalSize += data.length;
+      await upload.write(data);
+    },
+
+    /**
+     * Finish the upload
+     * @returns {Promise<Object>} Storage result in the same shape as storeCsv
+     */
+    async complete() {
+      try {
+        await upload.complete();
+        return await createStorageResult(provider, fileName, totalSize, hash.digest('hex'));
+      } catch (error) {
+        await this.abort();
+        return {
+          stored: false,
+          error: { message: error.message },
+        };
+      }
+    },
+
+    /**
+     * Abort the upload so the provider discards what was uploaded
+     */
+    async abort() {
+      try {
+        await upload.abort();
+      } catch (error) {
+        console.warn(`Storage upload abort failed (${provider.name}):`, error.message);
+      }
+    },
+  };
+}
+
+/**
+ * List CSV files in storage
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Array>} Array of file objects
+ */
+async function listCsvFiles(config) {
+  const provider = getStorageProvider(config);
+
+  try {
+    const files = await provider.list('');
+
+    // Exports sit at the top of the prefix; deeper keys belong to other tenants or manifests
+    return files
+      .filter((file) => file.key.endsWith('.csv') && !file.key.includes('/'))
+      .map((file) => ({
+        name: file.key,
+        size: file.size,
+        lastModified: file.lastModified,
+        path: file.key,
+      }));
+  } catch (error) {
+    console.warn(`Storage file listing failed (${provider.name}):`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Read a file from storage
+ * @param {string} fileName - File name
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Buffer|null>} File content, or null if the file does not exist
+ */
+async function readFile(fileName, config) {
+  return getStorageProvider(config).get(fileName);
+}
+
+/**
+ * Delete file from storage
+ * @param {string} fileName - File name to delete
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object>} Deletion result
+ */
+async function deleteFile(fileName, config) {
+  try {
+    await getStorageProvider(config).delete(fileName);
+
+    return {
+      success: true,
+      message: `File ${fileName} deleted successfully`,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Store a JSON document (e.g. export run manifests)
+ * @param {string} key - File key
+ * @param {Object} data - Document to store
+ * @param {Object} config - Configuration object
+ * @returns {Promise<void>}
+ * @throws {Error} If the provider is not configured or the write fails
+ */
+async function storeJson(key, data, config) {
+  await getStorageProvider(config).store(key, Buffer.from(JSON.stringify(data)), {
+    contentType: 'application/json',
+  });
+}
+
+/**
+ * Store a JSON document only if its key does not exist yet
+ * The check and the write are one atomic provider operation, so of several concurrent callers
+ * exactly one gets true (e.g. per-record locks)
+ * @param {string} key - File key
+ * @param {Object} data - Document to store
+ * @param {Object} config - Configuration object
+ * @returns {Promise<boolean>} True if stored, false if the key already existed
+ * @throws {Error} If the provider cannot create files exclusively or the write fails
+ */
+async function createJson(key, data, config) {
+  return getStorageProvider(config).create(key, Buffer.from(JSON.stringify(data)), {
+    contentType: 'application/json',
+  });
+}
+
+/**
+ * Read a JSON document
+ * @param {string} key - File key
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object>} Parsed document
+ * @throws {Error} If the document is missing or not valid JSON
+ */
+async function readJson(key, config) {
+  const content = await readFile(key, config);
+  if (!content) {
+    throw new Error(`Storage file '${key}' not found`);
+  }
+  return JSON.parse(content.toString('utf8'));
+}
+
+/**
+ * List every file key under a prefix
+ * @param {string} prefix - Key prefix
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Array<string>>} File keys
+ */
+async function listKeys(prefix, config) {
+  const files = await getStorageProvider(config).list(prefix);
+  return files.map((file) => file.key);
+}
+
+module.exports = {
+  storeCsv,
+  createStreamingUpload,
+  listCsvFiles,
+  readFile,
+  deleteFile,
+  storeJson,
+  createJson,
+  readJson,
+  listKeys,
+};
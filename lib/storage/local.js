@@ -0,0 +1,128 @@
+/**
+ * Local Filesystem Storage Provider
+ * Stores files under storage.localDirectory, for local development and tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+/**
+ * Create the local filesystem storage provider
+ * @param {Object} config - Configuration object
+ * @returns {Object} Storage provider
+ */
+function createLocalProvider(config) {
+  const root = path.resolve(config.storage.localDirectory);
+
+  // Keys map to paths below the root; anything resolving outside it is rejected
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid storage key '${key}'`);
+    }
+    return filePath;
+  };
+
+  const listDirectory = async (directory) => {
+    const entries = await fs.promises.readdir(directory, { withFileTypes: true }).catch((error) => {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    });
+    const nested = await Promise.all(
+      entries.map(async (entry) => {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) return listDirectory(entryPath);
+        const stats = await fs.promises.stat(entryPath);
+        return [{ filePath: entryPath, size: stats.size, lastModified: stats.mtime }];
+      })
+    );
+    return nested.flat();
+  };
+
+  return {
+    name: 'local',
+
+    async store(key, body) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+
+    // The 'wx' flag fails when the file exists, so only one concurrent writer creates it
+    async create(key, body) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      try {
+        await fs.promises.writeFile(filePath, body, { flag: 'wx' });
+        return true;
+      } catch (error) {
+        if (error.code === 'EEXIST') return false;
+        throw error;
+      }
+    },
+
+    /**
+     * Write to a temporary file that replaces the key once the upload completes
+     */
+    async createUpload(key) {
+      const filePath = resolveKey(key);
+      const tempPath = `${filePath}.upload`;
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const handle = await fs.promises.open(tempPath, 'w');
+      let writtenSize = 0;
+
+      return {
+        uploadedBytes: () => writtenSize,
+
+        async write(data) {
+          await handle.write(data);
+          writtenSize += data.length;
+        },
+
+        async complete() {
+          await handle.close();
+          await fs.promises.rename(tempPath, filePath);
+        },
+
+        async abort() {
+          await handle.close().catch(() => {});
+          await fs.promises.rm(tempPath, { force: true });
+        },
+      };
+    },
+
+    async list(prefix) {
+      const files = await listDirectory(root);
+      return files
+        .map(({ filePath, size, lastModified }) => ({
+          key: path.relative(root, filePath).split(path.sep).join('/'),
+          size,
+          lastModified,
+        }))
+        .filter((file) => !file.key.endsWith('.upload') && file.key.startsWith(prefix || ''));
+    },
+
+    async get(key) {
+      try {
+        return await fs.promises.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+
+    // No URL can reach a local file from elsewhere; downloads go through download-file
+    async presign(key) {
+      return { url: pathToFileURL(resolveKey(key)).href, expiresIn: null };
+    },
+  };
+}
+
+module.exports = {
+  createLocalProvider,
+};
@@ -0,0 +1,223 @@
+/**
+ * S3 Storage Provider
+ * Amazon S3 and S3-compatible endpoints (e.g. MinIO) via s3.endpoint and s3.forcePathStyle
+ */
+
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Presigned URL lifetime (7 days - S3 maximum)
+const PRESIGN_EXPIRES_IN = 604800;
+
+// S3 minimum part size of multipart uploads (all parts but the last)
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Create S3 client with configuration
+ * Centralized client factory to avoid duplication
+ */
+function createS3Client(config) {
+  // Validate required S3 configuration
+  if (!config.s3?.accessKeyId || !config.s3?.secretAccessKey) {
+    throw new Error('S3 credentials not configured: accessKeyId and secretAccessKey are required');
+  }
+
+  return new S3Client({
+    region: config.s3.region,
+    endpoint: config.s3.endpoint || undefined,
+    forcePathStyle: Boolean(config.s3.forcePathStyle),
+    credentials: {
+      accessKeyId: config.s3.accessKeyId,
+      secretAccessKey: config.s3.secretAccessKey,
+    },
+  });
+}
+
+/**
+ * Start a multipart upload
+ * Chunks are buffered until they reach s3.multipartPartSize (S3 minimum is 5 MB),
+ * so memory stays bounded by one part regardless of file size
+ * @param {Object} s3Client - S3 client
+ * @param {string} bucketName - Bucket to write to
+ * @param {string} key - Object key
+ * @param {string} contentType - Object content type
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object>} Upload ({ write(data), uploadedBytes(), complete(), abort() })
+ */
+async function createMultipartUpload(s3Client, bucketName, key, contentType, config) {
+  const partSize = Math.max(config.s3.multipartPartSize || 0, MIN_PART_SIZE);
+  const { UploadId: uploadId } = await s3Client.send(
+    new CreateMultipartUploadCommand({ Bucket: bucketName, Key: key, ContentType: contentType })
+  );
+
+  const parts = [];
+  let buffered = [];
+  let bufferedSize = 0;
+  let uploadedSize = 0;
+
+  const flush = async (force = false) => {
+    if (bufferedSize === 0 && !force) return;
+
+    const body = Buffer.concat(buffered, bufferedSize);
+    buffered = [];
+    bufferedSize = 0;
+
+    const partNumber = parts.length + 1;
+    const { ETag } = await s3Client.send(
+      new UploadPartCommand({
+        Bucket: bucketName,
+        Key: key,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+        Body: body,
+      })
+    );
+    parts.push({ ETag, PartNumber: partNumber });
+    uploadedSize += body.length;
+  };
+
+  return {
+    // Buffered chunks are not counted until their part is sent
+    uploadedBytes: () => uploadedSize,
+
+    async write(data) {
+      buffered.push(data);
+      bufferedSize += data.length;
+      if (bufferedSize >= partSize) {
+        await flush();
+      }
+    },
+
+    async complete() {
+      // S3 rejects a multipart upload without parts, so always send the last buffer
+      await flush(parts.length === 0);
+      await s3Client.send(
+        new CompleteMultipartUploadCommand({
+          Bucket: bucketName,
+          Key: key,
+          UploadId: uploadId,
+          MultipartUpload: { Parts: parts },
+        })
+      );
+    },
+
+    // Abort the upload so S3 discards the uploaded parts
+    async abort() {
+      await s3Client.send(
+        new AbortMultipartUploadCommand({ Bucket: bucketName, Key: key, UploadId: uploadId })
+      );
+    },
+  };
+}
+
+/**
+ * Create the S3 storage provider
+ * @param {Object} config - Configuration object
+ * @returns {Object} Storage provider
+ */
+function createS3Provider(config) {
+  const bucketName = config.s3?.bucketName;
+  let client;
+
+  // Resolve the bucket and client on first use, so a misconfiguration surfaces per operation
+  const getClient = () => {
+    if (!bucketName) {
+      throw new Error('S3 bucket name not configured');
+    }
+    client = client || createS3Client(config);
+    return client;
+  };
+
+  return {
+    name: 's3',
+
+    async store(key, body, { contentType }) {
+      await getClient().send(
+        new PutObjectCommand({ Bucket: bucketName, Key: key, Body: body, ContentType: contentType })
+      );
+    },
+
+    // IfNoneMatch makes S3 reject the write when the key exists, even between concurrent writers
+    async create(key, body, { contentType }) {
+      try {
+        await getClient().send(
+          new PutObjectCommand({
+            Bucket: bucketName,
+            Key: key,
+            Body: body,
+            ContentType: contentType,
+            IfNoneMatch: '*',
+          })
+        );
+        return true;
+      } catch (error) {
+        const status = error.$metadata?.httpStatusCode;
+        // 412: the key exists; 409: a concurrent conditional write to the key won
+        if (status === 412 || status === 409) return false;
+        throw error;
+      }
+    },
+
+    async createUpload(key, { contentType }) {
+      return createMultipartUpload(getClient(), bucketName, key, contentType, config);
+    },
+
+    async list(prefix) {
+      const s3Client = getClient();
+      const objects = [];
+      let continuationToken;
+      do {
+        const response = await s3Client.send(
+          new ListObjectsV2Command({
+            Bucket: bucketName,
+            Prefix: prefix || undefined,
+            MaxKeys: config.storage?.listPageSize,
+            ContinuationToken: continuationToken,
+          })
+        );
+        (response.Contents || []).forEach((object) =>
+          objects.push({ key: object.Key, size: object.Size, lastModified: object.LastModified })
+        );
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return objects;
+    },
+
+    async get(key) {
+      try {
+        const response = await getClient().send(
+          new GetObjectCommand({ Bucket: bucketName, Key: key })
+        );
+        return Buffer.from(await response.Body.transformToByteArray());
+      } catch (error) {
+        if (error.name === 'NoSuchKey') return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await getClient().send(new DeleteObjectCommand({ Bucket: bucketName, Key: key }));
+    },
+
+    async presign(key) {
+      const command = new GetObjectCommand({ Bucket: bucketName, Key: key });
+      const url = await getSignedUrl(getClient(), command, { expiresIn: PRESIGN_EXPIRES_IN });
+      return { url, expiresIn: PRESIGN_EXPIRES_IN };
+    },
+  };
+}
+
+module.exports = {
+  createS3Provider,
+};
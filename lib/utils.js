@@ -164,50 +164,6 @@ function successResponse(data, message, logger, headers = {}) {
   return response;
 }
 
-/**
- * Commerce API fetch with Adobe I/O Runtime error handling
- * @param {string} url - Request URL
- * @param {string} bearerToken - Authorization token
- * @param {string} method - HTTP method
- * @param {string} dataType - Data type for error messages
- * @returns {Promise<Object>} Full API response with items, total_count, etc.
- */
-async function fetchCommerceData(url, bearerToken, method = 'GET', dataType = 'data') {
-  try {
-    const response = await fetch(url, {
-      method,
-      headers: {
-        Authorization: `Bearer ${bearerToken}`,
-        'Content-Type': 'application/json',
-      },
-    });
-
-    if (!response.ok) {
-      // Use console for lib utilities as logger may not be available
-      console.warn(`${dataType} fetch failed: ${response.status}`);
-      return {
-        items: [],
-        total_count: 0,
-        isError: true,
-        isTokenExpired: response.status === 401,
-      };
-    }
-
-    const result = await response.json();
-    return {
-      items: result.items || result || [],
-      total_count: result.total_count || 0,
-      search_criteria: result.search_criteria || {},
-      isError: false,
-      isTokenExpired: false,
-    };
-  } catch (error) {
-    // Use console for lib utilities as logger may not be available
-    console.warn(`${dataType} fetch error: ${error.message}`);
-    return { items: [], total_count: 0, isError: true, isTokenExpired: false };
-  }
-}
-
 /**
  * Check if there are more pages to fetch in paginated API responses
  * @param {Object} response - API response
@@ -221,6 +177,19 @@ function hasMorePages(response, pageSize, currentPage) {
   return response.items.length === pageSize && currentItemCount < totalItems;
 }
 
+/**
+ * Parse a boolean action parameter (web actions receive query values as strings)
+ * @param {*} value - Raw parameter value
+ * @param {boolean} defaultValue - Value used when the parameter is absent
+ * @returns {boolean} Parsed flag
+ */
+function parseBooleanParam(value, defaultValue = false) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  return value === true || value === 'true' || value === '1';
+}
+
 /**
  * Format file size to human-readable format
  * @param {number} bytes - File size in bytes
@@ -240,7 +209,7 @@ module.exports = {
   getBearerToken,
   stringParameters,
   checkMissingRequestInputs,
-  fetchCommerceData,
   hasMorePages,
+  parseBooleanParam,
   formatFileSize,
 };
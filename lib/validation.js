@@ -0,0 +1,245 @@
+/**
+ * Export Validation and Data-Quality Reports
+ * Checks enriched products against the export format's rules before they are serialized
+ *
+ * A format declares its rules through getValidationRules(config): field ID to
+ * { required, url: 'absolute' | 'relative', greaterThan, min, placeholder (RegExp), unique }
+ *
+ * Modes (config.validation.mode, `validation` param):
+ * - off: no checks
+ * - report: write every row and report the issues
+ * - skip: leave rows with issues out of the file
+ * - fail: abort the export on the first page with issues
+ */
+
+const { createCsv } = require('./csv');
+const { getFormat } = require('./formats');
+const { storeCsv } = require('./storage');
+
+const VALIDATION_MODES = ['off', 'report', 'skip', 'fail'];
+
+// Longest value copied into the report
+const MAX_VALUE_LENGTH = 200;
+
+const URL_PATTERNS = {
+  absolute: /^https?:\/\/\S+$/,
+  relative: /^\/\S*$/,
+};
+
+// Data-quality report layout, serialized through createCsv like an export format
+const QualityReportFormat = {
+  id: 'quality-report',
+  fileName: 'quality.csv',
+  keyField: 'sku',
+  getFileHeaders: () => [],
+  getColumnHeaders: () => ['sku', 'field', 'rule', 'value', 'message'],
+  getFieldOrder: () => ['sku', 'field', 'rule', 'value', 'message'],
+  transformProduct: (issue) => issue,
+};
+
+/**
+ * Resolve the validation mode of an export
+ * The `validation` action parameter overrides config.validation.mode
+ * @param {Object} params - Action parameters
+ * @param {Object} config - Configuration object
+ * @returns {string} off, report, skip or fail
+ * @throws {Error} If the mode is unknown
+ */
+function resolveValidationMode(params, config) {
+  const mode = params.validation || config.validation?.mode || 'report';
+  if (!VALIDATION_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid validation mode '${mode}'. Available modes: ${VALIDATION_MODES.join(', ')}`
+    );
+  }
+  return mode;
+}
+
+/**
+ * Check whether a cell is empty
+ * @param {*} value - Cell value
+ * @returns {boolean} True for null, undefined and blank strings
+ */
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Check one cell against its field rule (uniqueness is tracked by the validator)
+ * @param {*} value - Cell value
+ * @param {Object} rule - Field rule
+ * @returns {Object|null} Issue ({ rule, message }), or null if the cell is valid
+ */
+function checkValue(value, rule) {
+  if (isBlank(value)) {
+    return rule.required ? { rule: 'required', message: 'Value is required' } : null;
+  }
+
+  if (rule.url && !URL_PATTERNS[rule.url].test(String(value))) {
+    return { rule: 'url', message: `Expected an ${rule.url} URL` };
+  }
+
+  const number = parseFloat(value);
+  if (rule.greaterThan !== undefined && !(number > rule.greaterThan)) {
+    return { rule: 'range', message: `Expected a value greater than ${rule.greaterThan}` };
+  }
+  if (rule.min !== undefined && !(number >= rule.min)) {
+    return { rule: 'range', message: `Expected a value of at least ${rule.min}` };
+  }
+
+  if (rule.placeholder && rule.placeholder.test(String(value))) {
+    return { rule: 'placeholder', message: 'Placeholder value' };
+  }
+  return null;
+}
+
+/**
+ * Create a validator for one export file
+ * Duplicate keys are tracked across calls, so streamed pages are checked as one file
+ * @param {string|Object} formatName - Registered export format or implementation
+ * @param {Object} config - Configuration object
+ * @param {string} mode - Validation mode (resolveValidationMode)
+ * @returns {Object} Validator with mode, check(products), issues() and summary()
+ */
+function createValidator(formatName, config, mode) {
+  const format = typeof formatName === 'string' ? getFormat(formatName) : formatName;
+  const rules = mode === 'off' ? [] : Object.entries(format.getValidationRules?.(config) || {});
+  const maxIssues = config.validation?.maxReportIssues || Infinity;
+  const seen = new Map(
+    rules.filter(([, rule]) => rule.unique).map(([field]) => [field, new Set()])
+  );
+  const issues = [];
+  const byRule = {};
+  let checked = 0;
+  let invalid = 0;
+  let skipped = 0;
+
+  const checkRow = (row) => {
+    const rowIssues = rules
+      .map(([field, rule]) => {
+        const value = row[field];
+        const issue = checkValue(value, rule);
+        if (!issue && seen.has(field) && !isBlank(value)) {
+          if (seen.get(field).has(value)) {
+            return { field, value, rule: 'duplicate', message: `Duplicate ${field}` };
+          }
+          seen.get(field).add(value);
+        }
+        return issue && { field, value, ...issue };
+      })
+      .filter(Boolean);
+
+    rowIssues.forEach((issue) => {
+      byRule[issue.rule] = (byRule[issue.rule] || 0) + 1;
+      if (issues.length < maxIssues) {
+        issues.push({
+          sku: row[format.keyField] ?? '',
+          field: issue.field,
+          rule: issue.rule,
+          value: isBlank(issue.value) ? '' : String(issue.value).slice(0, MAX_VALUE_LENGTH),
+          message: issue.message,
+        });
+      }
+    });
+    return rowIssues.length === 0;
+  };
+
+  return {
+    mode,
+
+    /**
+     * Check a page of products
+     * @param {Array<Object>} products - Enriched products
+     * @returns {Array<Object>} Products to write (rows with issues are left out in skip mode)
+     * @throws {Error} With statusCode 422 in fail mode, if any product has issues
+     */
+    check(products) {
+      if (rules.length === 0) return products;
+
+      const kept = products.filter((product) => {
+        checked += 1;
+        if (checkRow(format.transformProduct(product, config))) return true;
+        invalid += 1;
+        return mode !== 'skip';
+      });
+      skipped += products.length - kept.length;
+
+      if (mode === 'fail' && invalid > 0) {
+        const counts = Object.entries(byRule).map(([rule, count]) => `${rule}: ${count}`);
+        const error = new Error(
+          `Export failed validation: ${invalid} of ${checked} products have issues (${counts.join(', ')})`
+        );
+        error.statusCode = 422;
+        throw error;
+      }
+      return kept;
+    },
+
+    /**
+     * Issues found so far (capped at config.validation.maxReportIssues)
+     * @returns {Array<Object>} Issues ({ sku, field, rule, value, message })
+     */
+    issues() {
+      return issues;
+    },
+
+    /**
+     * Totals of the products checked so far
+     * @returns {Object} { mode, checked, invalid, skipped, issues, byRule }
+     */
+    summary() {
+      const issueCount = Object.values(byRule).reduce((sum, count) => sum + count, 0);
+      return { mode, checked, invalid, skipped, issues: issueCount, byRule };
+    },
+  };
+}
+
+/**
+ * Build the report file name of an export (products-<runId>.csv -> products-<runId>-quality.csv)
+ * @param {string} fileName - Export file name
+ * @returns {string} Report file name
+ */
+function getReportFileName(fileName) {
+  return `${fileName.replace(/\.csv$/, '')}-quality.csv`;
+}
+
+/**
+ * Store the data-quality report next to the export and summarize the validation
+ * The report is only written when issues were found; a failed write is logged, never thrown
+ * @param {Object|null} validator - Validator of the export (createValidator)
+ * @param {string} fileName - Stored export file name
+ * @param {Object} config - Configuration object
+ * @param {Object} logger - Logger instance (optional)
+ * @returns {Promise<Object|undefined>} Quality summary with reportFile and reportUrl, or
+ *   undefined when validation is off
+ */
+async function storeQualityReport(validator, fileName, config, logger = null) {
+  if (!validator || validator.mode === 'off') return undefined;
+
+  const quality = validator.summary();
+  if (quality.issues === 0) return quality;
+
+  const report = createCsv(validator.issues(), QualityReportFormat, config);
+  const storageResult = await storeCsv(report.content, config, getReportFileName(fileName));
+  if (!storageResult.stored) {
+    if (logger) {
+      logger.warn('Failed to store data-quality report', {
+        fileName,
+        error: storageResult.error?.message,
+      });
+    }
+    return quality;
+  }
+
+  return {
+    ...quality,
+    reportFile: storageResult.fileName,
+    reportUrl: storageResult.downloadUrl,
+  };
+}
+
+module.exports = {
+  createValidator,
+  resolveValidationMode,
+  storeQualityReport,
+};
@@ -23,7 +23,7 @@ module.exports = {
       name: 'Products',
       handler: {
         JsonSchema: {
-          baseUrl: `${config.commerce.baseUrl}/rest/all/V1`,
+          baseUrl: `${config.commerce.baseUrl}/rest`,
           operationHeaders: {
             'Content-Type': 'application/json',
             Authorization: 'Bearer {context.headers.x-commerce-admin-token}',
@@ -32,7 +32,7 @@ module.exports = {
             {
               type: 'Query',
               field: 'products_list',
-              path: '/products?searchCriteria[pageSize]={args.pageSize}&searchCriteria[currentPage]={args.currentPage}',
+              path: '/{args.storeCode}/V1/products?searchCriteria[pageSize]={args.pageSize}&searchCriteria[currentPage]={args.currentPage}{args.searchCriteria}',
               method: 'GET',
               argTypeMap: {
                 pageSize: {
@@ -41,6 +41,14 @@ module.exports = {
                 currentPage: {
                   type: 'integer',
                 },
+                // Pre-built '&searchCriteria[...]' filter and sort suffix (empty for full exports)
+                searchCriteria: {
+                  type: 'string',
+                },
+                // Store view routing (/rest/{storeCode}/V1, 'all' when not scoped)
+                storeCode: {
+                  type: 'string',
+                },
               },
               responseSchema: './schema/products-response.json',
             },
@@ -52,7 +60,7 @@ module.exports = {
       name: 'Categories',
       handler: {
         JsonSchema: {
-          baseUrl: `${config.commerce.baseUrl}/rest/all/V1`,
+          baseUrl: `${config.commerce.baseUrl}/rest`,
           operationHeaders: {
             'Content-Type': 'application/json',
             Authorization: 'Bearer {context.headers.x-commerce-admin-token}',
@@ -61,12 +69,21 @@ module.exports = {
             {
               type: 'Query',
               field: 'categories_batch',
-              path: '/categories/list?searchCriteria[pageSize]=20&searchCriteria[filter_groups][0][filters][0][field]=entity_id&searchCriteria[filter_groups][0][filters][0][value]={args.categoryIds}&searchCriteria[filter_groups][0][filters][0][condition_type]=in',
+              path: '/{args.storeCode}/V1/categories/list?searchCriteria[pageSize]={args.pageSize}&searchCriteria[currentPage]={args.currentPage}&searchCriteria[filter_groups][0][filters][0][field]=entity_id&searchCriteria[filter_groups][0][filters][0][value]={args.categoryIds}&searchCriteria[filter_groups][0][filters][0][condition_type]=in',
               method: 'GET',
               argTypeMap: {
                 categoryIds: {
                   type: 'string',
                 },
+                pageSize: {
+                  type: 'integer',
+                },
+                currentPage: {
+                  type: 'integer',
+                },
+                storeCode: {
+                  type: 'string',
+                },
               },
               responseSchema: './schema/category-batch-resp.json',
             },
@@ -78,7 +95,7 @@ module.exports = {
       name: 'Inventory',
       handler: {
         JsonSchema: {
-          baseUrl: `${config.commerce.baseUrl}/rest/all/V1`,
+          baseUrl: `${config.commerce.baseUrl}/rest`,
           operationHeaders: {
             'Content-Type': 'application/json',
             Authorization: 'Bearer {context.headers.x-commerce-admin-token}',
@@ -87,12 +104,15 @@ module.exports = {
             {
               type: 'Query',
               field: 'inventory_batch',
-              path: '/inventory/source-items?searchCriteria[pageSize]=50&searchCriteria[filter_groups][0][filters][0][field]=sku&searchCriteria[filter_groups][0][filters][0][value]={args.skus}&searchCriteria[filter_groups][0][filters][0][condition_type]=in',
+              path: '/{args.storeCode}/V1/inventory/source-items?searchCriteria[pageSize]=50&searchCriteria[filter_groups][0][filters][0][field]=sku&searchCriteria[filter_groups][0][filters][0][value]={args.skus}&searchCriteria[filter_groups][0][filters][0][condition_type]=in',
               method: 'GET',
               argTypeMap: {
                 skus: {
                   type: 'string',
                 },
+                storeCode: {
+                  type: 'string',
+                },
               },
               responseSchema: './schema/inventory-batch-resp.json',
             },
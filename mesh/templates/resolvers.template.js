@@ -10,6 +10,50 @@ const QUERIES = {
   inventoryBatch: {{{INVENTORY_BATCH_QUERY}}},
 };
 
+// Category hierarchy settings (config.categories, inlined during build)
+const PRIMARY_CATEGORY_RULE = {{{PRIMARY_CATEGORY_RULE}}};
+const CATEGORY_PATH_SEPARATOR = {{{CATEGORY_PATH_SEPARATOR}}};
+const CATEGORY_BATCH_SIZE = {{{CATEGORY_BATCH_SIZE}}}; // config.commerce.batching.categories
+const BREADCRUMB_MIN_LEVEL = 2; // Skip the tree root and the store root category
+
+// Maximum source calls in flight (config.mesh.concurrency, inlined during build)
+const CATEGORY_CONCURRENCY = {{{MESH_CATEGORY_CONCURRENCY}}};
+const INVENTORY_CONCURRENCY = {{{MESH_INVENTORY_CONCURRENCY}}};
+
+/**
+ * Create a scheduler that runs at most `concurrency` tasks at a time
+ * Mirrors lib/commerce/scheduler.js (resolvers cannot require() it)
+ */
+function createScheduler(concurrency) {
+  const limit = Math.max(1, Math.floor(Number(concurrency)) || 1);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    run(task, resolve, reject);
+  };
+
+  const run = async (task, resolve, reject) => {
+    try {
+      resolve(await task());
+    } catch (error) {
+      reject(error);
+    } finally {
+      active--;
+      next();
+    }
+  };
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
+
 /**
  * Extract category IDs from Commerce product extension_attributes
  */
@@ -28,13 +72,64 @@ function getCategoryIds(product) {
   return categoryIds;
 }
 
+/**
+ * Get category link positions keyed by category ID
+ */
+function getCategoryPositions(product) {
+  const positions = new Map();
+  (product.extension_attributes?.category_links || []).forEach((link) => {
+    positions.set(parseInt(link.category_id), link.position);
+  });
+  return positions;
+}
+
+/**
+ * Get ancestor IDs from a category path ('1/2/11/23'), excluding the roots and the category
+ */
+function getAncestorIds(category) {
+  if (!category.path) return [];
+  return String(category.path).split('/').map(Number).slice(BREADCRUMB_MIN_LEVEL, -1);
+}
+
+/**
+ * Build a breadcrumb such as 'Phones > Android > Flagship'
+ */
+function buildBreadcrumb(category, categoryMap) {
+  const names = getAncestorIds(category)
+    .map((id) => categoryMap.get(id)?.name)
+    .filter(Boolean);
+  return [...names, category.name].filter(Boolean).join(CATEGORY_PATH_SEPARATOR);
+}
+
+/**
+ * Choose the primary category (same rules as lib/commerce/categories.js)
+ */
+function selectPrimaryCategory(categories) {
+  if (categories.length === 0) return null;
+
+  const rule = PRIMARY_CATEGORY_RULE;
+  const byDepth = (a, b) => (b.level || 0) - (a.level || 0);
+  const byPosition = (a, b) => (a.position ?? Infinity) - (b.position ?? Infinity);
+  const sorted = [...categories].sort((a, b) =>
+    rule === 'position' ? byPosition(a, b) || byDepth(a, b) : byDepth(a, b) || byPosition(a, b)
+  );
+
+  if (rule.startsWith('root:')) {
+    const rootId = rule.slice('root:'.length);
+    return sorted.find((category) => String(category.path || '').split('/').includes(rootId)) || sorted[0];
+  }
+
+  return sorted[0];
+}
+
 /**
  * Fetch products from Commerce API
+ * searchCriteria is an optional '&searchCriteria[filter_groups]...' suffix built by the caller
  */
-async function fetchProducts(context, pageSize, currentPage) {
+async function fetchProducts(context, storeCode, pageSize, currentPage, searchCriteria) {
   const response = await context.Products.Query.products_list({
     root: {},
-    args: { pageSize, currentPage },
+    args: { storeCode, pageSize, currentPage, searchCriteria: searchCriteria || '' },
     context,
     selectionSet: QUERIES.productsList,
   });
@@ -50,73 +145,131 @@ async function fetchProducts(context, pageSize, currentPage) {
 }
 
 /**
- * Fetch categories using batch endpoint
+ * Fetch every page of one category batch
+ * Pages are followed until total_count is reached; a failed page ends the batch early
  */
-async function fetchCategories(context, categoryIds) {
-  if (categoryIds.length === 0) {
-    return { categoryMap: new Map(), apiCalls: 0 };
+async function fetchCategoryBatch(context, storeCode, ids) {
+  let items = [];
+  let apiCalls = 0;
+  let currentPage = 1;
+  let hasMore = true;
+
+  while (hasMore) {
+    const response = await context.Categories.Query.categories_batch({
+      root: {},
+      args: { storeCode, categoryIds: ids.join(','), pageSize: ids.length, currentPage },
+      context,
+      selectionSet: QUERIES.categoriesBatch,
+    });
+    apiCalls++;
+
+    const pageItems = response?.items || [];
+    items = items.concat(pageItems);
+    hasMore = pageItems.length > 0 && items.length < (response?.total_count || 0);
+    currentPage++;
   }
 
-  const response = await context.Categories.Query.categories_batch({
-    root: {},
-    args: { categoryIds: categoryIds.join(',') },
-    context,
-    selectionSet: QUERIES.categoriesBatch,
-  });
+  return { items, apiCalls };
+}
 
+/**
+ * Fetch categories using batch endpoint
+ * Ancestors are fetched in a second round so every category resolves to its full breadcrumb
+ * Linked categories that could not be fetched are counted as degraded
+ */
+async function fetchCategories(context, storeCode, categoryIds) {
   const categoryMap = new Map();
-  if (response?.items) {
-    response.items.forEach((category) => {
-      categoryMap.set(category.id, category);
+  const schedule = createScheduler(CATEGORY_CONCURRENCY);
+  let apiCalls = 0;
+
+  const fetchBatches = async (ids) => {
+    const batchPromises = [];
+    for (let i = 0; i < ids.length; i += CATEGORY_BATCH_SIZE) {
+      const batchIds = ids.slice(i, i + CATEGORY_BATCH_SIZE);
+      batchPromises.push(schedule(() => fetchCategoryBatch(context, storeCode, batchIds)));
+    }
+
+    const batches = await Promise.all(batchPromises);
+    batches.forEach((batch) => {
+      apiCalls += batch.apiCalls;
+      batch.items.forEach((category) => {
+        categoryMap.set(category.id, category);
+      });
     });
-  }
+  };
+
+  await fetchBatches(categoryIds);
+
+  const ancestorIds = new Set();
+  categoryMap.forEach((category) => {
+    getAncestorIds(category).forEach((id) => {
+      if (!categoryMap.has(id)) ancestorIds.add(id);
+    });
+  });
+  await fetchBatches(Array.from(ancestorIds));
 
-  return { categoryMap, apiCalls: 1 };
+  const degraded = categoryIds.filter((id) => !categoryMap.has(id)).length;
+  return { categoryMap, apiCalls, degraded };
 }
 
 /**
  * Fetch inventory using parallel batch processing for better performance
+ * SKUs of batches that returned no item list (failed source call) are counted as degraded
  */
-async function fetchInventory(context, skus) {
+async function fetchInventory(context, storeCode, skus) {
   if (skus.length === 0) {
-    return { inventoryMap: new Map(), apiCalls: 0 };
+    return { inventoryMap: new Map(), apiCalls: 0, degraded: 0 };
   }
 
   const batchSize = 50; // Match Commerce API pageSize limit
   const inventoryMap = new Map();
+  const schedule = createScheduler(INVENTORY_CONCURRENCY);
   
   // Create promises for all batches
   const batchPromises = [];
   for (let i = 0; i < skus.length; i += batchSize) {
     const batchSkus = skus.slice(i, i + batchSize);
     
-    const promise = context.Inventory.Query.inventory_batch({
-      root: {},
-      args: { skus: batchSkus.join(',') },
-      context,
-      selectionSet: QUERIES.inventoryBatch,
-    });
+    const promise = schedule(() =>
+      context.Inventory.Query.inventory_batch({
+        root: {},
+        args: { storeCode, skus: batchSkus.join(',') },
+        context,
+        selectionSet: QUERIES.inventoryBatch,
+      })
+    );
     
     batchPromises.push(promise);
   }
   
-  // Fetch all batches in parallel
+  // Fetch batches with bounded parallelism
   const batchResults = await Promise.all(batchPromises);
   const apiCalls = batchPromises.length;
+  let degraded = 0;
   
-  // Process all batch results
-  batchResults.forEach(response => {
+  // Process all batch results - MSI returns one item per source, so quantities are summed
+  batchResults.forEach((response, index) => {
+    if (!Array.isArray(response?.items)) {
+      degraded += Math.min(batchSize, skus.length - index * batchSize);
+    }
     if (response?.items) {
       response.items.forEach((item) => {
-        inventoryMap.set(item.sku, {
-          qty: parseFloat(item.quantity) || 0,
-          is_in_stock: item.status === 1,
+        const inventory = inventoryMap.get(item.sku) || { qty: 0, is_in_stock: false, sources: [] };
+        const quantity = parseFloat(item.quantity) || 0;
+
+        inventory.qty += quantity;
+        inventory.is_in_stock = inventory.is_in_stock || item.status === 1;
+        inventory.sources.push({
+          source_code: item.source_code,
+          quantity,
+          in_stock: item.status === 1,
         });
+        inventoryMap.set(item.sku, inventory);
       });
     }
   });
 
-  return { inventoryMap, apiCalls };
+  return { inventoryMap, apiCalls, degraded };
 }
 
 /**
@@ -125,15 +278,19 @@ async function fetchInventory(context, skus) {
 function enrichProducts(products, categoryMap, inventoryMap) {
   return products.map((product) => {
     // Get inventory data
-    const inventory = inventoryMap.get(product.sku) || { qty: 0, is_in_stock: false };
+    const inventory = inventoryMap.get(product.sku) || { qty: 0, is_in_stock: false, sources: [] };
 
-    // Get category data
+    // Get category data with breadcrumbs
     const categories = [];
-    const categoryIds = getCategoryIds(product);
-    categoryIds.forEach((id) => {
+    const positions = getCategoryPositions(product);
+    getCategoryIds(product).forEach((id) => {
       const category = categoryMap.get(id);
       if (category) {
-        categories.push(category);
+        categories.push({
+          ...category,
+          position: positions.get(id),
+          breadcrumb: buildBreadcrumb(category, categoryMap),
+        });
       }
     });
 
@@ -160,7 +317,12 @@ function enrichProducts(products, categoryMap, inventoryMap) {
       inventory: {
         quantity: Number(inventory.qty) || 0,
       },
+      // Per-source quantities (salable quantity per stock is only available from REST exports)
+      inventory_breakdown: {
+        sources: inventory.sources,
+      },
       categories,
+      primary_category: selectPrimaryCategory(categories),
       media_gallery_entries: enrichedMedia,
     };
   });
@@ -181,8 +343,11 @@ module.exports = {
             const pageSize = args.pageSize || {{{MESH_PAGE_SIZE}}};
             const currentPage = args.currentPage || 1;
 
+            // Store view scope for every Commerce call (url_key, names and prices are store specific)
+            const storeCode = args.storeCode || 'all';
+
             // Fetch only the requested page of products
-            const productsResult = await fetchProducts(context, pageSize, currentPage);
+            const productsResult = await fetchProducts(context, storeCode, pageSize, currentPage, args.searchCriteria);
             const allProducts = productsResult.items;
             const totalCount = productsResult.total_count;
 
@@ -197,8 +362,8 @@ module.exports = {
 
             // Fetch categories and inventory in parallel
             const [categoryResult, inventoryResult] = await Promise.all([
-              fetchCategories(context, Array.from(categoryIds)),
-              fetchInventory(context, skus),
+              fetchCategories(context, storeCode, Array.from(categoryIds)),
+              fetchInventory(context, storeCode, skus),
             ]);
 
             // Enrich products
@@ -227,6 +392,9 @@ module.exports = {
                 productsApiCalls: productsOperations, // Keeping field name for compatibility
                 categoriesApiCalls: categoriesOperations,
                 inventoryApiCalls: inventoryOperations,
+                // Products filled with fallbacks because a source call failed
+                degradedInventory: inventoryResult.degraded,
+                degradedCategories: categoryResult.degraded,
                 // Note: Actual API calls and caching are handled internally by Mesh
               },
             };
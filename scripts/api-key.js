@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+
+/**
+ * CLI tool for minting caller API keys
+ * Usage: npm run api-key -- --id=<keyId> --role=viewer|exporter|admin
+ * Revoke a key by adding its ID to ACCESS_REVOKED_KEYS
+ */
+
+const chalk = require('chalk');
+const dotenv = require('dotenv');
+
+// Load environment variables from .env file
+dotenv.config();
+
+const { createApiKey } = require('../lib/access');
+const { parseArgs } = require('./utils/shared');
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    const apiKey = createApiKey(args.id, args.role, process.env.ACCESS_API_KEY_SECRET);
+    console.log(chalk.green(`API key '${args.id}' (${args.role}):`));
+    console.log(apiKey);
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    console.log('Usage: npm run api-key -- --id=<keyId> --role=viewer|exporter|admin');
+    process.exit(1);
+  }
+}
+
+main();
@@ -25,6 +25,7 @@ async function generateFrontendConfig() {
   // Read the main config with environment variables
   const createConfig = require('../config.js');
   const config = createConfig(process.env);
+  const { listFormats } = require('../lib/formats');
 
   // Generate frontend config files
   const configDir = path.join(__dirname, '../web-src/src/config/generated');
@@ -62,6 +63,10 @@ async function generateFrontendConfig() {
     mesh: {
       endpoint: config.mesh.endpoint,
     },
+    export: {
+      defaultFormat: config.products.defaultFormat,
+      formats: listFormats().map(({ id, label }) => ({ id, label })),
+    },
     performance: {
       timeout: 30000, // 30 seconds default
     },
@@ -76,6 +81,11 @@ async function generateFrontendConfig() {
         'browse-files': `${actionPath}/browse-files`,
         'delete-file': `${actionPath}/delete-file`,
         'download-file': `${actionPath}/download-file`,
+        'export-schedules': `${actionPath}/export-schedules`,
+        'job-status': `${actionPath}/job-status`,
+        'list-exports': `${actionPath}/list-exports`,
+        'upload-file': `${actionPath}/upload-file`,
+        'import-products': `${actionPath}/import-products`,
       },
     },
     environment: environment,
@@ -138,6 +148,26 @@ async function generateMeshResolver() {
     config.products.maxCategoriesDisplay
   );
   template = template.replace(/\{\{\{MESH_PAGE_SIZE\}\}\}/g, config.mesh.pagination.pageSize);
+  template = template.replace(
+    /\{\{\{PRIMARY_CATEGORY_RULE\}\}\}/g,
+    JSON.stringify(config.categories.primaryRule)
+  );
+  template = template.replace(
+    /\{\{\{CATEGORY_PATH_SEPARATOR\}\}\}/g,
+    JSON.stringify(config.categories.pathSeparator)
+  );
+  template = template.replace(
+    /\{\{\{CATEGORY_BATCH_SIZE\}\}\}/g,
+    config.commerce.batching.categories
+  );
+  template = template.replace(
+    /\{\{\{MESH_CATEGORY_CONCURRENCY\}\}\}/g,
+    config.mesh.concurrency.categories
+  );
+  template = template.replace(
+    /\{\{\{MESH_INVENTORY_CONCURRENCY\}\}\}/g,
+    config.mesh.concurrency.inventory
+  );
 
   // Replace GraphQL query placeholders with inlined queries
   template = template.replace(
@@ -11,7 +11,7 @@ const dotenv = require('dotenv');
 // Load environment variables from .env file
 dotenv.config();
 
-const { buildActionUrl } = require('./utils/shared');
+const { buildActionUrl, buildActionHeaders } = require('./utils/shared');
 
 async function controlCache(action) {
   // Build URL using shared utility with Adobe I/O Runtime environment variables
@@ -22,7 +22,7 @@ async function controlCache(action) {
 
     const response = await fetch(url, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: buildActionHeaders({ 'Content-Type': 'application/json' }),
       body: JSON.stringify({ action }),
     });
 
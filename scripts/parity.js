@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * CLI tool for REST vs API Mesh parity checks
+ * Usage: npm run parity -- [--pages=1-3] [--page-size=20] [--store=CODE] [--filters=JSON] [--raw]
+ * Exits with status 1 when the pipelines differ, so the check can gate deployments
+ */
+
+const chalk = require('chalk');
+const dotenv = require('dotenv');
+
+// Load environment variables from .env file
+dotenv.config();
+
+const { buildActionUrl, buildActionHeaders, parseArgs } = require('./utils/shared');
+
+// Map CLI options to action parameters
+function buildCheckParams(args) {
+  const params = {};
+  if (args.pages) params.pages = args.pages;
+  if (args['page-size']) params.pageSize = args['page-size'];
+  if (args.store) params.storeCode = args.store;
+  if (args.filters) params.filters = args.filters;
+  return params;
+}
+
+// Print the differences of each differing product
+function displayDifferences(report) {
+  report.products.forEach(({ sku, differences }) => {
+    console.log(chalk.yellow(`\n${sku}`));
+    differences.forEach(({ field, rest, mesh }) => {
+      console.log(`   ${field}`);
+      console.log(chalk.gray(`     REST: ${JSON.stringify(rest)}`));
+      console.log(chalk.gray(`     Mesh: ${JSON.stringify(mesh)}`));
+    });
+  });
+  if (report.truncated) {
+    console.log(chalk.gray(`\n...and ${report.differing - report.products.length} more products`));
+  }
+}
+
+// Print the parity report summary
+function displayReport(report) {
+  const { start, end } = report.pages;
+  console.log(`Pages ${start}-${end} (${report.pageSize} per page)`);
+  console.log(`REST: ${report.rest.productCount} products in ${report.rest.durationMs}ms`);
+  console.log(`Mesh: ${report.mesh.productCount} products in ${report.mesh.durationMs}ms`);
+  console.log(`Compared: ${report.compared}, matching: ${report.matching}`);
+
+  if (report.onlyInRest.length > 0) {
+    console.log(chalk.yellow(`Only in REST: ${report.onlyInRest.join(', ')}`));
+  }
+  if (report.onlyInMesh.length > 0) {
+    console.log(chalk.yellow(`Only in mesh: ${report.onlyInMesh.join(', ')}`));
+  }
+  Object.entries(report.byField).forEach(([field, count]) => {
+    console.log(chalk.yellow(`   ${field}: ${count} products`));
+  });
+  displayDifferences(report);
+}
+
+async function runParityCheck(args) {
+  const url = buildActionUrl('parity-check');
+
+  try {
+    console.log(chalk.blue('Running REST and API Mesh pipelines...'));
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: buildActionHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(buildCheckParams(args)),
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      console.log(chalk.red('Failed:', result.error || result.message));
+      process.exit(1);
+    }
+
+    if (args.raw) {
+      console.log(JSON.stringify(result.parity, null, 2));
+    } else {
+      displayReport(result.parity);
+      console.log();
+      console.log(result.parity.passed ? chalk.green(result.message) : chalk.red(result.message));
+    }
+    process.exit(result.parity.passed ? 0 : 1);
+  } catch (error) {
+    console.error(chalk.red('Error:', error.message));
+    console.error(chalk.yellow('Make sure the application is deployed to staging'));
+    process.exit(1);
+  }
+}
+
+runParityCheck(parseArgs(process.argv.slice(2)));
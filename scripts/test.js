@@ -12,7 +12,13 @@ const path = require('path');
 const chalk = require('chalk');
 const dotenv = require('dotenv');
 
-const { format, parseArgs, withSpinner, buildActionUrl } = require('./utils/shared');
+const {
+  format,
+  parseArgs,
+  withSpinner,
+  buildActionUrl,
+  buildActionHeaders,
+} = require('./utils/shared');
 
 // Load environment variables from .env file
 dotenv.config({ path: path.join(__dirname, '..', '.env') });
@@ -47,9 +53,9 @@ async function makeRequest(url, method = 'GET') {
       port: urlObj.port,
       path: urlObj.pathname + urlObj.search,
       method: method,
-      headers: {
+      headers: buildActionHeaders({
         'Content-Type': 'application/json',
-      },
+      }),
     };
 
     const req = client.request(options, (res) => {
@@ -133,7 +139,45 @@ function displayPerformanceInfo(data) {
   if (data.method) console.log(`   Method: ${data.method}`);
   if (data.productCount !== undefined) console.log(`   Products: ${data.productCount}`);
   if (data.apiCalls) console.log(`   API Calls: ${data.apiCalls}`);
+  if (data.format) console.log(`   Format: ${data.format}`);
+  if (data.streaming) console.log('   Mode: streaming');
+  if (data.delta) {
+    console.log(`   Delta: ${data.delta.changed} changed, ${data.delta.deleted} deleted`);
+  }
   if (data.fileName) console.log(`   File: ${data.fileName}`);
+  if (data.stores) {
+    data.stores.forEach((store) => {
+      console.log(
+        `   Store ${store.storeCode}: ${store.productCount} products → ${store.fileName}`
+      );
+    });
+  } else if (data.storeCode) {
+    console.log(`   Store: ${data.storeCode}`);
+  }
+}
+
+// Display the data-quality summary of an export
+function displayQualityInfo(quality) {
+  if (!quality?.issues) return;
+
+  const rules = Object.entries(quality.byRule).map(([rule, count]) => `${rule} ${count}`);
+  console.log(`   Quality: ${quality.issues} issues (${rules.join(', ')})`);
+  if (quality.skipped) console.log(`   Skipped: ${quality.skipped} products`);
+  if (quality.reportFile) console.log(`   Report: ${quality.reportFile}`);
+}
+
+// Map CLI options to action parameters
+function buildActionParams(args) {
+  const params = {};
+  if (args['use-case']) params.useCase = args['use-case'];
+  if (args.format) params.format = args.format;
+  if (args.streaming) params.streaming = String(args.streaming);
+  if (args.delta) params.delta = String(args.delta);
+  if (args.filters) params.filters = args.filters;
+  if (args.store) params.storeCode = args.store;
+  if (args.variants) params.variants = args.variants;
+  if (args.validation) params.validation = args.validation;
+  return params;
 }
 
 // Main display function - simplified and focused
@@ -159,6 +203,7 @@ function displayTestResults(response) {
     }
 
     displayPerformanceInfo(response.parsed);
+    displayQualityInfo(response.parsed.quality);
   } else if (!isSuccess && response.parsed?.error) {
     console.log(`Error: ${response.parsed.error}`);
   }
@@ -274,11 +319,19 @@ Options:
   --type=TYPE         Test type (action, performance, suite)
   --scenario=NAME     Performance scenario (quick, load, stress)
   --use-case=CASE     Use case parameter
+  --format=FORMAT     Export format (recs, google-merchant, catalog)
+  --streaming         Stream pages to a storage upload (large catalogs)
+  --delta             Export only products changed since the last delta export
+  --filters=JSON      Product filters, e.g. '{"status":"enabled","type":"simple"}'
+  --store=CODES       Store view code(s); comma-separated for one file per store (e.g. default,de)
+  --variants=MODE     Configurable rows: parents, children or both (REST only)
+  --validation=MODE   Data-quality checks: off, report, skip (drop invalid rows) or fail
   --raw               Output raw JSON only
   --environment=ENV   Environment (production)
 
 Available actions:
-  get-products, get-products-mesh, browse-files, delete-file, download-file
+  get-products, get-products-mesh, browse-files, delete-file, download-file, upload-file,
+  import-products
     `);
     return;
   }
@@ -315,8 +368,7 @@ Available actions:
       result = { success: successful === results.length };
     } else {
       // Regular action test
-      const params = {};
-      if (args['use-case']) params.useCase = args['use-case'];
+      const params = buildActionParams(args);
 
       result = await testAction(actionName, params, isProd);
     }
@@ -162,6 +162,16 @@ function buildActionUrl(actionName, params = {}, isProd = false) {
   return url;
 }
 
+/**
+ * Build request headers, adding the caller API key (ACCESS_API_KEY) when one is set
+ * @param {Object} headers - Base headers
+ * @returns {Object} Headers for action requests
+ */
+function buildActionHeaders(headers = {}) {
+  const apiKey = process.env.ACCESS_API_KEY;
+  return apiKey ? { ...headers, 'x-api-key': apiKey } : headers;
+}
+
 module.exports = {
   format,
   parseArgs,
@@ -170,4 +180,5 @@ module.exports = {
   isProdEnvironment,
   buildRuntimeUrl,
   buildActionUrl,
+  buildActionHeaders,
 };
@@ -3,9 +3,12 @@
  * Extracted from main.js for better organization
  */
 
+import { getConfig } from './core/config/index.js';
 import { showModal, hideModal, initializeModal } from './ui/components/modal/index.js';
 import { showNotification } from './ui/components/notifications/index.js';
+import { initializeExportHistory } from './ui/export-history/index.js';
 import { initializeFileBrowser } from './ui/file-browser/index.js';
+import { initializeImportReport } from './ui/import-report/index.js';
 import { getActionUrl } from './utils.js';
 
 // ============================================================================
@@ -35,6 +38,25 @@ export function initializeExportButtons() {
   }
 }
 
+/**
+ * Populate the export and upload format pickers from generated configuration
+ * Keeps the static RECS option when no format list was generated
+ */
+function initializeFormatPicker() {
+  const exportConfig = getConfig().export;
+  if (!exportConfig?.formats?.length) return;
+
+  ['export-format', 'upload-format'].forEach((id) => {
+    const select = document.getElementById(id);
+    if (!select) return;
+
+    select.innerHTML = exportConfig.formats
+      .map((format) => `<option value="${format.id}">${format.label}</option>`)
+      .join('');
+    select.value = exportConfig.defaultFormat || exportConfig.formats[0].id;
+  });
+}
+
 /**
  * Create delete confirmation modal using template
  * Now uses declarative HTMX attributes in HTML, just updates URLs and handlers
@@ -89,9 +111,12 @@ export function initializeApp() {
     document.body.classList.remove('is-loading', 'htmx-request');
 
     // Initialize all components
+    initializeFormatPicker();
     initializeExportButtons();
     initializeModal();
     initializeFileBrowser();
+    initializeExportHistory();
+    initializeImportReport();
   } catch (error) {
     console.error('Application initialization failed:', error);
     showNotification('Application initialization failed', 'error');
@@ -99,3 +99,46 @@ export function getRuntimeUrl() {
   const runtime = getRuntimeConfig();
   return runtime.url;
 }
+
+// Browser storage key for the caller API key sent with action requests
+const API_KEY_STORAGE_KEY = 'kukla.apiKey';
+
+/**
+ * Get the caller API key
+ * @returns {string|null} API key stored for this browser
+ */
+export function getApiKey() {
+  return window.localStorage.getItem(API_KEY_STORAGE_KEY);
+}
+
+/**
+ * Store the caller API key (an empty value clears it)
+ * @param {string|null} apiKey - API key from `npm run api-key`
+ */
+export function setApiKey(apiKey) {
+  if (apiKey) {
+    window.localStorage.setItem(API_KEY_STORAGE_KEY, apiKey.trim());
+  } else {
+    window.localStorage.removeItem(API_KEY_STORAGE_KEY);
+  }
+}
+
+/**
+ * Ask for an API key after the actions rejected a request as unauthenticated
+ */
+export function promptForApiKey() {
+  const apiKey = window.prompt('This request needs an API key. Enter your API key:');
+  if (apiKey !== null) {
+    setApiKey(apiKey);
+  }
+}
+
+/**
+ * Build the Authorization header for action requests
+ * Sent as Authorization because web action CORS only allows that header from the browser
+ * @returns {Object} Headers to merge into the request
+ */
+export function getAuthHeaders() {
+  const apiKey = getApiKey();
+  return apiKey ? { Authorization: `ApiKey ${apiKey}` } : {};
+}
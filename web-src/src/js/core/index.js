@@ -24,6 +24,9 @@ export {
   getActions,
   getTimeout,
   getRuntimeUrl,
+  getApiKey,
+  setApiKey,
+  getAuthHeaders,
 } from './config/index.js';
 
 // Error handling
@@ -4,7 +4,9 @@
  */
 
 import { config } from '../config/generated/config.js';
+import { getAuthHeaders, promptForApiKey } from './core/config/index.js';
 import { handleError } from './core/errors/index.js';
+import { trackExportJob } from './ui/components/export-jobs/index.js';
 import {
   createSuccessNotificationContent,
   toggleEndpoints,
@@ -12,6 +14,7 @@ import {
 import { handleModalContentSwap } from './ui/components/modal/index.js';
 import { showNotification } from './ui/components/notifications/index.js';
 import { initializeDownloadHandlers } from './ui/downloads/index.js';
+import { refreshExportHistory } from './ui/export-history/index.js';
 import { getActionUrl } from './utils.js';
 
 // ============================================================================
@@ -50,6 +53,9 @@ export function initializeHtmx() {
  * Initialize all HTMX event handlers
  */
 function initializeEventHandlers() {
+  // Caller credentials for the guarded actions
+  window.htmx.on('htmx:configRequest', handleConfigRequest);
+
   // Export handling with rich notifications
   window.htmx.on('htmx:beforeSwap', handleExportResponse);
 
@@ -91,34 +97,19 @@ function handleExportResponse(event) {
 
   try {
     const response = JSON.parse(event.detail.xhr.responseText);
+    // Clear the target (no visible UI update)
+    event.detail.serverResponse = '';
 
-    if (response.success) {
-      // Clear the target (no visible UI update)
-      event.detail.serverResponse = '';
-
-      // Auto-refresh file list FIRST, then show notification
-      const notificationContent = createSuccessNotificationContent(response);
-      refreshFileList(() => {
-        // Show notification after file list updates
-        setTimeout(() => {
-          showNotification(notificationContent, {
-            type: 'success',
-            duration: 8000, // Longer duration for rich content
-            cssClass: 'notification-rich', // Add class to hide default elements
-          });
-        }, 200); // Small delay for smooth transition
+    if (response.success && response.jobId) {
+      // Async export: follow the job until its CSV is ready
+      trackExportJob(response.jobId, {
+        onComplete: showExportSuccess,
+        onError: (message) => showExportFailure(methodName, message),
       });
+    } else if (response.success) {
+      showExportSuccess(response);
     } else {
-      // Clear the target for errors too
-      event.detail.serverResponse = '';
-      // Show error notification
-      showNotification(
-        `${methodName} Export Failed: ${response.message || response.error || 'Export failed'}`,
-        {
-          type: 'error',
-          duration: 8000,
-        }
-      );
+      showExportFailure(methodName, response.message || response.error);
     }
   } catch (error) {
     console.error('Export response parse error:', error.message);
@@ -128,10 +119,54 @@ function handleExportResponse(event) {
   }
 }
 
+/**
+ * Refresh the file list, then show the rich export notification
+ * @param {Object} result - Export response data
+ */
+function showExportSuccess(result) {
+  // Auto-refresh file list and history FIRST, then show notification
+  const notificationContent = createSuccessNotificationContent(result);
+  refreshExportHistory();
+  refreshFileList(() => {
+    // Show notification after file list updates
+    setTimeout(() => {
+      showNotification(notificationContent, {
+        type: 'success',
+        duration: 8000, // Longer duration for rich content
+        cssClass: 'notification-rich', // Add class to hide default elements
+      });
+    }, 200); // Small delay for smooth transition
+  });
+}
+
+/**
+ * Show an export error notification
+ * @param {string} methodName - Export method display name
+ * @param {string} [message] - Error message
+ */
+function showExportFailure(methodName, message) {
+  showNotification(`${methodName} Export Failed: ${message || 'Export failed'}`, {
+    type: 'error',
+    duration: 8000,
+  });
+}
+
+/**
+ * Add the caller API key to every request
+ */
+function handleConfigRequest(event) {
+  Object.assign(event.detail.headers, getAuthHeaders());
+}
+
 /**
  * Handle HTMX response errors
  */
 function handleResponseError(event) {
+  // Ask for an API key when the actions reject the request as unauthenticated
+  if (event.detail.xhr.status === 401) {
+    promptForApiKey();
+  }
+
   try {
     const error = JSON.parse(event.detail.xhr.response);
     showNotification(error.error?.message || 'Request failed', 'error');
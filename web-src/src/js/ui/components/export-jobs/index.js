@@ -0,0 +1,121 @@
+/**
+ * Export Jobs UI Component
+ * Polls asynchronous export jobs and shows their progress in the export loader
+ */
+
+import { getAuthHeaders } from '../../../core/config/index.js';
+import { getActionUrl } from '../../../core/url/index.js';
+import { formatFileSize } from '../../../utils.js';
+
+const POLL_INTERVAL_MS = 2000;
+
+// Loader text of each job phase
+const PHASE_LABELS = {
+  queued: 'Export queued...',
+  preparing: 'Preparing export...',
+  exporting: 'Exporting products...',
+  uploading: 'Uploading CSV...',
+  completed: 'Export complete',
+};
+
+/**
+ * Build the loader text of a job
+ * @param {Object} job - Export job from job-status
+ * @returns {string} Progress text
+ */
+function describeProgress(job) {
+  const label = PHASE_LABELS[job.phase] || 'Processing export...';
+  const {
+    pagesFetched = 0,
+    productsEnriched = 0,
+    totalProducts,
+    bytesUploaded = 0,
+  } = job.progress || {};
+
+  const details = [];
+  if (pagesFetched > 0) {
+    const products = totalProducts ? `${productsEnriched}/${totalProducts}` : productsEnriched;
+    details.push(`${products} products`, `${pagesFetched} pages`);
+  }
+  if (bytesUploaded > 0) {
+    details.push(`${formatFileSize(bytesUploaded)} uploaded`);
+  }
+  return details.length > 0 ? `${label} ${details.join(' · ')}` : label;
+}
+
+/**
+ * Show a job's progress in the export loader
+ * @param {HTMLElement} loader - Export loader element
+ * @param {Object} job - Export job from job-status
+ */
+function renderProgress(loader, job) {
+  const text = loader.querySelector('.process-loader-text');
+  const bar = loader.querySelector('.process-loader-progress-bar');
+
+  if (text) text.textContent = describeProgress(job);
+  if (bar) {
+    // Without a product total yet the bar stays indeterminate
+    const known = Number.isFinite(job.percentComplete);
+    bar.classList.toggle('is-indeterminate', !known);
+    bar.style.width = known ? `${job.percentComplete}%` : '';
+  }
+}
+
+/**
+ * Fetch the current state of a job
+ * @param {string} jobId - Export job ID
+ * @returns {Promise<Object>} Export job
+ */
+async function fetchJob(jobId) {
+  const response = await fetch(getActionUrl('job-status', { jobId }), {
+    headers: getAuthHeaders(),
+  });
+  const body = await response.json();
+  if (!response.ok || !body.job) {
+    throw new Error(body.error || `Job status request failed (${response.status})`);
+  }
+  return body.job;
+}
+
+/**
+ * Poll an export job until it succeeds or fails, showing its progress meanwhile
+ * @param {string} jobId - Export job ID
+ * @param {Object} handlers - Outcome handlers
+ * @param {Function} handlers.onComplete - Called with the export result once the job succeeds
+ * @param {Function} handlers.onError - Called with an error message if the job fails
+ */
+function trackExportJob(jobId, { onComplete, onError }) {
+  const loader = document.getElementById('export-loader');
+  if (loader) {
+    renderProgress(loader, { phase: 'queued' });
+    loader.style.display = 'flex';
+  }
+
+  const finish = (callback, value) => {
+    if (loader) loader.style.display = 'none';
+    callback(value);
+  };
+
+  const poll = async () => {
+    let job;
+    try {
+      job = await fetchJob(jobId);
+    } catch (error) {
+      finish(onError, error.message);
+      return;
+    }
+
+    if (loader) renderProgress(loader, job);
+    if (job.status === 'succeeded') {
+      finish(onComplete, job.result || {});
+    } else if (job.status === 'failed') {
+      finish(onError, job.error || 'Export failed');
+    } else {
+      setTimeout(poll, POLL_INTERVAL_MS);
+    }
+  };
+
+  setTimeout(poll, POLL_INTERVAL_MS);
+}
+
+export { trackExportJob };
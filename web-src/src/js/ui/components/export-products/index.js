@@ -201,6 +201,31 @@ function formatExecutionTime(ms) {
   }
 }
 
+/**
+ * Create the data-quality summary of an export
+ * @param {Object} quality - Quality summary from the export response
+ * @returns {string} HTML for the summary (empty when validation is off or found nothing)
+ */
+function createQualitySummary(quality) {
+  if (!quality || !quality.issues) return '';
+
+  const rules = Object.entries(quality.byRule)
+    .map(([rule, count]) => `${rule}: ${count}`)
+    .join(', ');
+  const skipped = quality.skipped ? ` · ${quality.skipped} products skipped` : '';
+  const report = quality.reportUrl
+    ? `<a class="notification-quality-link" href="${quality.reportUrl}" download>Download data-quality report</a>`
+    : '';
+
+  return `
+    <div class="notification-quality">
+      <span class="notification-quality-title">⚠️ ${quality.issues} data-quality issues in ${quality.invalid} products${skipped}</span>
+      <span class="notification-quality-rules">${rules}</span>
+      ${report}
+    </div>
+  `;
+}
+
 /**
  * Create enhanced success notification with comprehensive metrics
  * @param {Object} response - Response data
@@ -249,6 +274,7 @@ function createSuccessNotificationContent(response) {
       </div>
       
       ${metricsHTML}
+      ${createQualitySummary(response.quality)}
     </div>
   `;
 }
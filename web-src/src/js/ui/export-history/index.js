@@ -0,0 +1,35 @@
+/**
+ * Export History Component
+ * @module ui/export-history
+ */
+
+import { getActionUrl } from '../../core/url/index.js';
+
+const HISTORY_SELECTOR = '.history-content[data-component="export-history"]';
+
+/**
+ * Load the recent export runs into the history panel
+ * list-exports answers HTMX requests with the history rows as HTML
+ * @returns {Promise<void>} Resolves once the rows are swapped in
+ */
+export function refreshExportHistory() {
+  if (!document.querySelector(HISTORY_SELECTOR) || !window.htmx) {
+    return Promise.resolve();
+  }
+
+  return window.htmx
+    .ajax('GET', getActionUrl('list-exports'), {
+      target: HISTORY_SELECTOR,
+      swap: 'innerHTML',
+    })
+    .catch((error) => {
+      console.warn('Export history load failed:', error);
+    });
+}
+
+/**
+ * Initialize the export history panel
+ */
+export function initializeExportHistory() {
+  refreshExportHistory();
+}
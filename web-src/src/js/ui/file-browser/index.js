@@ -3,16 +3,19 @@
  * @module ui/file-browser
  */
 
+import { getAuthHeaders } from '../../core/config/index.js';
 import { getActionUrl } from '../../core/url/index.js';
 import { clearInitialPageSetup } from '../../htmx/events.js';
 import { showModal, hideModal } from '../components/modal/index.js';
 import { showNotification } from '../components/notifications/index.js';
+import { openImportReport } from '../import-report/index.js';
 
 // File browser configuration
 const FILE_BROWSER_CONFIG = {
   CONTAINER_CLASS: 'file-browser',
   FILE_LIST_CLASS: 'table-content',
   UPLOAD_FORM_ID: 'upload-form',
+  UPLOAD_FORMAT_ID: 'upload-format',
   DRAG_ACTIVE_CLASS: 'drag-active',
 };
 
@@ -103,42 +106,61 @@ function initializeUploadForm() {
 
 /**
  * Handle file upload
+ * upload-file validates the CSV against the selected format and returns the refreshed file list
  * @param {File} file - File to upload
  */
-function handleFileUpload(file) {
+async function handleFileUpload(file) {
   // Validate file type
   if (!file.name.endsWith('.csv')) {
     showNotification('Only CSV files are allowed', 'error');
     return;
   }
 
-  // Create form data
-  const formData = new FormData();
-  formData.append('file', file);
-
-  // Upload the file using fetch
-  fetch(getActionUrl('upload-file'), {
-    method: 'POST',
-    body: formData,
-  })
-    .then((response) => response.json())
-    .then((result) => {
-      handleFileOperationResult(result, 'upload');
-      if (result.success) {
-        refreshFileList();
-      }
-      return result;
-    })
-    .catch((error) => {
-      showNotification(`Upload failed: ${error.message}`, 'error');
+  const formatSelect = document.getElementById(FILE_BROWSER_CONFIG.UPLOAD_FORMAT_ID);
+
+  try {
+    const response = await fetch(getActionUrl('upload-file'), {
+      method: 'POST',
+      headers: { ...getAuthHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        fileName: file.name,
+        format: formatSelect?.value,
+        content: await file.text(),
+      }),
     });
+
+    if (!response.ok) {
+      const result = await response.json().catch(() => ({}));
+      handleFileOperationResult({ success: false, error: { message: result.error } }, 'upload');
+      return;
+    }
+
+    const fileList = document.querySelector(`.${FILE_BROWSER_CONFIG.FILE_LIST_CLASS}`);
+    if (fileList) {
+      fileList.innerHTML = await response.text();
+      window.htmx?.process(fileList);
+    }
+    handleFileOperationResult({ success: true }, 'upload');
+  } catch (error) {
+    showNotification(`Upload failed: ${error.message}`, 'error');
+  } finally {
+    const uploadForm = document.getElementById(FILE_BROWSER_CONFIG.UPLOAD_FORM_ID);
+    uploadForm?.reset();
+  }
 }
 
 /**
- * Initialize delete handlers
+ * Initialize delete and import handlers
  */
 function initializeDeleteHandlers() {
   document.addEventListener('click', (e) => {
+    const importButton = e.target.closest('[data-action="import"]');
+    if (importButton) {
+      e.preventDefault();
+      openImportReport(importButton.dataset.fileName);
+      return;
+    }
+
     const deleteButton = e.target.closest('[data-action="delete"]');
     if (deleteButton) {
       e.preventDefault();
@@ -0,0 +1,93 @@
+/**
+ * Import Report Component
+ * Shows the change report of a file imported back into Commerce (import-products) in the modal,
+ * with buttons to apply the changes and to refresh per-row results
+ * @module ui/import-report
+ */
+
+import { getAuthHeaders } from '../../core/config/index.js';
+import { getActionUrl } from '../../core/url/index.js';
+import { showModal } from '../components/modal/index.js';
+import { showNotification } from '../components/notifications/index.js';
+
+/**
+ * Call import-products; HTMX-flagged requests get the report as HTML
+ * @param {Object} body - Action parameters
+ * @returns {Promise<string>} Report HTML
+ * @throws {Error} With the action's error message
+ */
+async function requestImport(body) {
+  const response = await fetch(getActionUrl('import-products'), {
+    method: 'POST',
+    headers: { ...getAuthHeaders(), 'Content-Type': 'application/json', 'HX-Request': 'true' },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const result = await response.json().catch(() => ({}));
+    throw new Error(result.error || `Import request failed (${response.status})`);
+  }
+  return response.text();
+}
+
+/**
+ * Render a report in the modal
+ * @param {string} reportHtml - Report HTML from import-products
+ */
+function renderReport(reportHtml) {
+  const modalContainer = document.getElementById('modal-container');
+  if (!modalContainer) return;
+
+  modalContainer.innerHTML = `
+    <div class="modal-content import-report-modal">
+        <h2>Import Changes</h2>
+        <div class="modal-body">${reportHtml}</div>
+        <div class="modal-footer">
+            <button type="button" class="btn btn-secondary modal-close" onclick="hideModal()">
+                <span class="btn-label">Close</span>
+            </button>
+        </div>
+    </div>
+  `;
+  showModal();
+}
+
+/**
+ * Run an import request and show its report
+ * @param {Object} body - Action parameters
+ * @param {string} failureMessage - Notification prefix on failure
+ */
+async function showImport(body, failureMessage) {
+  try {
+    renderReport(await requestImport(body));
+  } catch (error) {
+    showNotification(`${failureMessage}: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Preview importing a stored file: diff it against Commerce without writing anything
+ * @param {string} fileName - Stored file name
+ */
+export function openImportReport(fileName) {
+  return showImport({ fileName }, 'Import preview failed');
+}
+
+/**
+ * Initialize apply and refresh buttons of import reports
+ */
+export function initializeImportReport() {
+  document.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action="apply-import"], [data-action="refresh-import"]');
+    if (!button) return;
+
+    e.preventDefault();
+    button.disabled = true;
+    const { importId } = button.dataset;
+    if (button.dataset.action === 'apply-import') {
+      showImport({ action: 'apply', importId, approve: 'all' }, 'Import failed');
+    } else {
+      showImport({ action: 'status', importId }, 'Import status failed');
+    }
+  });
+}